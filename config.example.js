@@ -11,11 +11,69 @@ module.exports = {
     wsUrl: process.env.RPC_WS_URL || 'wss://mainnet.helius-rpc.com/?api-key=' + process.env.HELIUS_API_KEY,
     // Helius API key (recommended for better rate limits)
     heliusApiKey: process.env.HELIUS_API_KEY || '',
+    
+    // Fallback HTTP endpoints, used when the primary is unhealthy (comma-separated env)
+    extraHttpUrls: (process.env.RPC_EXTRA_HTTP_URLS || '').split(',').map((u) => u.trim()).filter(Boolean),
+    
+    // Additional WebSocket endpoints scanned in parallel (comma-separated env)
+    extraWsUrls: (process.env.RPC_EXTRA_WS_URLS || '').split(',').map((u) => u.trim()).filter(Boolean),
+    
+    // Client behaviour (applies per endpoint)
+    client: {
+      rps: 10,             // Requests per second
+      concurrency: 4,      // In-flight requests
+      retries: 3,          // Retries for transient errors (timeouts, 429, 5xx, node lagging)
+      
+      // Request timeouts by method (ms)
+      timeoutsMs: {
+        default: 4000,
+        getTransaction: 8000,
+        getParsedTokenAccountsByOwner: 8000,
+        sendTransaction: 3000,
+        simulateTransaction: 5000,
+      },
+      
+      // Skip an endpoint for this long after consecutive failures (ms)
+      maxConsecutiveFailures: 3,
+      failureCooldownMs: 30000,
+    },
+    
+    // Batch concurrent getAccountInfo calls into getMultipleAccounts
+    coalesce: {
+      enabled: true,
+      windowMs: 5,    // Collect requests for this long before sending
+      maxBatch: 100,  // getMultipleAccounts limit
+    },
+  },
+
+  // ============ WEBSOCKET ============
+  websocket: {
+    // Reconnect backoff: base * 2^attempt, capped (ms)
+    reconnectBaseMs: 500,
+    reconnectMaxMs: 30000,
+    
+    // Ping interval and how long to wait for the pong (ms)
+    pingIntervalMs: 10000,
+    pongTimeoutMs: 5000,
+    
+    // Reconnect if no message arrives for this long (ms)
+    staleTimeoutMs: 30000,
+  },
+
+  // ============ GEYSER (YELLOWSTONE gRPC) ============
+  // Optional faster scanner source, deduped against the WebSocket feeds
+  geyser: {
+    enabled: !!process.env.GEYSER_ENDPOINT,
+    endpoint: process.env.GEYSER_ENDPOINT || '',
+    token: process.env.GEYSER_TOKEN || '',
+    
+    // Keep the WebSocket feeds running alongside the gRPC stream
+    keepWebsocket: true,
   },
 
   // ============ TRADING SETTINGS ============
   trading: {
-    // Run mode: 'DRY_RUN' (quotes only) or 'LIVE' (real trades)
+    // Run mode: 'DRY_RUN' (quotes only), 'PAPER' (simulated fills) or 'LIVE' (real trades)
     mode: process.env.RUN_MODE || 'DRY_RUN',
     
     // Wallet private key (base58 encoded) - REQUIRED for LIVE mode
@@ -40,6 +98,72 @@ module.exports = {
     reentryCooldownMs: 120000,
   },
 
+  // ============ EXECUTION ============
+  execution: {
+    // Commitment to wait for before a trade counts as filled
+    confirmCommitment: 'confirmed',
+
+    // Give up waiting for confirmation after this long (ms)
+    confirmTimeoutMs: 60000,
+
+    // getSignatureStatuses poll interval (ms)
+    pollIntervalMs: 500,
+
+    // Resend the signed transaction while unconfirmed (ms)
+    rebroadcastIntervalMs: 2000,
+
+    // Simulate every signed transaction and refuse to send on failure
+    simulateBeforeSend: true,
+  },
+
+  // ============ PRIORITY FEES ============
+  // Total priority fee per trade is capped by trading.priorityFee (SOL)
+  priorityFees: {
+    enabled: true,
+    
+    // Percentile of recent prioritization fees to pay, by urgency
+    percentiles: {
+      entry: 90,     // Snipes compete for the launch block
+      exit: 75,      // Take-profits can wait a slot
+      stopLoss: 95,  // Stops and dump exits must land
+    },
+    
+    // Compute unit price bounds (micro-lamports per CU)
+    minMicroLamports: 10000,
+    maxMicroLamports: 2000000,
+    
+    // Compute unit limits for on-curve transactions
+    computeUnitLimit: {
+      buy: 120000,
+      sell: 100000,
+    },
+    
+    // Reuse fee samples for this long (ms)
+    cacheMs: 2000,
+  },
+
+  // ============ JITO BUNDLES ============
+  // Optional: land trades via a block-engine bundle, RPC send is the fallback
+  jito: {
+    enabled: process.env.JITO_ENABLED === 'true',
+    
+    blockEngineUrl: process.env.JITO_BLOCK_ENGINE_URL || 'https://mainnet.block-engine.jito.wtf',
+    
+    // Tip per bundle (lamports), by urgency
+    tipLamports: {
+      entry: 1000000,    // 0.001 SOL
+      exit: 500000,
+      stopLoss: 1000000,
+    },
+    
+    // Bundle status poll interval and give-up time (ms)
+    statusPollMs: 500,
+    landTimeoutMs: 15000,
+    
+    // Also send through RPC if the bundle hasn't landed by then (ms)
+    rpcFallbackMs: 2000,
+  },
+
   // ============ SCANNER FILTERS ============
   scanner: {
     // Token must be younger than this (ms)
@@ -63,31 +187,84 @@ module.exports = {
     // Min initial buy SOL
     minInitialBuySol: 0.1,
     
-    // Max dev holding %
+    // Holder distribution from the largest token accounts (bonding curve excluded)
+    checkHolderDistribution: true,
+    
+    // Max dev holding % of supply
     maxDevHoldingPct: 25,
     
+    // Max % of supply held by the 10 largest wallets
+    maxTop10HoldingPct: 50,
+    
+    // Max % of supply held by bundles: wallets whose first buy shares a slot
+    maxBundledHoldingPct: 20,
+    minBundleWallets: 3,
+    
     // Max fee balance SOL (dump detection)
     maxFeeBalanceSol: 5,
   },
 
+  // ============ CREATOR REPUTATION ============
+  // Launch history per creator wallet, scored 0-100 (50 = unknown/neutral)
+  creatorReputation: {
+    enabled: true,
+
+    // Stored in persistence.dataDir
+    file: 'creators.json',
+
+    // Creator selling within this of launch counts as a quick dump (ms)
+    quickSellMs: 300000,  // 5 minutes
+
+    // Launches needed before a score counts fully
+    minLaunches: 3,
+
+    // Reject mints from creators scoring below this
+    rejectBelowScore: 25,
+
+    // Momentum points added per reputation point above/below 50
+    scoreWeight: 0.3,
+
+    // Least recently active creators are dropped beyond this
+    maxCreators: 50000,
+    saveIntervalMs: 60000,
+  },
+
   // ============ MOMENTUM SCORING ============
   momentum: {
     // Weightings (must sum to 1)
     weights: {
-      volume: 0.4,
+      volume: 0.35,
       holders: 0.2,
-      curve: 0.4,
+      curve: 0.3,
+      buyPressure: 0.15,  // Buy share of 5m volume
     },
     
     // Min momentum score to enter
     minScore: 40,
     
     // Tier thresholds
+    // `stops` overrides exit.trailingStop / breakEven / volatilityStop per tier
     tiers: {
-      WARM: { minScore: 20, sizeMultiplier: 0.25 },
-      HOT: { minScore: 40, sizeMultiplier: 0.5 },
-      VERY_HOT: { minScore: 60, sizeMultiplier: 0.75 },
-      EXTREME: { minScore: 80, sizeMultiplier: 1.0 },
+      WARM: {
+        minScore: 20,
+        sizeMultiplier: 0.25,
+        stops: { trailingStop: { pct: 15 }, volatilityStop: { multiplier: 2 } },
+      },
+      HOT: {
+        minScore: 40,
+        sizeMultiplier: 0.5,
+        stops: { trailingStop: { pct: 20 } },
+      },
+      VERY_HOT: {
+        minScore: 60,
+        sizeMultiplier: 0.75,
+        stops: { trailingStop: { pct: 25 } },
+      },
+      EXTREME: {
+        minScore: 80,
+        sizeMultiplier: 1.0,
+        stops: { trailingStop: { pct: 30, activatePct: 30 }, volatilityStop: { multiplier: 4 } },
+      },
     },
   },
 
@@ -99,9 +276,12 @@ module.exports = {
     // Simulation must succeed
     requireSimulationPass: true,
     
-    // Honeypot check required
+    // Honeypot check required (round-trip sell must simulate)
     requireHoneypotCheck: true,
     
+    // Buy size used for the simulation gate (SOL)
+    simulationAmountSol: 0.01,
+    
     // Blacklist check required
     requireBlacklistCheck: true,
   },
@@ -121,6 +301,14 @@ module.exports = {
       enabled: true,
       minPct: 100,
       exitPct: 100,  // Exit all
+      
+      // Parabolic detection over the live price history
+      parabolic: {
+        windowMs: 30000,        // Short return window
+        minReturnPct: 20,       // Gain within the window
+        minAccelerationPct: 0,  // Window return must beat the one before
+        retraceExitPct: 15,     // Or exit on this pullback from the peak
+      },
     },
     
     // Stop loss
@@ -129,6 +317,37 @@ module.exports = {
       pct: -15,  // Exit at -15%
     },
     
+    // Trailing stop: exit on a pullback from the high-water mark
+    trailingStop: {
+      enabled: true,
+      pct: 20,          // % below the best exit price seen
+      activatePct: 20,  // Only arm once PnL has reached this
+    },
+    
+    // Move stop to break-even once tier 1 has been taken
+    breakEven: {
+      enabled: true,
+      bufferPct: 0,  // Exit when PnL falls back to this
+    },
+    
+    // Volatility-scaled stop: multiplier x ATR% below entry
+    volatilityStop: {
+      enabled: false,
+      multiplier: 3,
+      period: 14,    // Price samples in the ATR
+      minPct: 5,     // Clamp the stop distance
+      maxPct: 40,
+    },
+    
+    // Sell retries: slippage grows by stepBps per failed attempt
+    sellRetry: {
+      attempts: 3,
+      slippageStepBps: 1000,
+      maxSlippageBps: 5000,
+      // A sell whose outcome is unknown holds the position this long at most
+      unconfirmedExpiryMs: 120000,
+    },
+    
     // Time decay (exit if held too long without profit)
     timeDecay: {
       enabled: true,
@@ -137,6 +356,35 @@ module.exports = {
     },
   },
 
+  // ============ PRICE FEED ============
+  priceFeed: {
+    // Price samples kept per open position
+    maxHistory: 300,
+  },
+
+  // ============ WALLET RECONCILIATION ============
+  reconciliation: {
+    enabled: true,
+    
+    // Compare positions with on-chain balances every N ms
+    intervalMs: 60000,
+    
+    // Allowed difference before flagging drift (%)
+    tolerancePct: 1,
+    
+    // Skip positions younger than this (balances lag fills)
+    graceMs: 30000,
+    
+    // Write off a position once its tokens are missing this many passes in a row
+    closeMissingAfterPasses: 2,
+    
+    // Start tracking tokens held without a position
+    adoptOrphans: true,
+    
+    // Mints never adopted (e.g. tokens held on purpose)
+    ignoreMints: [],
+  },
+
   // ============ FEE MONITORING ============
   feeMonitoring: {
     // Alert if fee balance > X SOL
@@ -145,11 +393,25 @@ module.exports = {
     // Fee spike threshold (% increase in 5m)
     spikeThresholdPct: 50,
     
+    // ...and the minimum SOL the vault must gain for it to count. The vault
+    // is shared by all of the creator's tokens, so small moves mean little
+    minSpikeSol: 0.5,
+    
+    // Creator sold: % of the creator's own tokens gone in 5m
+    creatorSoldPct: 25,
+    
     // Hard exit trigger on fee spike
     feeSpikeExit: true,
+    
+    // How often to sample creator vault/wallet balances (ms)
+    sampleIntervalMs: 15000,
+    
+    // Window for the change calculation (ms)
+    windowMs: 300000,  // 5 minutes
   },
 
   // ============ ANTINOSE FILTERS ============
+  // Applied to the Metaplex name/symbol (and off-chain description)
   antinose: {
     // Skip mints with suspicious patterns
     skipBotPatterns: true,
@@ -157,6 +419,15 @@ module.exports = {
     // Skip mints with suspicious names
     skipSuspiciousNames: true,
     
+    // Skip mints reusing the name of another launch within the window
+    skipDuplicateNames: true,
+    duplicateWindowMs: 3600000,  // 1 hour
+    
+    // Resolve the metadata uri's JSON (fails open on timeout)
+    resolveOffchain: true,
+    offchainTimeoutMs: 1500,
+    ipfsGateway: 'https://ipfs.io/ipfs/',
+    
     suspiciousPatterns: [
       /free.*money/i,
       /airdrop.*claim/i,
@@ -179,6 +450,23 @@ module.exports = {
     ],
   },
 
+  // ============ PAPER TRADING ============
+  // RUN_MODE=PAPER: full position management on live data, fills simulated
+  // from the bonding curve into a virtual wallet
+  paper: {
+    // Virtual wallet balance at startup (SOL)
+    startingBalanceSol: parseFloat(process.env.PAPER_BALANCE_SOL) || 1,
+    
+    // Time between quoting and the fill landing (ms); the curve is re-read after it
+    fillLatencyMs: 400,
+    
+    // Base network fee per transaction (lamports)
+    networkFeeLamports: 5000,
+    
+    // Charge the priority fee the live swap layer would pay
+    usePriorityFees: true,
+  },
+
   // ============ STATE PERSISTENCE ============
   persistence: {
     enabled: true,
@@ -196,6 +484,30 @@ module.exports = {
     dataDir: './data',
   },
 
+  // ============ RECORDING ============
+  // Capture scanner events, fetched transactions, curve reads and validation
+  // decisions for offline replay (npm run backtest)
+  recording: {
+    enabled: process.env.RECORDING_ENABLED === 'true',
+    
+    // Subdirectory of persistence.dataDir
+    dir: 'recordings',
+    
+    // Start a new file after this much uncompressed data or time
+    maxFileMb: 64,
+    rotateIntervalMs: 3600000,  // 1 hour
+    
+    // Oldest files are deleted beyond this count
+    maxFiles: 200,
+    
+    // Flush compressed output to disk (ms)
+    flushIntervalMs: 5000,
+    
+    // Also capture full getTransaction responses and bonding curve reads
+    transactions: true,
+    curves: true,
+  },
+
   // ============ PERFORMANCE ============
   performance: {
     // Max concurrent validations
@@ -204,9 +516,6 @@ module.exports = {
     // Validation timeout (ms)
     validationTimeoutMs: 5000,
     
-    // RPC spacing (ms) - prevents rate limits
-    rpcSpacingMs: 180,
-    
     // WebSocket burst limit (tx/sec)
     wsBurstLimit: 3,
   },
@@ -0,0 +1,464 @@
+/**
+ * Backtester
+ *
+ * Replays a recorded stream of Pump.fun events through the production
+ * ValidationQueue and PositionManager on a simulated clock:
+ * - TradeLedger, CreatorReputation (in memory) and SimMarket are fed from the recording
+ * - ValidationQueue / PriceFeed / FeeMonitor read the SimMarket rpc
+ * - Buys and sells fill against the simulated curve
+ * - Position checks run every checkIntervalMs of recorded time
+ *
+ * Input is what state/recorder writes, one JSON object per line (gzip if
+ * the file ends in .gz):
+ *   { "v": 1, "t": <ms>, "type": "create" | "trade" | "complete", ...decoded event fields }
+ * Event fields are those produced by scanner/pumpEvents (mint, user,
+ * solAmount, tokenAmount, isBuy, virtualSolReserves, ...).
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+const readline = require('readline');
+const config = require('../../config');
+const { SimulatedClock } = require('../utils/clock');
+const { TradeLedger } = require('../scanner/tradeLedger');
+const { CreatorReputation } = require('../scanner/creatorReputation');
+const { AntinoseFilter } = require('../scanner/antinose');
+const { ValidationQueue } = require('../scanner/validationQueue');
+const { PositionManager } = require('../execution/positionManager');
+const { PriceFeed } = require('../execution/priceFeed');
+const { quoteSell } = require('../pumpfun/curveQuote');
+const { SCHEMA_VERSION } = require('../state/recorder');
+const { SimMarket } = require('./simMarket');
+
+// Records that drive the replay; the rest (session, curve, transaction,
+// validation) describe the live run and are only counted
+const EVENT_TYPES = new Set(['create', 'trade', 'complete']);
+
+/**
+ * Stream records from a JSONL (or .jsonl.gz) recording
+ */
+async function* readRecording(file) {
+  let input = fs.createReadStream(file);
+  // Sync-flush finish tolerates the truncated tail of a file cut by a crash
+  if (file.endsWith('.gz')) input = input.pipe(zlib.createGunzip({ finishFlush: zlib.constants.Z_SYNC_FLUSH }));
+
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  let lineNo = 0;
+
+  for await (const line of lines) {
+    lineNo++;
+    if (!line.trim()) continue;
+
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (e) {
+      const err = new Error(`Invalid JSON at ${file}:${lineNo}`);
+      err.code = 'BAD_RECORD';
+      throw err;
+    }
+
+    if (record.v !== undefined && record.v > SCHEMA_VERSION) {
+      const err = new Error(`Unsupported record version ${record.v} at ${file}:${lineNo}`);
+      err.code = 'BAD_RECORD';
+      throw err;
+    }
+
+    yield record;
+  }
+}
+
+/**
+ * Deep-merge overrides into the shared config object (arrays are replaced)
+ */
+function applyConfigOverrides(target, overrides) {
+  for (const [key, value] of Object.entries(overrides || {})) {
+    if (value && typeof value === 'object' && !Array.isArray(value) && target[key] && typeof target[key] === 'object') {
+      applyConfigOverrides(target[key], value);
+    } else {
+      target[key] = value;
+    }
+  }
+  return target;
+}
+
+class Backtester {
+  constructor({
+    startingBalanceSol = 1,
+    maxPositionSol = parseFloat(process.env.MAX_POSITION_SOL) || 0.1,
+    positionSizeSol = null,        // (signal) -> SOL; defaults to the live sizing rule
+    validationDelayMs = 0,         // Time between a launch and its validation
+    checkIntervalMs = 2000,        // PositionManager monitor cadence
+    txFeeLamports = 5000,          // Network fee per buy/sell
+    ledgerCleanupMs = 60000,
+  } = {}) {
+    this.startingBalanceSol = startingBalanceSol;
+    this.maxPositionSol = maxPositionSol;
+    this.positionSizeSol = positionSizeSol || ((signal) => Math.min(this.maxPositionSol, signal.positionSizePct * 3));
+    this.validationDelayMs = validationDelayMs;
+    this.checkIntervalMs = checkIntervalMs;
+    this.txFeeLamports = txFeeLamports;
+    this.ledgerCleanupMs = ledgerCleanupMs;
+
+    this.clock = new SimulatedClock(0);
+    this.market = new SimMarket({ clock: this.clock });
+    this.ledger = new TradeLedger({ clock: this.clock });
+    this.reputation = new CreatorReputation({ persist: false, clock: this.clock });
+    this.antinose = new AntinoseFilter({ clock: this.clock });
+
+    this.validationQueue = new ValidationQueue({
+      concurrency: config.performance?.maxConcurrentValidations || 3,
+      rpc: this.market.rpc,
+      ledger: this.ledger,
+      reputation: this.reputation,
+      antinose: this.antinose,
+      // Names come from the recorded create events, never the network
+      resolveOffchain: false,
+      clock: this.clock,
+    });
+
+    this.positionManager = new PositionManager({
+      rpc: this.market.rpc,
+      clock: this.clock,
+      startMonitoring: false,
+      priceFeed: new PriceFeed({
+        rpc: this.market.rpc,
+        clock: this.clock,
+        quote: (args) => this._poolQuote(args),
+      }),
+      sell: (args) => this._sell(args),
+    });
+
+    this.cashSol = startingBalanceSol;
+    this.fills = 0;
+    this.trades = [];
+    this.rejections = {};
+    this.entrySkips = {};
+    this.signals = 0;
+    this.records = { total: 0, create: 0, trade: 0, complete: 0, other: 0, skipped: 0 };
+    this.equity = { peak: startingBalanceSol, maxDrawdownSol: 0, maxDrawdownPct: 0, samples: 0 };
+
+    // Simulated timers: [{ at, fn }] ordered by `at`
+    this._timers = [];
+    this._inflight = new Set();
+    this._nextCheckAt = null;
+    this._nextCleanupAt = null;
+    this._firstT = null;
+    this._lastT = null;
+
+    this.validationQueue.on('signal', (signal) => this._track(this._enter(signal)));
+    this.validationQueue.on('rejected', ({ reason }) => {
+      this.rejections[reason] = (this.rejections[reason] || 0) + 1;
+    });
+    this.positionManager.on('closed', ({ position, reason }) => this._recordClose(position, reason));
+  }
+
+  /**
+   * Replay every record (array or async iterable) and return the report
+   */
+  async run(records) {
+    for await (const record of records) {
+      await this.step(record);
+    }
+    return this.finish();
+  }
+
+  async step(record) {
+    if (!EVENT_TYPES.has(record.type)) {
+      this.records.other++;
+      return;
+    }
+
+    const t = record.t ?? record.detectedAt ?? (record.timestamp ? record.timestamp * 1000 : null);
+    if (t === null || !record.mint) {
+      this.records.skipped++;
+      return;
+    }
+
+    if (this._firstT === null) {
+      this._firstT = t;
+      this.clock.set(t);
+      this._nextCheckAt = t + this.checkIntervalMs;
+      this._nextCleanupAt = t + this.ledgerCleanupMs;
+    }
+
+    await this._advanceTo(t);
+    this._lastT = t;
+    this.records.total++;
+
+    switch (record.type) {
+      case 'create':
+        this.records.create++;
+        this.market.applyCreate(record);
+        this.ledger.recordCreate(record);
+        this.reputation.recordCreate(record);
+        this.antinose.recordLaunch(record);
+        this._schedule(t + this.validationDelayMs, () => this.validationQueue.push(record.mint, {
+          creator: record.creator || record.user,
+          bondingCurve: record.bondingCurve,
+          name: record.name,
+          symbol: record.symbol,
+          uri: record.uri,
+        }));
+        break;
+      case 'trade':
+        this.records.trade++;
+        this.market.applyTrade(record);
+        this.ledger.recordTrade(record);
+        this.reputation.recordTrade(record);
+        break;
+      case 'complete':
+        this.records.complete++;
+        this.market.applyComplete(record);
+        this.reputation.recordComplete(record);
+        break;
+    }
+
+    // Fire anything due now (validation of a launch with no delay)
+    await this._advanceTo(t);
+  }
+
+  /**
+   * Run one last monitoring pass and build the report. Positions still
+   * open are marked to market, not force-sold.
+   */
+  async finish() {
+    if (this._lastT !== null) {
+      await this._advanceTo(this._lastT + this.checkIntervalMs);
+    }
+    return this.getReport();
+  }
+
+  // ===== Simulated time =====
+
+  _schedule(at, fn) {
+    const i = this._timers.findIndex((timer) => timer.at > at);
+    if (i === -1) this._timers.push({ at, fn });
+    else this._timers.splice(i, 0, { at, fn });
+  }
+
+  async _advanceTo(t) {
+    for (;;) {
+      const timerAt = this._timers.length ? this._timers[0].at : Infinity;
+      const next = Math.min(timerAt, this._nextCheckAt);
+      if (next > t) break;
+
+      this.clock.set(next);
+
+      if (timerAt <= this._nextCheckAt) {
+        this._timers.shift().fn();
+        await this._settle();
+        continue;
+      }
+
+      this._nextCheckAt += this.checkIntervalMs;
+      await this.positionManager.checkPositions();
+      this._sampleEquity();
+
+      if (this.clock.now() >= this._nextCleanupAt) {
+        this._nextCleanupAt += this.ledgerCleanupMs;
+        this.ledger.cleanup();
+        this.antinose.cleanup();
+      }
+    }
+
+    this.clock.set(t);
+  }
+
+  // Let validation and any entries it triggered finish before time moves on
+  async _settle() {
+    await this.validationQueue.onIdle();
+    while (this._inflight.size) {
+      await Promise.all([...this._inflight]);
+      await this.validationQueue.onIdle();
+    }
+  }
+
+  _track(promise) {
+    const p = promise
+      .catch((e) => console.error('[backtest] entry error:', e.message))
+      .finally(() => this._inflight.delete(p));
+    this._inflight.add(p);
+  }
+
+  // ===== Fills =====
+
+  _skipEntry(reason) {
+    this.entrySkips[reason] = (this.entrySkips[reason] || 0) + 1;
+  }
+
+  async _enter(signal) {
+    this.signals++;
+    const { mint } = signal;
+
+    if (this.positionManager.positions.size >= config.trading.maxPositions) {
+      return this._skipEntry('MAX_POSITIONS');
+    }
+
+    const positionSol = this.positionSizeSol(signal);
+    const lamports = Math.floor(positionSol * 1e9);
+    if (lamports <= 0) return this._skipEntry('ZERO_SIZE');
+
+    if (this.cashSol * 1e9 < lamports + this.txFeeLamports) {
+      return this._skipEntry('INSUFFICIENT_BALANCE');
+    }
+
+    const q = this.market.fillBuy(mint, lamports);
+    if (!q) return this._skipEntry('BUY_FAILED');
+
+    const lamportsSpent = Number(q.inAmount) + this.txFeeLamports;
+    const tokensReceived = Number(q.outAmount);
+    this.cashSol -= lamportsSpent / 1e9;
+
+    const position = await this.positionManager.openPosition({
+      mint,
+      entryPrice: lamportsSpent / tokensReceived,
+      tokens: tokensReceived,
+      solInvested: lamportsSpent / 1e9,
+      signal,
+      entrySignature: `sim-buy-${++this.fills}`,
+    });
+
+    // Refused (daily loss limit) - unwind the fill
+    if (!position) {
+      this._skipEntry('POSITION_REJECTED');
+      const back = this.market.fillSell(mint, tokensReceived);
+      if (back) this.cashSol += Number(back.outAmount) / 1e9;
+    }
+  }
+
+  async _sell({ position, tokens }) {
+    const q = this.market.fillSell(position.mint, tokens);
+    if (!q) {
+      const err = new Error('No simulated liquidity');
+      err.code = 'SIM_SELL_FAILED';
+      throw err;
+    }
+
+    const outAmount = q.outAmount > BigInt(this.txFeeLamports) ? q.outAmount - BigInt(this.txFeeLamports) : 0n;
+    this.cashSol += Number(outAmount) / 1e9;
+
+    return {
+      signature: `sim-sell-${++this.fills}`,
+      inAmount: q.inAmount.toString(),
+      outAmount: outAmount.toString(),
+    };
+  }
+
+  // Graduated positions: the recording has no pool trades, quote the final curve
+  async _poolQuote({ inputMint, amount }) {
+    const curve = this.market.getCurve(inputMint);
+    if (!curve) throw new Error('No simulated pool for ' + inputMint);
+
+    const q = quoteSell({ curve, tokenAmount: amount });
+    if (!q) throw new Error('No simulated liquidity for ' + inputMint);
+
+    return { outAmount: q.outAmount.toString(), priceImpactPct: q.priceImpactPct, contextSlot: null };
+  }
+
+  // ===== Accounting =====
+
+  _markToMarket(position) {
+    const curve = this.market.getCurve(position.mint);
+    const tokens = Math.floor(position.remainingTokens || 0);
+    if (!curve || tokens <= 0) return 0;
+
+    const q = quoteSell({ curve, tokenAmount: tokens });
+    return q ? Number(q.outAmount) / 1e9 : 0;
+  }
+
+  _equitySol() {
+    let open = 0;
+    for (const position of this.positionManager.positions.values()) {
+      open += this._markToMarket(position);
+    }
+    return this.cashSol + open;
+  }
+
+  _sampleEquity() {
+    const equity = this._equitySol();
+    this.equity.samples++;
+
+    if (equity > this.equity.peak) this.equity.peak = equity;
+    const drawdown = this.equity.peak - equity;
+    if (drawdown > this.equity.maxDrawdownSol) {
+      this.equity.maxDrawdownSol = drawdown;
+      this.equity.maxDrawdownPct = (drawdown / this.equity.peak) * 100;
+    }
+  }
+
+  _recordClose(position, reason) {
+    this.trades.push({
+      mint: position.mint,
+      tier: position.signal?.tier || null,
+      momentumScore: position.signal?.momentumScore ?? null,
+      entryTime: position.entryTime,
+      exitTime: position.exitTime,
+      durationMs: position.exitTime - position.entryTime,
+      solInvested: position.solInvested,
+      solReceived: position.solReceived,
+      pnlSol: position.realizedPnL,
+      pnlPct: position.pnlPct,
+      reason,
+    });
+  }
+
+  getReport() {
+    const trades = this.trades;
+    const wins = trades.filter((t) => t.pnlSol > 0);
+    const realizedPnLSol = trades.reduce((sum, t) => sum + t.pnlSol, 0);
+
+    const openPositions = Array.from(this.positionManager.positions.values()).map((p) => {
+      const valueSol = this._markToMarket(p);
+      return {
+        mint: p.mint,
+        state: p.state,
+        solInvested: p.solInvested,
+        solReceived: p.solReceived,
+        valueSol,
+        unrealizedPnLSol: p.solReceived + valueSol - p.solInvested,
+      };
+    });
+
+    const byExitReason = {};
+    for (const t of trades) {
+      byExitReason[t.reason] = (byExitReason[t.reason] || 0) + 1;
+    }
+
+    const endingEquitySol = this._equitySol();
+
+    return {
+      period: {
+        start: this._firstT,
+        end: this._lastT,
+        durationMs: this._firstT !== null ? this._lastT - this._firstT : 0,
+      },
+      records: { ...this.records },
+      validation: {
+        ...this.validationQueue.getStats(),
+        signals: this.signals,
+        rejectionReasons: { ...this.rejections },
+        entrySkips: { ...this.entrySkips },
+      },
+      summary: {
+        trades: trades.length,
+        wins: wins.length,
+        losses: trades.length - wins.length,
+        winRatePct: trades.length ? (wins.length / trades.length) * 100 : 0,
+        realizedPnLSol,
+        avgPnLPct: trades.length ? trades.reduce((sum, t) => sum + t.pnlPct, 0) / trades.length : 0,
+        startingBalanceSol: this.startingBalanceSol,
+        endingEquitySol,
+        returnPct: ((endingEquitySol - this.startingBalanceSol) / this.startingBalanceSol) * 100,
+        maxDrawdownSol: this.equity.maxDrawdownSol,
+        maxDrawdownPct: this.equity.maxDrawdownPct,
+        byExitReason,
+      },
+      trades,
+      openPositions,
+      rpc: { ...this.market.stats },
+    };
+  }
+}
+
+module.exports = { Backtester, readRecording, applyConfigOverrides };
@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+/**
+ * Backtest CLI
+ *
+ * Usage:
+ *   node src/backtest/cli.js <recording.jsonl[.gz]> [more files...]
+ *     [--config overrides.json] [--balance 1] [--max-position 0.1]
+ *     [--delay-ms 0] [--json] [--verbose]
+ *
+ * --config takes a JSON object deep-merged into config (e.g. {"exit":{"stopLoss":{"pct":-20}}}).
+ */
+
+const fs = require('fs');
+const config = require('../../config');
+const { Backtester, readRecording, applyConfigOverrides } = require('./backtester');
+
+function parseArgs(argv) {
+  const args = { files: [], json: false, verbose: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case '--config': args.config = argv[++i]; break;
+      case '--balance': args.balance = parseFloat(argv[++i]); break;
+      case '--max-position': args.maxPosition = parseFloat(argv[++i]); break;
+      case '--delay-ms': args.delayMs = parseInt(argv[++i]); break;
+      case '--json': args.json = true; break;
+      case '--verbose': args.verbose = true; break;
+      default: args.files.push(arg);
+    }
+  }
+  return args;
+}
+
+async function* readAll(files) {
+  for (const file of files) {
+    yield* readRecording(file);
+  }
+}
+
+function printReport(report) {
+  const { summary, validation } = report;
+  const sol = (n) => n.toFixed(4) + ' SOL';
+
+  console.log('📼 Replay:');
+  console.log(`   Records: ${report.records.total} (${report.records.create} creates, ${report.records.trade} trades)`);
+  console.log(`   Span: ${(report.period.durationMs / 60000).toFixed(1)} min`);
+
+  console.log('\n🔎 Validation:');
+  console.log(`   Validated: ${validation.processed}, signals: ${validation.signals}`);
+  for (const [reason, count] of Object.entries(validation.rejectionReasons).sort((a, b) => b[1] - a[1])) {
+    console.log(`   ${reason}: ${count}`);
+  }
+  for (const [reason, count] of Object.entries(validation.entrySkips)) {
+    console.log(`   entry skipped (${reason}): ${count}`);
+  }
+
+  console.log('\n💰 Results:');
+  console.log(`   Trades: ${summary.trades} (${summary.wins}W / ${summary.losses}L)`);
+  console.log(`   Win Rate: ${summary.winRatePct.toFixed(1)}%`);
+  console.log(`   Realized PnL: ${sol(summary.realizedPnLSol)}`);
+  console.log(`   Equity: ${sol(summary.startingBalanceSol)} → ${sol(summary.endingEquitySol)} (${summary.returnPct.toFixed(2)}%)`);
+  console.log(`   Max Drawdown: ${sol(summary.maxDrawdownSol)} (${summary.maxDrawdownPct.toFixed(2)}%)`);
+  for (const [reason, count] of Object.entries(summary.byExitReason)) {
+    console.log(`   exit ${reason}: ${count}`);
+  }
+
+  if (report.trades.length) {
+    console.log('\n📈 Trades:');
+    for (const t of report.trades) {
+      console.log(`   ${t.mint.slice(0, 12)}... ${t.pnlPct.toFixed(2)}% ${sol(t.pnlSol)} ${t.reason} (${(t.durationMs / 1000).toFixed(0)}s)`);
+    }
+  }
+
+  if (report.openPositions.length) {
+    console.log(`\n⏳ Still open: ${report.openPositions.length}`);
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.files.length) {
+    console.error('Usage: node src/backtest/cli.js <recording.jsonl[.gz]> [--config overrides.json] [--json] [--verbose]');
+    process.exit(1);
+  }
+
+  if (args.config) {
+    applyConfigOverrides(config, JSON.parse(fs.readFileSync(args.config, 'utf8')));
+  }
+
+  // The production classes log every decision; keep the report readable
+  const log = console.log;
+  if (!args.verbose) console.log = () => {};
+
+  let report;
+  try {
+    const backtester = new Backtester({
+      startingBalanceSol: args.balance,
+      maxPositionSol: args.maxPosition,
+      validationDelayMs: args.delayMs,
+    });
+    report = await backtester.run(readAll(args.files));
+  } finally {
+    console.log = log;
+  }
+
+  if (args.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report);
+  }
+}
+
+main().catch((e) => {
+  console.error('[backtest] failed:', e.message);
+  process.exit(1);
+});
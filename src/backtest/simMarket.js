@@ -0,0 +1,273 @@
+/**
+ * Simulated Market
+ *
+ * Bonding curve state rebuilt from recorded create/trade events, served
+ * through the same rpc(method, params) interface as the live client so
+ * ValidationQueue, PriceFeed and FeeMonitor read it unmodified.
+ * Our own fills are quoted with the curve math and applied to the state.
+ */
+
+const { PublicKey } = require('@solana/web3.js');
+const { BONDING_CURVE_DISCRIMINATOR, getBondingCurvePda } = require('../scanner/pumpCurve');
+const { quoteBuy, quoteSell } = require('../pumpfun/curveQuote');
+const { getAssociatedTokenAddress } = require('../pumpfun/instructions');
+
+// Launch parameters of a fresh Pump.fun curve
+const INITIAL_VIRTUAL_TOKEN = 1073000000000000n;
+const INITIAL_VIRTUAL_SOL = 30000000000n;
+const INITIAL_REAL_TOKEN = 793100000000000n;
+const TOKEN_TOTAL_SUPPLY = 1000000000000000n;
+
+// Virtual reserves sit this far above the real ones for the whole curve
+const VIRTUAL_TOKEN_OFFSET = INITIAL_VIRTUAL_TOKEN - INITIAL_REAL_TOKEN;
+const VIRTUAL_SOL_OFFSET = INITIAL_VIRTUAL_SOL;
+
+const SLOT_MS = 400;
+
+// getTokenLargestAccounts returns at most this many accounts
+const LARGEST_ACCOUNTS = 20;
+
+function _writeU64(buf, off, value) {
+  buf.writeBigUInt64LE(BigInt(value), off);
+}
+
+class SimMarket {
+  constructor({ clock, tokenDecimals = 6 }) {
+    this.clock = clock;
+    this.tokenDecimals = tokenDecimals;
+
+    // mint -> { curvePda, virtualToken, virtualSol, realToken, realSol, supply, complete, creator, balances }
+    this.curves = new Map();
+    // curve PDA -> mint
+    this.pdaToMint = new Map();
+    // token account -> { mint, owner }, for accounts handed out by getTokenLargestAccounts
+    this.tokenAccounts = new Map();
+
+    this.stats = { calls: 0, byMethod: {} };
+
+    // Injected wherever the live bot passes its rpc client
+    this.rpc = (method, params) => this._handle(method, params);
+  }
+
+  _curve(mint) {
+    let curve = this.curves.get(mint);
+    if (!curve) {
+      const curvePda = getBondingCurvePda(mint);
+      curve = {
+        curvePda,
+        virtualToken: INITIAL_VIRTUAL_TOKEN,
+        virtualSol: INITIAL_VIRTUAL_SOL,
+        realToken: INITIAL_REAL_TOKEN,
+        realSol: 0n,
+        supply: TOKEN_TOTAL_SUPPLY,
+        complete: false,
+        creator: null,
+        balances: new Map(), // wallet -> raw tokens
+      };
+      this.curves.set(mint, curve);
+      this.pdaToMint.set(curvePda, mint);
+    }
+    return curve;
+  }
+
+  applyCreate(event) {
+    const curve = this._curve(event.mint);
+    curve.creator = event.creator || event.user || null;
+    if (event.virtualTokenReserves) curve.virtualToken = BigInt(event.virtualTokenReserves);
+    if (event.virtualSolReserves) curve.virtualSol = BigInt(event.virtualSolReserves);
+    if (event.realTokenReserves) curve.realToken = BigInt(event.realTokenReserves);
+    if (event.tokenTotalSupply) curve.supply = BigInt(event.tokenTotalSupply);
+  }
+
+  /**
+   * Trade events carry post-trade virtual reserves; real reserves are
+   * derived from them when the recording predates the longer event layout
+   */
+  applyTrade(event) {
+    const curve = this._curve(event.mint);
+
+    if (event.user && event.tokenAmount !== undefined) {
+      const held = curve.balances.get(event.user) || 0n;
+      const next = event.isBuy ? held + BigInt(event.tokenAmount) : held - BigInt(event.tokenAmount);
+      if (next > 0n) curve.balances.set(event.user, next);
+      else curve.balances.delete(event.user);
+    }
+    curve.virtualToken = BigInt(event.virtualTokenReserves);
+    curve.virtualSol = BigInt(event.virtualSolReserves);
+    curve.realToken = event.realTokenReserves !== undefined
+      ? BigInt(event.realTokenReserves)
+      : curve.virtualToken - VIRTUAL_TOKEN_OFFSET;
+    curve.realSol = event.realSolReserves !== undefined
+      ? BigInt(event.realSolReserves)
+      : curve.virtualSol - VIRTUAL_SOL_OFFSET;
+  }
+
+  applyComplete(event) {
+    this._curve(event.mint).complete = true;
+  }
+
+  has(mint) {
+    return this.curves.has(mint);
+  }
+
+  getCurve(mint) {
+    return this.curves.get(mint) || null;
+  }
+
+  /**
+   * Fill a buy of `solAmount` lamports (fee included) against the curve
+   */
+  fillBuy(mint, solAmount) {
+    const curve = this.curves.get(mint);
+    if (!curve || curve.complete) return null;
+
+    const q = quoteBuy({ curve, solAmount });
+    if (!q) return null;
+
+    this._applyReserves(curve, q.postReserves);
+    return q;
+  }
+
+  /**
+   * Fill a sell of `tokenAmount` raw tokens. After graduation the final
+   * curve reserves stand in for the pool, which the recording doesn't cover.
+   */
+  fillSell(mint, tokenAmount) {
+    const curve = this.curves.get(mint);
+    if (!curve) return null;
+
+    const q = quoteSell({ curve, tokenAmount });
+    if (!q) return null;
+
+    if (!curve.complete) this._applyReserves(curve, q.postReserves);
+    return q;
+  }
+
+  _applyReserves(curve, reserves) {
+    curve.virtualSol = reserves.virtualSol;
+    curve.virtualToken = reserves.virtualToken;
+    curve.realSol = reserves.realSol;
+    curve.realToken = reserves.realToken;
+  }
+
+  // ===== rpc(method, params) =====
+
+  async _handle(method, params = []) {
+    this.stats.calls++;
+    this.stats.byMethod[method] = (this.stats.byMethod[method] || 0) + 1;
+
+    switch (method) {
+      case 'getSlot':
+        return this._slot();
+      case 'getAccountInfo':
+        return { context: { slot: this._slot() }, value: this._account(params[0]) };
+      case 'getMultipleAccounts':
+        return { context: { slot: this._slot() }, value: params[0].map((pubkey) => this._account(pubkey)) };
+      case 'getBalance':
+        return { context: { slot: this._slot() }, value: 0 };
+      case 'getTokenLargestAccounts':
+        return { context: { slot: this._slot() }, value: this._largestAccounts(params[0]) };
+      default: {
+        const err = new Error(`RPC error: ${method} not supported in backtest`);
+        err.rpcCode = -32601;
+        err.retryable = false;
+        throw err;
+      }
+    }
+  }
+
+  _slot() {
+    return Math.floor(this.clock.now() / SLOT_MS);
+  }
+
+  _account(pubkey) {
+    const curveMint = this.pdaToMint.get(pubkey);
+    if (curveMint) return this._accountInfo(this._encodeCurve(this.curves.get(curveMint)));
+
+    const curve = this.curves.get(pubkey);
+    if (curve) return this._accountInfo(this._encodeMint(curve));
+
+    const tokenAccount = this.tokenAccounts.get(pubkey);
+    if (tokenAccount) return this._accountInfo(this._encodeTokenAccount(tokenAccount));
+
+    // Creator wallets, fee vaults etc. are not part of the recording
+    return null;
+  }
+
+  // The curve's token account holds the unsold supply, including the migration reserve
+  _curveTokens(curve) {
+    return curve.realToken + (curve.supply - INITIAL_REAL_TOKEN);
+  }
+
+  _balanceOf({ mint, owner }) {
+    const curve = this.curves.get(mint);
+    if (!curve) return 0n;
+    return owner === curve.curvePda ? this._curveTokens(curve) : (curve.balances.get(owner) || 0n);
+  }
+
+  _largestAccounts(mint) {
+    const curve = this.curves.get(mint);
+    if (!curve) return [];
+
+    const owners = [[curve.curvePda, this._curveTokens(curve)], ...curve.balances]
+      .sort((a, b) => (b[1] > a[1] ? 1 : b[1] < a[1] ? -1 : 0))
+      .slice(0, LARGEST_ACCOUNTS);
+
+    return owners.map(([owner, amount]) => {
+      const address = getAssociatedTokenAddress(mint, owner);
+      this.tokenAccounts.set(address, { mint, owner });
+
+      return {
+        address,
+        amount: amount.toString(),
+        decimals: this.tokenDecimals,
+        uiAmount: Number(amount) / 10 ** this.tokenDecimals,
+        uiAmountString: (Number(amount) / 10 ** this.tokenDecimals).toString(),
+      };
+    });
+  }
+
+  _accountInfo(buf) {
+    return {
+      data: [buf.toString('base64'), 'base64'],
+      executable: false,
+      lamports: 1461600,
+      owner: PublicKey.default.toBase58(),
+      rentEpoch: 0,
+    };
+  }
+
+  _encodeCurve(curve) {
+    const buf = Buffer.alloc(8 + 8 * 5 + 1 + 32);
+    BONDING_CURVE_DISCRIMINATOR.copy(buf, 0);
+    _writeU64(buf, 8, curve.virtualToken);
+    _writeU64(buf, 16, curve.virtualSol);
+    _writeU64(buf, 24, curve.realToken);
+    _writeU64(buf, 32, curve.realSol);
+    _writeU64(buf, 40, curve.supply);
+    buf[48] = curve.complete ? 1 : 0;
+    if (curve.creator) new PublicKey(curve.creator).toBuffer().copy(buf, 49);
+    return buf;
+  }
+
+  // SPL token account layout: mint @0, owner @32, amount @64, state @108 (165 bytes)
+  _encodeTokenAccount(tokenAccount) {
+    const buf = Buffer.alloc(165);
+    new PublicKey(tokenAccount.mint).toBuffer().copy(buf, 0);
+    new PublicKey(tokenAccount.owner).toBuffer().copy(buf, 32);
+    _writeU64(buf, 64, this._balanceOf(tokenAccount));
+    buf[108] = 1;
+    return buf;
+  }
+
+  // SPL mint layout: supply @36, decimals @44, isInitialized @45 (82 bytes)
+  _encodeMint(curve) {
+    const buf = Buffer.alloc(82);
+    _writeU64(buf, 36, curve.supply);
+    buf[44] = this.tokenDecimals;
+    buf[45] = 1;
+    return buf;
+  }
+}
+
+module.exports = { SimMarket };
@@ -0,0 +1,165 @@
+/**
+ * Fee Vault Monitor
+ *
+ * Samples the creator's fee vault, wallet and token balance for each open
+ * position and classifies dump risk from the 5-minute change:
+ * - Fee vault growth spike   = heavy volume (often one-sided selling)
+ * - Creator token balance drop = creator has sold into the curve
+ *
+ * The vault is shared by all of a creator's tokens, so growth must clear
+ * an absolute SOL floor as well as the percentage. A wallet balance rise
+ * is not treated as a sell: claiming vault fees looks exactly the same.
+ */
+
+const config = require('../../config');
+const { getCreatorVaultPda, getAssociatedTokenAddress } = require('../pumpfun/instructions');
+const { systemClock } = require('../utils/clock');
+
+// SPL token account: amount u64 @64. A missing account holds nothing.
+function _tokenAmount(acc) {
+  // Handle both Helius and standard Solana RPC response formats
+  let b64 = acc?.data?.[0];
+  if (!b64 && acc?.data) {
+    b64 = typeof acc.data === 'string' ? acc.data : null;
+  }
+  if (!b64) return 0n;
+
+  const buf = Buffer.from(b64, 'base64');
+  return buf.length >= 72 ? buf.readBigUInt64LE(64) : 0n;
+}
+
+class FeeMonitor {
+  constructor({
+    rpc,
+    sampleIntervalMs = config.feeMonitoring?.sampleIntervalMs || 15000,
+    windowMs = config.feeMonitoring?.windowMs || 5 * 60 * 1000,
+    clock = systemClock,
+  }) {
+    this.rpc = rpc;
+    this.clock = clock;
+    this.sampleIntervalMs = sampleIntervalMs;
+    this.windowMs = windowMs;
+
+    // mint -> [{ t, feeBalance, creatorBalance, creatorTokens }]
+    this.samples = new Map();
+  }
+
+  /**
+   * Sample (throttled) and classify dump risk for a position
+   */
+  async check(position) {
+    const creator = position.curveData?.creator || position.signal?.curveData?.creator;
+    if (!creator) {
+      return { feeBalance: 0, feeChange5m: 0, feeChange5mPct: 0, dumpRisk: 'LOW', reason: 'NO_CREATOR' };
+    }
+
+    const history = this.samples.get(position.mint) || [];
+    const last = history[history.length - 1];
+
+    if (!last || this.clock.now() - last.t >= this.sampleIntervalMs) {
+      const sample = await this._sample(position.mint, creator);
+      if (sample) {
+        history.push(sample);
+        this._prune(history);
+        this.samples.set(position.mint, history);
+      }
+    }
+
+    return this._classify(history);
+  }
+
+  /**
+   * Forget samples for a closed position
+   */
+  forget(mint) {
+    this.samples.delete(mint);
+  }
+
+  async _sample(mint, creator) {
+    const vault = getCreatorVaultPda(creator);
+    const creatorAta = getAssociatedTokenAddress(mint, creator);
+
+    try {
+      const res = await this.rpc('getMultipleAccounts', [
+        [vault, creator, creatorAta],
+        { commitment: 'confirmed', encoding: 'base64' },
+      ]);
+
+      return {
+        t: this.clock.now(),
+        feeBalance: (res?.value?.[0]?.lamports || 0) / 1e9,
+        creatorBalance: (res?.value?.[1]?.lamports || 0) / 1e9,
+        creatorTokens: _tokenAmount(res?.value?.[2]),
+      };
+    } catch (e) {
+      console.error('[fees] sample failed:', creator, e.message);
+      return null;
+    }
+  }
+
+  _prune(history) {
+    // Keep one sample older than the window as the baseline
+    const cutoff = this.clock.now() - this.windowMs;
+    while (history.length > 2 && history[1].t <= cutoff) {
+      history.shift();
+    }
+  }
+
+  _classify(history) {
+    const {
+      alertThresholdSol = 5,
+      spikeThresholdPct = 50,
+      minSpikeSol = 0.5,
+      creatorSoldPct = 25,
+    } = config.feeMonitoring || {};
+
+    const current = history[history.length - 1];
+    if (!current) {
+      return { feeBalance: 0, feeChange5m: 0, feeChange5mPct: 0, dumpRisk: 'LOW', reason: 'NO_SAMPLES' };
+    }
+
+    const base = history[0];
+    const feeChange5m = current.feeBalance - base.feeBalance;
+    const feeChange5mPct = base.feeBalance > 0 ? (feeChange5m / base.feeBalance) * 100 : 0;
+    const creatorChange5m = current.creatorBalance - base.creatorBalance;
+    const creatorChange5mPct = base.creatorBalance > 0 ? (creatorChange5m / base.creatorBalance) * 100 : 0;
+
+    // Share of the creator's own tokens gone since the baseline
+    const baseTokens = base.creatorTokens ?? 0n;
+    const currentTokens = current.creatorTokens ?? 0n;
+    const creatorSold5mPct = baseTokens > 0n && currentTokens < baseTokens
+      ? Number(((baseTokens - currentTokens) * 10000n) / baseTokens) / 100
+      : 0;
+
+    const spike = feeChange5mPct >= spikeThresholdPct && feeChange5m >= minSpikeSol;
+    const rising = feeChange5mPct >= spikeThresholdPct / 2 && feeChange5m >= minSpikeSol / 2;
+
+    let dumpRisk = 'LOW';
+    let reason = null;
+
+    if (history.length >= 2 && creatorSold5mPct >= creatorSoldPct) {
+      dumpRisk = 'HIGH';
+      reason = 'CREATOR_SOLD';
+    } else if (history.length >= 2 && spike) {
+      dumpRisk = 'HIGH';
+      reason = 'FEE_SPIKE';
+    } else if (current.feeBalance >= alertThresholdSol || rising) {
+      dumpRisk = 'MEDIUM';
+      reason = current.feeBalance >= alertThresholdSol ? 'FEE_BALANCE_HIGH' : 'FEE_RISING';
+    }
+
+    return {
+      feeBalance: current.feeBalance,
+      feeChange5m,
+      feeChange5mPct,
+      creatorBalance: current.creatorBalance,
+      creatorChange5mPct,
+      creatorSold5mPct,
+      alert: current.feeBalance >= alertThresholdSol,
+      dumpRisk,
+      reason,
+    };
+  }
+}
+
+module.exports = { FeeMonitor };
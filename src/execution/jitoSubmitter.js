@@ -0,0 +1,135 @@
+/**
+ * Jito Bundle Submitter
+ *
+ * Wraps a signed trade transaction plus a tip transfer into a bundle,
+ * posts it to the block engine and tracks it until it lands or fails.
+ * Callers fall back to plain sendTransaction when the bundle hasn't landed
+ * within a few slots (jito.rpcFallbackMs), not after landTimeoutMs.
+ */
+
+const axios = require('axios');
+const bs58 = require('bs58').default;
+const { PublicKey, SystemProgram, TransactionMessage, VersionedTransaction } = require('@solana/web3.js');
+
+// Default mainnet tip accounts (any one of them accepts tips)
+const DEFAULT_TIP_ACCOUNTS = [
+  '96gYZGLnJYVFmbjzopPSU6QiEV5fGqZNyN9nmNhvrZU5',
+  'HFqU5x63VTqvQss8hp11i4wVV8bD44PvwucfZ2bU7gRe',
+  'Cw8CFyM9FkoMi7K7Crf6HNQqf4uEMzpKw6QNghXLvLkY',
+  'ADaUMid9yfUytqMBgopwjb2DTLSokTSzL1zt6iGPaS49',
+  'DfXygSm4jCyNCybVYYK6DwvWqjKee8pbDmJGcLWNDXjh',
+  'ADuUkR4vqLUMWXxW9gh6D6L8pMSawimctcNZ5pGwDcEt',
+  'DttWaMuVvTiduZRnguLF7jNxTgiMBZ1hyAumKUiL2KRL',
+  '3AVi9Tg9Uo68tJfuvoKvqKNWKkC5wPdSSdeBnizKZ6jT',
+];
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+class JitoSubmitter {
+  constructor({
+    blockEngineUrl = 'https://mainnet.block-engine.jito.wtf',
+    tipAccounts = DEFAULT_TIP_ACCOUNTS,
+    tipLamports = { entry: 1000000, exit: 500000, stopLoss: 1000000 },
+    statusPollMs = 500,
+    landTimeoutMs = 15000,
+    requestTimeoutMs = 3000,
+  } = {}) {
+    this.blockEngineUrl = blockEngineUrl.replace(/\/$/, '');
+    this.tipAccounts = tipAccounts;
+    this.tipLamports = tipLamports;
+    this.statusPollMs = statusPollMs;
+    this.landTimeoutMs = landTimeoutMs;
+    this.requestTimeoutMs = requestTimeoutMs;
+    this._id = 1;
+  }
+
+  async _call(path, method, params) {
+    const res = await axios.post(
+      `${this.blockEngineUrl}${path}`,
+      { jsonrpc: '2.0', id: this._id++, method, params },
+      { timeout: this.requestTimeoutMs }
+    );
+    if (res.data?.error) {
+      throw new Error(`Block engine error: ${res.data.error.message || JSON.stringify(res.data.error)}`);
+    }
+    return res.data?.result;
+  }
+
+  /**
+   * Signed tip transfer sharing the trade's blockhash
+   */
+  buildTipTransaction({ wallet, recentBlockhash, urgency = 'entry' }) {
+    const lamports = this.tipLamports[urgency] ?? this.tipLamports.entry;
+    const tipAccount = this.tipAccounts[Math.floor(Math.random() * this.tipAccounts.length)];
+
+    const message = new TransactionMessage({
+      payerKey: wallet.publicKey,
+      recentBlockhash,
+      instructions: [
+        SystemProgram.transfer({
+          fromPubkey: wallet.publicKey,
+          toPubkey: new PublicKey(tipAccount),
+          lamports,
+        }),
+      ],
+    }).compileToV0Message();
+
+    const tx = new VersionedTransaction(message);
+    tx.sign([wallet]);
+    return tx;
+  }
+
+  async sendBundle(transactions) {
+    const encoded = transactions.map((tx) => Buffer.from(tx.serialize()).toString('base64'));
+    return this._call('/api/v1/bundles', 'sendBundle', [encoded, { encoding: 'base64' }]);
+  }
+
+  async getInflightBundleStatus(bundleId) {
+    const res = await this._call('/api/v1/getInflightBundleStatuses', 'getInflightBundleStatuses', [[bundleId]]);
+    return res?.value?.[0] || null;
+  }
+
+  /**
+   * Submit [transaction, tip] and wait for the bundle to resolve.
+   *
+   * @returns {Promise<{bundleId, landed, status, slot}>}
+   */
+  async submit({ transaction, wallet, urgency = 'entry' }) {
+    const tipTx = this.buildTipTransaction({
+      wallet,
+      recentBlockhash: transaction.message.recentBlockhash,
+      urgency,
+    });
+
+    const bundleId = await this.sendBundle([transaction, tipTx]);
+    console.log('[jito] bundle sent:', {
+      bundleId,
+      signature: bs58.encode(transaction.signatures[0]),
+      urgency,
+    });
+
+    const deadline = Date.now() + this.landTimeoutMs;
+    let status = 'Pending';
+
+    while (Date.now() < deadline) {
+      const info = await this.getInflightBundleStatus(bundleId).catch(() => null);
+      status = info?.status || status;
+
+      if (status === 'Landed') {
+        console.log('[jito] bundle landed:', { bundleId, slot: info.landed_slot });
+        return { bundleId, landed: true, status, slot: info.landed_slot ?? null };
+      }
+      if (status === 'Failed' || status === 'Invalid') {
+        console.warn('[jito] bundle not landed:', { bundleId, status });
+        return { bundleId, landed: false, status, slot: null };
+      }
+
+      await sleep(this.statusPollMs);
+    }
+
+    console.warn('[jito] bundle status timed out:', bundleId);
+    return { bundleId, landed: false, status: 'Timeout', slot: null };
+  }
+}
+
+module.exports = { JitoSubmitter, DEFAULT_TIP_ACCOUNTS };
@@ -1,4 +1,5 @@
 const axios = require('axios');
+const { quoteBuy } = require('../pumpfun/curveQuote');
 
 /**
  * Get quote from Jupiter V6 API
@@ -51,25 +52,26 @@ function calculateTokensForSol(solAmount, price) {
 
 /**
  * Get simulated quote based on bonding curve
+ * Exact constant-product math including the protocol fee
  */
 function simulateQuote({ curveData, solAmount }) {
   if (!curveData || !curveData.virtualSol || !curveData.virtualToken) {
     return null;
   }
 
-  const price = estimatePriceFromCurve(
-    curveData.virtualSol,
-    curveData.virtualToken
-  );
+  const q = quoteBuy({
+    curve: curveData,
+    solAmount: BigInt(Math.floor(solAmount * 1e9)),
+  });
 
-  if (!price || price === 0) return null;
+  if (!q) return null;
 
-  const tokens = calculateTokensForSol(solAmount, price);
-  
   return {
-    inAmount: Math.floor(solAmount * 1e9), // SOL in lamports
-    outAmount: Math.floor(tokens * 1e6),   // Token with 6 decimals
-    priceImpactPct: 0,
+    inAmount: q.inAmount.toString(),  // SOL in lamports
+    outAmount: q.outAmount.toString(), // Raw token units
+    priceImpactPct: q.priceImpactPct,
+    effectivePrice: q.effectivePrice,
+    postReserves: q.postReserves,
     routePlan: [],
     context: 'curve-based',
   };
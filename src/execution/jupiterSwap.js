@@ -6,9 +6,21 @@
 const { PublicKey, VersionedTransaction, TransactionMessage } = require('@solana/web3.js');
 const axios = require('axios');
 const config = require('../../config');
+const { SOL_MINT, sendAndConfirm } = require('./txSender');
+const { estimatePriorityFee, capComputeUnitPrice } = require('./priorityFees');
 
 const JUPITER_API = 'https://quote-api.jup.ag/v6';
 
+/**
+ * Errors raised before anything is signed or sent carry code NO_ROUTE,
+ * the only case where callers may try another venue
+ */
+function _noRoute(message, cause) {
+  const err = new Error(cause ? `${message}: ${cause.message}` : message);
+  err.code = 'NO_ROUTE';
+  return err;
+}
+
 /**
  * Get a quote from Jupiter
  */
@@ -27,15 +39,14 @@ async function getQuote({ inputMint, outputMint, amount, slippageBps }) {
 /**
  * Get the swap transaction from Jupiter
  */
-async function getSwapTransaction({ quoteResponse, userPublicKey }) {
-  const params = new URLSearchParams({
-    quoteResponse: JSON.stringify(quoteResponse),
+async function getSwapTransaction({ quoteResponse, userPublicKey, computeUnitPriceMicroLamports }) {
+  const res = await axios.post(`${JUPITER_API}/swap`, {
+    quoteResponse,
     userPublicKey: userPublicKey.toString(),
-    wrapUnwrapSol: 'true',
-  });
-
-  const res = await axios.post(`${JUPITER_API}/swap`, params, {
-    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    wrapAndUnwrapSol: true,
+    // Jupiter simulates and sets the compute unit limit itself
+    dynamicComputeUnitLimit: true,
+    ...(computeUnitPriceMicroLamports ? { computeUnitPriceMicroLamports } : {}),
   });
 
   return res.data;
@@ -43,10 +54,10 @@ async function getSwapTransaction({ quoteResponse, userPublicKey }) {
 
 /**
  * Execute a buy order (SOL -> Token)
+ * Returns the confirmed signature and actual lamports spent / tokens received
  */
-async function buy({ mint, amountSolLamports, wallet }) {
-  const { slippageBps } = config.trading;
-  const inputMint = 'So11111111111111111111111111111111111111112'; // SOL
+async function buy({ mint, amountSolLamports, wallet, rpc, slippageBps = config.trading.slippageBps, urgency = 'entry' }) {
+  const inputMint = SOL_MINT;
   const outputMint = mint;
 
   // Step 1: Get quote
@@ -55,10 +66,12 @@ async function buy({ mint, amountSolLamports, wallet }) {
     outputMint,
     amount: amountSolLamports,
     slippageBps,
+  }).catch((e) => {
+    throw _noRoute('Jupiter quote failed', e);
   });
 
   if (!quote || Number(quote.outAmount) === 0) {
-    throw new Error('Failed to get valid quote');
+    throw _noRoute('Failed to get valid quote');
   }
 
   console.log('[buy] quote received:', {
@@ -69,32 +82,68 @@ async function buy({ mint, amountSolLamports, wallet }) {
   });
 
   // Step 2: Get swap transaction
+  const { computeUnitLimit = { buy: 120000 } } = config.priorityFees || {};
   const swapTx = await getSwapTransaction({
     quoteResponse: quote,
     userPublicKey: wallet.publicKey.toString(),
+    computeUnitPriceMicroLamports: await estimatePriorityFee({
+      rpc,
+      accounts: [mint],
+      urgency,
+      units: computeUnitLimit.buy,
+    }),
+  }).catch((e) => {
+    throw _noRoute('Jupiter swap build failed', e);
   });
 
-  // Step 3: Deserialize and sign
+  // Step 3: Deserialize
   const transaction = VersionedTransaction.deserialize(
     Buffer.from(swapTx.swapTransaction, 'base64')
   );
 
-  // Step 4: Sign with wallet (simplified - would need proper key handling)
-  // For now, return the unsigned transaction
+  // The price was estimated for the configured CU limit, Jupiter sets its own
+  const budget = capComputeUnitPrice(transaction);
+  if (budget.capped) console.log('[buy] priority fee capped:', budget);
+
+  // Step 4: Sign, send and confirm
+  const result = await sendAndConfirm({
+    rpc,
+    transaction,
+    wallet,
+    mint,
+    lastValidBlockHeight: swapTx.lastValidBlockHeight,
+    urgency,
+  });
+
+  // Actual fill from the landed transaction, quote as fallback
+  const inAmount = result.solChange !== null ? -result.solChange : BigInt(quote.inAmount);
+  const outAmount = result.tokenChange !== null ? result.tokenChange : BigInt(quote.outAmount);
+
+  console.log('[buy] filled:', {
+    signature: result.signature,
+    inAmount: inAmount.toString(),
+    outAmount: outAmount.toString(),
+  });
+
   return {
+    signature: result.signature,
+    slot: result.slot,
     quote,
-    transaction,
+    inAmount: inAmount.toString(),
+    outAmount: outAmount.toString(),
+    fee: result.fee?.toString() ?? null,
+    rent: result.rent?.toString() ?? null,
     walletPublicKey: wallet.publicKey.toString(),
   };
 }
 
 /**
  * Execute a sell order (Token -> SOL)
+ * Returns the confirmed signature and actual tokens sold / lamports received
  */
-async function sell({ mint, amountTokenLamports, wallet }) {
-  const { slippageBps } = config.trading;
+async function sell({ mint, amountTokenLamports, wallet, rpc, slippageBps = config.trading.slippageBps, urgency = 'exit' }) {
   const inputMint = mint;
-  const outputMint = 'So11111111111111111111111111111111111111112'; // SOL
+  const outputMint = SOL_MINT;
 
   // Step 1: Get quote
   const quote = await getQuote({
@@ -102,10 +151,12 @@ async function sell({ mint, amountTokenLamports, wallet }) {
     outputMint,
     amount: amountTokenLamports,
     slippageBps,
+  }).catch((e) => {
+    throw _noRoute('Jupiter quote failed', e);
   });
 
   if (!quote || Number(quote.outAmount) === 0) {
-    throw new Error('Failed to get valid quote');
+    throw _noRoute('Failed to get valid quote');
   }
 
   console.log('[sell] quote received:', {
@@ -116,9 +167,18 @@ async function sell({ mint, amountTokenLamports, wallet }) {
   });
 
   // Step 2: Get swap transaction
+  const { computeUnitLimit = { sell: 100000 } } = config.priorityFees || {};
   const swapTx = await getSwapTransaction({
     quoteResponse: quote,
     userPublicKey: wallet.publicKey.toString(),
+    computeUnitPriceMicroLamports: await estimatePriorityFee({
+      rpc,
+      accounts: [mint],
+      urgency,
+      units: computeUnitLimit.sell,
+    }),
+  }).catch((e) => {
+    throw _noRoute('Jupiter swap build failed', e);
   });
 
   // Step 3: Deserialize
@@ -126,9 +186,38 @@ async function sell({ mint, amountTokenLamports, wallet }) {
     Buffer.from(swapTx.swapTransaction, 'base64')
   );
 
+  // The price was estimated for the configured CU limit, Jupiter sets its own
+  const budget = capComputeUnitPrice(transaction);
+  if (budget.capped) console.log('[sell] priority fee capped:', budget);
+
+  // Step 4: Sign, send and confirm
+  const result = await sendAndConfirm({
+    rpc,
+    transaction,
+    wallet,
+    mint,
+    lastValidBlockHeight: swapTx.lastValidBlockHeight,
+    urgency,
+  });
+
+  // Actual fill from the landed transaction, quote as fallback
+  const inAmount = result.tokenChange !== null ? -result.tokenChange : BigInt(quote.inAmount);
+  const outAmount = result.solChange !== null ? result.solChange : BigInt(quote.outAmount);
+
+  console.log('[sell] filled:', {
+    signature: result.signature,
+    inAmount: inAmount.toString(),
+    outAmount: outAmount.toString(),
+  });
+
   return {
+    signature: result.signature,
+    slot: result.slot,
     quote,
-    transaction,
+    inAmount: inAmount.toString(),
+    outAmount: outAmount.toString(),
+    fee: result.fee?.toString() ?? null,
+    rent: result.rent?.toString() ?? null,
     walletPublicKey: wallet.publicKey.toString(),
   };
 }
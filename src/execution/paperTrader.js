@@ -0,0 +1,252 @@
+/**
+ * Paper Trader
+ *
+ * Virtual wallet for PAPER mode. Fills are priced from live market data
+ * the same way the on-curve swap layer builds its transactions:
+ * - Quote against a fresh curve read, set maxSolCost / minSolOutput from slippage
+ * - Wait fillLatencyMs (send + land), re-read the curve
+ * - Fill at the new price, or fail like the program would if slippage is exceeded
+ * Network and priority fees are charged on every attempt, failed or not.
+ * Our fills don't move the real curve, so price impact only shows in our own fill.
+ */
+
+const config = require('../../config');
+const { fetchBondingCurve, getBondingCurvePda } = require('../scanner/pumpCurve');
+const { quoteBuy, quoteBuyExactOut, quoteSell } = require('../pumpfun/curveQuote');
+const { jupiterQuote } = require('./jupiterQuote');
+const { estimatePriorityFee } = require('./priorityFees');
+const { SOL_MINT } = require('./txSender');
+const { systemClock } = require('../utils/clock');
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+class PaperTrader {
+  constructor({
+    rpc,
+    startingBalanceSol = config.paper?.startingBalanceSol ?? 1,
+    fillLatencyMs = config.paper?.fillLatencyMs ?? 400,
+    networkFeeLamports = config.paper?.networkFeeLamports ?? 5000,
+    usePriorityFees = config.paper?.usePriorityFees !== false,
+    quote = jupiterQuote,
+    clock = systemClock,
+  }) {
+    this.rpc = rpc;
+    this.fillLatencyMs = fillLatencyMs;
+    this.networkFeeLamports = networkFeeLamports;
+    this.usePriorityFees = usePriorityFees;
+    this.quote = quote;
+    this.clock = clock;
+
+    this.startingBalanceLamports = Math.floor(startingBalanceSol * 1e9);
+    this.balanceLamports = this.startingBalanceLamports;
+    this.holdings = new Map(); // mint -> raw tokens (BigInt)
+
+    this.fills = 0;
+    this.stats = { buys: 0, sells: 0, failed: 0, feesLamports: 0 };
+  }
+
+  getBalance() {
+    return this.balanceLamports;
+  }
+
+  getHolding(mint) {
+    return this.holdings.get(mint) || 0n;
+  }
+
+  /**
+   * Buy on the bonding curve, spending `amountSolLamports` (fee included)
+   */
+  async buy({ mint, amountSolLamports, slippageBps = config.trading.slippageBps, urgency = 'entry' }) {
+    const lamports = BigInt(amountSolLamports);
+    const txFee = await this._txFee({ mint, side: 'buy', urgency });
+
+    if (BigInt(this.balanceLamports) < lamports + txFee) {
+      const err = new Error('Insufficient paper balance');
+      err.code = 'INSUFFICIENT_BALANCE';
+      throw err;
+    }
+
+    const curve = await this._loadTradableCurve(mint);
+    const q = quoteBuy({ curve, solAmount: lamports });
+    if (!q) {
+      throw new Error('Curve quote returned zero tokens');
+    }
+
+    const tokenAmount = q.outAmount;
+    const maxSolCost = (q.inAmount * BigInt(10000 + slippageBps)) / 10000n;
+
+    // Price when the transaction lands
+    await sleep(this.fillLatencyMs);
+    const landed = quoteBuyExactOut({ curve: await this._loadTradableCurve(mint), tokenAmount });
+
+    const signature = this._signature('buy');
+    this._charge(txFee);
+
+    if (!landed || landed.inAmount > maxSolCost) {
+      throw this._failed(signature, 'Slippage exceeded: cost above maxSolCost', {
+        mint,
+        maxSolCost: maxSolCost.toString(),
+        cost: landed?.inAmount.toString() ?? null,
+      });
+    }
+
+    this.balanceLamports -= Number(landed.inAmount);
+    this.holdings.set(mint, this.getHolding(mint) + tokenAmount);
+    this.stats.buys++;
+
+    // Same shape as the swap layer: inAmount is the wallet's SOL change
+    const fill = {
+      signature,
+      slot: null,
+      inAmount: (landed.inAmount + txFee).toString(),
+      outAmount: tokenAmount.toString(),
+      fee: txFee.toString(),
+      context: 'paper-curve',
+    };
+
+    console.log('[paper] buy filled:', { mint, ...fill, balanceSol: (this.balanceLamports / 1e9).toFixed(4) });
+    return fill;
+  }
+
+  /**
+   * PositionManager exit hook: ({ position, tokens, slippageBps, urgency }) -> fill
+   */
+  async sell({ position, tokens, slippageBps = config.trading.slippageBps, urgency = 'exit' }) {
+    const { mint } = position;
+    const tokenAmount = BigInt(Math.floor(tokens));
+
+    if (tokenAmount <= 0n || tokenAmount > this.getHolding(mint)) {
+      throw new Error(`Paper wallet holds ${this.getHolding(mint)} tokens, asked to sell ${tokenAmount}`);
+    }
+
+    const txFee = await this._txFee({ mint, side: 'sell', urgency });
+
+    // Same routing as sellRouter: curve until graduation, then the pool
+    let solOut;
+    if (!position.graduated) {
+      try {
+        solOut = await this._sellOnCurve({ mint, tokenAmount, slippageBps });
+      } catch (e) {
+        if (!/graduated|not found/i.test(e.message)) throw e;
+        console.log('[paper] curve unavailable, routing via Jupiter:', mint);
+        position.graduated = true;
+      }
+    }
+    if (position.graduated) {
+      solOut = await this._sellViaPool({ mint, tokenAmount, slippageBps });
+    }
+
+    const signature = this._signature('sell');
+    this._charge(txFee);
+
+    if (solOut === null) {
+      throw this._failed(signature, 'Slippage exceeded: output below minSolOutput', { mint, slippageBps });
+    }
+
+    this.balanceLamports += Number(solOut);
+    this.holdings.set(mint, this.getHolding(mint) - tokenAmount);
+    if (this.holdings.get(mint) <= 0n) this.holdings.delete(mint);
+    this.stats.sells++;
+
+    // outAmount is the wallet's SOL change, net of the transaction fee
+    const net = solOut > txFee ? solOut - txFee : 0n;
+    const fill = {
+      signature,
+      slot: null,
+      inAmount: tokenAmount.toString(),
+      outAmount: net.toString(),
+      fee: txFee.toString(),
+      context: position.graduated ? 'paper-pool' : 'paper-curve',
+    };
+
+    console.log('[paper] sell filled:', { mint, ...fill, balanceSol: (this.balanceLamports / 1e9).toFixed(4) });
+    return fill;
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      balanceSol: this.balanceLamports / 1e9,
+      pnlSol: (this.balanceLamports - this.startingBalanceLamports) / 1e9,
+      holdings: this.holdings.size,
+    };
+  }
+
+  // Returns SOL out at landing, or null when minSolOutput isn't met
+  async _sellOnCurve({ mint, tokenAmount, slippageBps }) {
+    const q = quoteSell({ curve: await this._loadTradableCurve(mint), tokenAmount });
+    if (!q) {
+      throw new Error('Curve quote returned zero SOL');
+    }
+
+    const minSolOutput = (q.outAmount * BigInt(Math.max(0, 10000 - slippageBps))) / 10000n;
+
+    await sleep(this.fillLatencyMs);
+    const landed = quoteSell({ curve: await this._loadTradableCurve(mint), tokenAmount });
+
+    if (!landed || landed.outAmount < minSolOutput) return null;
+    return landed.outAmount;
+  }
+
+  async _sellViaPool({ mint, tokenAmount, slippageBps }) {
+    const args = { inputMint: mint, outputMint: SOL_MINT, amount: tokenAmount.toString(), slippageBps };
+    const q = await this.quote(args);
+    const minOut = BigInt(q.otherAmountThreshold ?? q.outAmount);
+
+    await sleep(this.fillLatencyMs);
+    const landed = await this.quote(args);
+
+    const out = BigInt(landed.outAmount);
+    return out < minOut ? null : out;
+  }
+
+  async _loadTradableCurve(mint) {
+    const curve = await fetchBondingCurve({ rpc: this.rpc, mint });
+    if (!curve) {
+      throw new Error('Bonding curve not found');
+    }
+    if (curve.complete) {
+      throw new Error('Bonding curve complete - token has graduated');
+    }
+    return curve;
+  }
+
+  // Base fee plus the priority fee the live swap layer would attach
+  async _txFee({ mint, side, urgency }) {
+    let priority = 0;
+    if (this.usePriorityFees) {
+      const { computeUnitLimit = { buy: 120000, sell: 100000 } } = config.priorityFees || {};
+      const units = computeUnitLimit[side];
+      const microLamports = await estimatePriorityFee({
+        rpc: this.rpc,
+        accounts: [getBondingCurvePda(mint)],
+        urgency,
+        units,
+      });
+      priority = Math.ceil((units * microLamports) / 1e6);
+    }
+    return BigInt(this.networkFeeLamports + priority);
+  }
+
+  _charge(feeLamports) {
+    this.balanceLamports -= Number(feeLamports);
+    this.stats.feesLamports += Number(feeLamports);
+  }
+
+  // A failed fill still "landed" and paid its fee, like a reverted transaction
+  _failed(signature, message, details) {
+    this.stats.failed++;
+    console.log('[paper] fill failed:', { signature, reason: message, ...details });
+
+    const err = new Error(message);
+    err.code = 'SLIPPAGE_EXCEEDED';
+    err.signature = signature;
+    return err;
+  }
+
+  _signature(side) {
+    return `paper-${side}-${this.clock.now().toString(36)}-${++this.fills}`;
+  }
+}
+
+module.exports = { PaperTrader };
@@ -4,25 +4,40 @@
  * Manages open positions with:
  * - Tiered exits (+50%, +100%)
  * - Stop loss (-15%)
+ * - Trailing, break-even and volatility stops
  * - Time decay
  * - Fee monitoring
  */
 
 const EventEmitter = require('events');
 const config = require('../../config');
+const { quoteSell } = require('../pumpfun/curveQuote');
+const { PriceFeed } = require('./priceFeed');
+const { FeeMonitor } = require('./feeMonitor');
+const { sellPosition } = require('./sellRouter');
+const { parseBalanceChanges } = require('./txSender');
+const { exitUrgency } = require('./priorityFees');
+const { analyzeMomentum, averageTrueRangePct } = require('./priceHistory');
+const { systemClock } = require('../utils/clock');
 
 class PositionManager extends EventEmitter {
-  constructor({ rpc, wallet }) {
+  constructor({ rpc, wallet, priceFeed, feeMonitor, sell, clock = systemClock, startMonitoring = true }) {
     super();
     this.rpc = rpc;
     this.wallet = wallet;
+    this.clock = clock;
+    this.priceFeed = priceFeed || new PriceFeed({ rpc, clock });
+    this.feeMonitor = feeMonitor || new FeeMonitor({ rpc, clock });
+    
+    // Exit execution: ({ position, tokens, slippageBps, urgency }) -> confirmed fill
+    this.sell = sell || ((args) => sellPosition({ ...args, wallet: this.wallet, rpc: this.rpc }));
     
     // Open positions
     this.positions = new Map(); // mint -> position
     
     // Daily stats
     this.dailyStats = {
-      date: new Date().toISOString().split('T')[0],
+      date: new Date(this.clock.now()).toISOString().split('T')[0],
       trades: [],
       totalPnL: 0,
       wins: 0,
@@ -30,8 +45,8 @@ class PositionManager extends EventEmitter {
       aborted: 0,
     };
     
-    // Start monitoring loop
-    this._startMonitoring();
+    // Start monitoring loop (the backtester drives checkPositions() itself)
+    if (startMonitoring) this._startMonitoring();
   }
 
   _startMonitoring() {
@@ -42,17 +57,37 @@ class PositionManager extends EventEmitter {
     setInterval(() => this._checkDailyReset(), 60000).unref?.();
   }
 
-  async openPosition({ mint, entryPrice, tokens, solInvested, signal }) {
+  /**
+   * One monitoring pass: daily reset, then evaluate every open position
+   */
+  async checkPositions() {
+    this._checkDailyReset();
+    await this._checkPositions();
+  }
+
+  /**
+   * Why a new position would be refused right now (MAX_POSITIONS or
+   * DAILY_LOSS_LIMIT), or null. Check it before sending a buy.
+   */
+  entryBlockedReason() {
     const { maxPositions, dailyLossLimitPct } = config.trading;
-    
+
+    if (this.positions.size >= maxPositions) return 'MAX_POSITIONS';
+    if (this._isDailyLossLimitHit(dailyLossLimitPct)) return 'DAILY_LOSS_LIMIT';
+    return null;
+  }
+
+  async openPosition({ mint, entryPrice, tokens, solInvested, signal, entrySignature = null }) {
+    const blocked = this.entryBlockedReason();
+
     // Check max positions
-    if (this.positions.size >= maxPositions) {
+    if (blocked === 'MAX_POSITIONS') {
       console.log('[position] max positions reached');
       return null;
     }
     
     // Check daily loss limit
-    if (this._isDailyLossLimitHit(dailyLossLimitPct)) {
+    if (blocked === 'DAILY_LOSS_LIMIT') {
       console.log('[position] daily loss limit hit - blocking new entries');
       this.emit('circuitBreaker', { reason: 'DAILY_LOSS_LIMIT' });
       return null;
@@ -61,23 +96,31 @@ class PositionManager extends EventEmitter {
     const position = {
       mint,
       entryPrice,
-      entryTime: Date.now(),
+      entryTime: this.clock.now(),
       tokens,
       solInvested,
       signal,
+      entrySignature,
+      
+      // Live market data (refreshed by the price feed)
+      curveData: signal?.curveData || null,
+      priceHistory: [],
+      graduated: false,
       
       // State
-      state: 'IN_POSITION', // IN_POSITION, TIER_1_EXITED, CLOSED, STOPPED
+      state: 'IN_POSITION', // IN_POSITION, TIER_1_EXITED, EXIT_PENDING, CLOSED, STOPPED
       
       // Tracking
       entrySlot: await this._getCurrentSlot(),
-      lastCheckTime: Date.now(),
+      lastCheckTime: this.clock.now(),
       
       // Exit tracking
       tier1Exited: false,
       tier2Exited: false,
       remainingTokens: tokens,
+      solReceived: 0,
       realizedPnL: 0,
+      exitSignatures: [],
     };
 
     this.positions.set(mint, position);
@@ -94,11 +137,98 @@ class PositionManager extends EventEmitter {
     return position;
   }
 
+  /**
+   * Track tokens the wallet already holds (e.g. found by the reconciler).
+   * Bypasses entry limits - the tokens are held either way.
+   */
+  async adoptPosition({ mint, tokens, entryPrice, curveData }) {
+    if (this.positions.has(mint)) return null;
+
+    const position = {
+      mint,
+      entryPrice,
+      entryTime: this.clock.now(),
+      tokens,
+      solInvested: (tokens * entryPrice) / 1e9,
+      signal: { mint, tier: null, curveData },
+      entrySignature: null,
+      adopted: true,
+      
+      curveData: curveData || null,
+      priceHistory: [],
+      graduated: false,
+      
+      state: 'IN_POSITION',
+      
+      entrySlot: await this._getCurrentSlot(),
+      lastCheckTime: this.clock.now(),
+      
+      tier1Exited: false,
+      tier2Exited: false,
+      remainingTokens: tokens,
+      solReceived: 0,
+      realizedPnL: 0,
+      exitSignatures: [],
+    };
+
+    this.positions.set(mint, position);
+
+    console.log('[position] adopted:', { mint, tokens, entryPrice });
+
+    this.emit('opened', position);
+
+    return position;
+  }
+
+  /**
+   * Close a position whose tokens have left the wallet (sold or moved
+   * elsewhere) without trying to sell them. Whatever was not already
+   * realized is booked as lost.
+   */
+  async writeOffPosition(mint, reason = 'MISSING') {
+    const position = this.positions.get(mint);
+    if (!position || position.state === 'EXIT_PENDING') return false;
+
+    console.log('[position] writing off:', { mint, reason, remainingTokens: position.remainingTokens });
+
+    position.remainingTokens = 0;
+    return this._executeFullExit(position, reason);
+  }
+
   async _checkPositions() {
+    // A slow sell can outlast the interval - don't overlap checks
+    if (this._checking) return;
+    this._checking = true;
+
+    try {
+      await this._checkOpenPositions();
+    } finally {
+      this._checking = false;
+    }
+  }
+
+  async _checkOpenPositions() {
+    const open = Array.from(this.positions.values()).filter(
+      (p) => p.state !== 'CLOSED' && p.state !== 'STOPPED' && p.state !== 'EXIT_PENDING'
+    );
+    if (open.length === 0) return;
+
+    // Re-read the market before evaluating exits
+    try {
+      await this.priceFeed.refresh(open);
+    } catch (e) {
+      console.error('[position] price refresh error:', e.message);
+    }
+
     for (const [mint, position] of this.positions) {
-      if (position.state === 'CLOSED' || position.state === 'STOPPED') {
+      if (position.state === 'CLOSED' || position.state === 'STOPPED' || position.state === 'EXIT_PENDING') {
         continue;
       }
+      // The reconciler found the tokens gone - selling them would only fail
+      if (position.drift === 'MISSING') continue;
+
+      // An earlier sell may still land - never send another on top of it
+      if (position.unconfirmedSell && !(await this._settleUnconfirmedSell(position))) continue;
 
       try {
         await this._evaluatePosition(mint, position);
@@ -110,30 +240,33 @@ class PositionManager extends EventEmitter {
 
   async _evaluatePosition(mint, position) {
     const { exit } = config;
-    const now = Date.now();
+    const now = this.clock.now();
     
-    // Get current price from curve data
-    let currentPrice = null;
-    if (position.signal?.curveData?.virtualSol && position.signal?.curveData?.virtualToken) {
-      const virtualSol = BigInt(position.signal.curveData.virtualSol);
-      const virtualToken = BigInt(position.signal.curveData.virtualToken);
-      if (virtualToken > 0n) {
-        currentPrice = Number(virtualSol) / Number(virtualToken);
-      }
-    }
-    
-    if (!currentPrice) return;
+    // Value the remaining tokens as if sold into the market now
+    const valuation = this._valuePosition(position);
+    if (!valuation) return;
+
+    const { currentPrice, exitPrice } = valuation;
 
     // Calculate PnL correctly
     // entryPrice = SOL invested / tokens received
-    // So PnL = (currentPrice - entryPrice) / entryPrice * 100
-    const pnlPct = ((currentPrice - position.entryPrice) / position.entryPrice) * 100;
+    // exitPrice  = SOL received / tokens sold (after fee and price impact)
+    // So PnL = (exitPrice - entryPrice) / entryPrice * 100
+    const pnlPct = ((exitPrice - position.entryPrice) / position.entryPrice) * 100;
     
     // Update position
     position.currentPrice = currentPrice;
+    position.exitPrice = exitPrice;
+    position.exitValueSol = valuation.exitValueSol;
     position.pnlPct = pnlPct;
     position.lastCheckTime = now;
 
+    // High-water mark for trailing stops
+    if (!position.highWaterPrice || exitPrice > position.highWaterPrice) {
+      position.highWaterPrice = exitPrice;
+      position.highWaterPnlPct = pnlPct;
+    }
+
     // === Check Tier 1 Exit (+50% to +100%) ===
     if (exit.tier1.enabled && !position.tier1Exited && position.state === 'IN_POSITION') {
       if (pnlPct >= exit.tier1.minPct && pnlPct <= exit.tier1.maxPct) {
@@ -143,9 +276,11 @@ class PositionManager extends EventEmitter {
           exitReason: 'TIER_1_PROFIT',
         });
         
-        await this._executePartialExit(position, exit.tier1.exitPct, 'TIER_1_PROFIT');
-        position.tier1Exited = true;
-        position.state = 'TIER_1_EXITED';
+        const sold = await this._executePartialExit(position, exit.tier1.exitPct, 'TIER_1_PROFIT');
+        if (sold) {
+          position.tier1Exited = true;
+          position.state = 'TIER_1_EXITED';
+        }
         return;
       }
     }
@@ -154,12 +289,16 @@ class PositionManager extends EventEmitter {
     if (exit.tier2.enabled && !position.tier2Exited) {
       if (pnlPct >= exit.tier2.minPct) {
         // Check for parabolic move
-        const recentChange = await this._checkParabolicMove(position);
+        const parabolic = this._checkParabolicMove(position);
         
-        if (recentChange > 20) { // 20% move in short window
+        if (parabolic.triggered) {
           console.log('[position] 🚀 TIER 2 EXIT (parabolic):', {
             mint,
             pnlPct: pnlPct.toFixed(2),
+            signal: parabolic.reason,
+            shortReturnPct: parabolic.shortReturnPct.toFixed(2),
+            accelerationPct: parabolic.accelerationPct.toFixed(2),
+            retracePct: parabolic.retracePct.toFixed(2),
           });
           
           await this._executeFullExit(position, 'TIER_2_PROFIT');
@@ -168,6 +307,19 @@ class PositionManager extends EventEmitter {
       }
     }
 
+    // === Check Dynamic Stops (break-even, trailing, volatility) ===
+    const stopReason = this._checkDynamicStops(position);
+    if (stopReason) {
+      console.log('[position] 🛑 ' + stopReason.replace(/_/g, ' ') + ':', {
+        mint,
+        pnlPct: pnlPct.toFixed(2),
+        highWaterPnlPct: position.highWaterPnlPct?.toFixed(2),
+      });
+      
+      await this._executeFullExit(position, stopReason);
+      return;
+    }
+
     // === Check Stop Loss ===
     if (exit.stopLoss.enabled) {
       if (pnlPct <= exit.stopLoss.pct) {
@@ -202,12 +354,21 @@ class PositionManager extends EventEmitter {
     }
 
     // === Check Fee Balance (dump detection) ===
-    const feeCheck = await this._checkFeeBalance(mint);
-    if (feeCheck.dumpRisk === 'HIGH' && exit.feeSpikeExit) {
+    const feeCheck = await this._checkFeeBalance(position);
+    position.feeCheck = feeCheck;
+
+    if (feeCheck.alert && !position.feeAlertSent) {
+      position.feeAlertSent = true;
+      this.emit('feeAlert', { position, feeCheck });
+    }
+
+    if (feeCheck.dumpRisk === 'HIGH' && config.feeMonitoring.feeSpikeExit) {
       console.log('[position] ⚠️ FEE SPIKE EXIT:', {
         mint,
+        reason: feeCheck.reason,
         feeBalance: feeCheck.feeBalance,
         feeChange: feeCheck.feeChange5m,
+        feeChangePct: feeCheck.feeChange5mPct.toFixed(1),
       });
       
       await this._executeFullExit(position, 'FEE_SPIKE');
@@ -215,34 +376,221 @@ class PositionManager extends EventEmitter {
     }
   }
 
+  /**
+   * Sell through the swap layer, escalating slippage on each failed attempt.
+   * The position sits in EXIT_PENDING until the sell confirms or gives up.
+   * Only a sell that can no longer land is retried; one that may still
+   * land is looked up, and left in `unconfirmedSell` if it is still unknown.
+   */
+  async _sellWithRetry(position, tokens, reason) {
+    const {
+      attempts = 3,
+      slippageStepBps = 1000,
+      maxSlippageBps = 5000,
+    } = config.exit.sellRetry || {};
+    const baseSlippageBps = config.trading.slippageBps;
+
+    const previousState = position.state;
+    position.state = 'EXIT_PENDING';
+    position.pendingExit = { reason, tokens, startedAt: this.clock.now() };
+
+    let lastError = null;
+    try {
+      for (let attempt = 0; attempt < attempts; attempt++) {
+        const slippageBps = Math.min(maxSlippageBps, baseSlippageBps + attempt * slippageStepBps);
+
+        try {
+          const fill = await this.sell({ position, tokens, slippageBps, urgency: exitUrgency(reason) });
+          position.exitSignatures.push(fill.signature);
+          return fill;
+        } catch (e) {
+          lastError = e;
+          console.error('[position] sell attempt failed:', {
+            mint: position.mint,
+            attempt: attempt + 1,
+            slippageBps,
+            error: e.message,
+          });
+
+          if (this._canResend(e)) continue;
+
+          const outcome = await this._sellOutcome(position, e.signature);
+          if (outcome.status === 'LANDED') {
+            position.exitSignatures.push(e.signature);
+            return outcome.fill;
+          }
+          if (outcome.status === 'UNKNOWN') {
+            console.warn('[position] sell may still land, not resending:', position.mint, e.signature);
+            position.unconfirmedSell = { signature: e.signature, tokens, reason, sentAt: this.clock.now() };
+            break;
+          }
+        }
+      }
+    } finally {
+      position.state = previousState;
+      position.pendingExit = null;
+    }
+
+    console.error('[position] ❌ exit failed, keeping position open:', position.mint, reason);
+    this.emit('exitFailed', { position, reason, error: lastError?.message });
+    return null;
+  }
+
+  /**
+   * A failed sell may be sent again only when nothing of it can land: it was
+   * never sent (no signature, or refused by simulation), failed on-chain,
+   * or its blockhash expired
+   */
+  _canResend(e) {
+    return !e.signature
+      || e.code === 'SIMULATION_FAILED'
+      || e.code === 'BLOCKHASH_EXPIRED'
+      || !!e.txError;
+  }
+
+  /**
+   * Look up a sell that may have been sent: LANDED with its fill read from
+   * the transaction, FAILED on-chain, or UNKNOWN while it may still land
+   */
+  async _sellOutcome(position, signature) {
+    const res = await this.rpc('getSignatureStatuses', [
+      [signature],
+      { searchTransactionHistory: true },
+    ]).catch(() => null);
+
+    const status = res?.value?.[0];
+    if (!status) return { status: 'UNKNOWN' };
+    if (status.err) return { status: 'FAILED' };
+    if (status.confirmationStatus !== 'confirmed' && status.confirmationStatus !== 'finalized') {
+      return { status: 'UNKNOWN' };
+    }
+
+    const tx = await this.rpc('getTransaction', [
+      signature,
+      { commitment: 'confirmed', maxSupportedTransactionVersion: 0 },
+    ]).catch(() => null);
+
+    const changes = parseBalanceChanges({
+      tx,
+      owner: this.wallet?.publicKey.toString(),
+      mint: position.mint,
+    });
+    if (!changes) return { status: 'UNKNOWN' };
+
+    return {
+      status: 'LANDED',
+      fill: {
+        signature,
+        slot: status.slot,
+        inAmount: (-changes.tokenChange).toString(),
+        outAmount: changes.solChange.toString(),
+        fee: changes.fee.toString(),
+      },
+    };
+  }
+
+  /**
+   * Resolve the sell left in `unconfirmedSell`. Returns true once the
+   * position may be evaluated (and sold) again, false while the sell is
+   * pending or after it closed the position.
+   */
+  async _settleUnconfirmedSell(position) {
+    const pending = position.unconfirmedSell;
+    const { unconfirmedExpiryMs = 120000 } = config.exit.sellRetry || {};
+
+    const outcome = await this._sellOutcome(position, pending.signature);
+
+    if (outcome.status === 'UNKNOWN') {
+      // Long past its blockhash it can no longer land
+      if (this.clock.now() - pending.sentAt < unconfirmedExpiryMs) return false;
+      console.log('[position] unconfirmed sell expired:', position.mint, pending.signature);
+      position.unconfirmedSell = null;
+      return true;
+    }
+
+    position.unconfirmedSell = null;
+    if (outcome.status === 'FAILED') return true;
+
+    console.log('[position] unconfirmed sell landed:', position.mint, pending.signature);
+    position.exitSignatures.push(pending.signature);
+
+    const booked = this._applyFill(position, outcome.fill, pending.tokens);
+    this._recordTrade({
+      mint: position.mint,
+      type: 'PARTIAL',
+      reason: pending.reason,
+      tokens: booked.tokensSold,
+      solReceived: booked.solReceived,
+      pnlPct: booked.pnlPct,
+      signature: pending.signature,
+      timestamp: this.clock.now(),
+    });
+
+    if (position.remainingTokens < 1) {
+      await this._executeFullExit(position, pending.reason);
+      return false;
+    }
+
+    if (pending.reason === 'TIER_1_PROFIT') {
+      position.tier1Exited = true;
+      position.state = 'TIER_1_EXITED';
+    }
+    return true;
+  }
+
+  /**
+   * Book a confirmed sell against the position's cost basis
+   */
+  _applyFill(position, fill, tokensRequested) {
+    const tokensSold = Number(fill.inAmount) || tokensRequested;
+    const solReceived = Number(fill.outAmount) / 1e9;
+    const costBasis = position.solInvested * (tokensSold / position.tokens);
+    const pnl = solReceived - costBasis;
+
+    position.remainingTokens = Math.max(0, position.remainingTokens - tokensSold);
+    position.solReceived += solReceived;
+    position.realizedPnL += pnl;
+
+    return {
+      tokensSold,
+      solReceived,
+      pnl,
+      pnlPct: costBasis > 0 ? (pnl / costBasis) * 100 : 0,
+    };
+  }
+
   async _executePartialExit(position, exitPct, reason) {
-    const tokensToExit = Math.floor(position.remainingTokens * exitPct);
+    // Config uses whole percents (50 = half the position)
+    const fraction = exitPct > 1 ? exitPct / 100 : exitPct;
+    const tokensToExit = Math.floor(position.remainingTokens * fraction);
     
-    if (tokensToExit <= 0) return;
+    if (tokensToExit <= 0) return false;
 
     console.log('[position] executing partial exit:', {
       mint: position.mint,
-      exitPct,
+      exitPct: fraction,
       tokensToExit,
     });
 
-    // In real implementation, would call sell()
-    const exitValue = (position.solInvested * exitPct) * (1 + position.pnlPct / 100);
-    
-    position.remainingTokens -= tokensToExit;
-    position.realizedPnL += exitValue * (position.pnlPct / 100) * exitPct;
+    const fill = await this._sellWithRetry(position, tokensToExit, reason);
+    if (!fill) return false;
+
+    const booked = this._applyFill(position, fill, tokensToExit);
     
     this._recordTrade({
       mint: position.mint,
       type: 'PARTIAL',
       reason,
-      exitPct,
-      tokens: tokensToExit,
-      pnlPct: position.pnlPct,
-      timestamp: Date.now(),
+      exitPct: fraction,
+      tokens: booked.tokensSold,
+      solReceived: booked.solReceived,
+      pnlPct: booked.pnlPct,
+      signature: fill.signature,
+      timestamp: this.clock.now(),
     });
 
-    this.emit('partialExit', { position, exitPct, reason });
+    this.emit('partialExit', { position, exitPct: fraction, reason, fill });
+    return true;
   }
 
   async _executeFullExit(position, reason) {
@@ -252,19 +600,32 @@ class PositionManager extends EventEmitter {
       pnlPct: position.pnlPct?.toFixed(2),
     });
 
-    const finalPnLPct = position.pnlPct;
+    const tokensToExit = Math.floor(position.remainingTokens);
+    let fill = null;
+
+    if (tokensToExit > 0) {
+      fill = await this._sellWithRetry(position, tokensToExit, reason);
+      if (!fill) return false;
+      this._applyFill(position, fill, tokensToExit);
+    }
+
+    // Realized PnL over every sell of this position
+    const finalPnLPct = (position.realizedPnL / position.solInvested) * 100;
     const isWin = finalPnLPct > 0;
+    position.pnlPct = finalPnLPct;
 
     // Update daily stats
     this.dailyStats.trades.push({
       mint: position.mint,
       entryPrice: position.entryPrice,
-      exitPrice: position.currentPrice,
+      exitPrice: position.solReceived * 1e9 / position.tokens,
       solInvested: position.solInvested,
+      solReceived: position.solReceived,
       pnlPct: finalPnLPct,
       reason,
-      durationMs: Date.now() - position.entryTime,
-      timestamp: Date.now(),
+      signature: fill?.signature || null,
+      durationMs: this.clock.now() - position.entryTime,
+      timestamp: this.clock.now(),
     });
 
     if (isWin) {
@@ -274,24 +635,60 @@ class PositionManager extends EventEmitter {
     }
 
     // Calculate total PnL
-    const tradePnL = position.solInvested * (finalPnLPct / 100);
-    this.dailyStats.totalPnL += tradePnL;
+    this.dailyStats.totalPnL += position.realizedPnL;
 
     // Update position state
-    position.state = reason === 'STOP_LOSS' ? 'STOPPED' : 'CLOSED';
+    position.state = reason === 'STOP_LOSS' || reason.endsWith('_STOP') ? 'STOPPED' : 'CLOSED';
     position.exitReason = reason;
-    position.exitTime = Date.now();
+    position.exitTime = this.clock.now();
     
     // Remove from active positions
     this.positions.delete(position.mint);
+    this.feeMonitor.forget(position.mint);
 
     console.log('[position] closed:', {
       mint: position.mint,
       pnlPct: finalPnLPct.toFixed(2),
+      realizedPnL: position.realizedPnL.toFixed(4),
       dailyPnL: this.dailyStats.totalPnL.toFixed(4),
     });
 
     this.emit('closed', { position, reason });
+    return true;
+  }
+
+  /**
+   * Spot price plus the effective price/value of selling the remaining
+   * tokens now (fee and price impact included)
+   */
+  _valuePosition(position) {
+    // Graduated tokens are priced from the latest pool quote
+    if (position.graduated) {
+      const last = position.lastPrice;
+      if (!last) return null;
+      return {
+        currentPrice: last.price,
+        exitPrice: last.exitPrice,
+        exitValueSol: (last.exitPrice * position.remainingTokens) / 1e9,
+        priceImpactPct: last.price ? ((last.price - last.exitPrice) / last.price) * 100 : 0,
+      };
+    }
+
+    const curveData = position.curveData || position.signal?.curveData;
+    if (!curveData?.virtualSol || !curveData?.virtualToken) return null;
+    if (BigInt(curveData.virtualToken) === 0n) return null;
+
+    const tokens = BigInt(Math.floor(position.remainingTokens));
+    const q = tokens > 0n ? quoteSell({ curve: curveData, tokenAmount: tokens }) : null;
+
+    const currentPrice = Number(curveData.virtualSol) / Number(curveData.virtualToken);
+
+    return {
+      currentPrice,
+      exitPrice: q ? q.effectivePrice : currentPrice,
+      exitValueSol: q ? Number(q.outAmount) / 1e9 : 0,
+      priceImpactPct: q ? q.priceImpactPct : 0,
+    };
   }
 
   async _getCurrentPrice(mint) {
@@ -299,15 +696,10 @@ class PositionManager extends EventEmitter {
     const position = this.positions.get(mint);
     if (!position) return null;
     
-    // If we have curve data, calculate real price
-    if (position.signal?.curveData?.virtualSol && position.signal?.curveData?.virtualToken) {
-      const virtualSol = BigInt(position.signal.curveData.virtualSol);
-      const virtualToken = BigInt(position.signal.curveData.virtualToken);
-      
-      if (virtualToken > 0n) {
-        // Price = virtualSol / virtualToken (in SOL per token)
-        return Number(virtualSol) / Number(virtualToken);
-      }
+    // If we have market data, calculate real exit price
+    const valuation = this._valuePosition(position);
+    if (valuation) {
+      return valuation.exitPrice;
     }
     
     // Fallback: use entry price with small drift
@@ -324,21 +716,99 @@ class PositionManager extends EventEmitter {
     }
   }
 
-  async _checkParabolicMove(position) {
-    // Simplified: check if price increased >20% in last 30 seconds
-    // In reality, would track price history
-    return Math.random() * 30;
-  }
+  /**
+   * Stop settings for a position: config.exit defaults merged with
+   * the overrides of the momentum tier it was entered at
+   */
+  _getStopConfig(position) {
+    const { exit, momentum } = config;
+    const overrides = momentum.tiers[position.signal?.tier]?.stops || {};
 
-  async _checkFeeBalance(mint) {
-    // Simplified: would fetch actual fee balance from Pump.fun contract
     return {
-      feeBalance: 0,
-      feeChange5m: 0,
-      dumpRisk: 'LOW',
+      trailingStop: { ...exit.trailingStop, ...overrides.trailingStop },
+      breakEven: { ...exit.breakEven, ...overrides.breakEven },
+      volatilityStop: { ...exit.volatilityStop, ...overrides.volatilityStop },
     };
   }
 
+  /**
+   * Returns the exit reason of the first stop hit, or null
+   */
+  _checkDynamicStops(position) {
+    const { trailingStop, breakEven, volatilityStop } = this._getStopConfig(position);
+    const { pnlPct } = position;
+
+    // Break-even: never let a tier 1 winner turn into a loss
+    if (breakEven.enabled && position.tier1Exited) {
+      if (pnlPct <= (breakEven.bufferPct || 0)) {
+        return 'BREAK_EVEN_STOP';
+      }
+    }
+
+    // Trailing: pullback from the best exit price seen
+    if (trailingStop.enabled && position.highWaterPrice) {
+      const armed = (position.highWaterPnlPct || 0) >= (trailingStop.activatePct || 0);
+      const pullbackPct = ((position.highWaterPrice - position.exitPrice) / position.highWaterPrice) * 100;
+
+      if (armed && pullbackPct >= trailingStop.pct) {
+        return 'TRAILING_STOP';
+      }
+    }
+
+    // Volatility: stop distance scales with the recent ATR
+    if (volatilityStop.enabled) {
+      const atrPct = averageTrueRangePct(position.priceHistory, volatilityStop.period);
+      if (atrPct !== null) {
+        const distance = Math.min(
+          volatilityStop.maxPct ?? Infinity,
+          Math.max(volatilityStop.minPct ?? 0, atrPct * volatilityStop.multiplier)
+        );
+        position.volatilityStopPct = -distance;
+
+        if (pnlPct <= -distance) {
+          return 'VOLATILITY_STOP';
+        }
+      }
+    }
+
+    return null;
+  }
+
+  _checkParabolicMove(position) {
+    const {
+      windowMs = 30000,
+      minReturnPct = 20,
+      minAccelerationPct = 0,
+      retraceExitPct = 15,
+    } = config.exit.tier2.parabolic || {};
+
+    const m = analyzeMomentum(position.priceHistory, { windowMs });
+    if (!m) {
+      return { triggered: false, shortReturnPct: 0, accelerationPct: 0, retracePct: 0 };
+    }
+
+    // Blow-off: strong short-window gain that is still accelerating
+    if (m.shortReturnPct >= minReturnPct && m.accelerationPct > minAccelerationPct) {
+      return { triggered: true, reason: 'ACCELERATING', ...m };
+    }
+
+    // Rolling over: give back too much from the peak
+    if (m.retracePct >= retraceExitPct) {
+      return { triggered: true, reason: 'RETRACE_FROM_PEAK', ...m };
+    }
+
+    return { triggered: false, ...m };
+  }
+
+  async _checkFeeBalance(position) {
+    try {
+      return await this.feeMonitor.check(position);
+    } catch (e) {
+      console.error('[position] fee check error:', position.mint, e.message);
+      return { feeBalance: 0, feeChange5m: 0, feeChange5mPct: 0, dumpRisk: 'LOW' };
+    }
+  }
+
   _isDailyLossLimitHit(limitPct) {
     if (this.dailyStats.totalPnL >= 0) return false;
     
@@ -347,7 +817,7 @@ class PositionManager extends EventEmitter {
   }
 
   _checkDailyReset() {
-    const today = new Date().toISOString().split('T')[0];
+    const today = new Date(this.clock.now()).toISOString().split('T')[0];
     if (today !== this.dailyStats.date) {
       console.log('[position] daily reset:', {
         yesterday: this.dailyStats,
@@ -379,7 +849,11 @@ class PositionManager extends EventEmitter {
         mint: p.mint,
         state: p.state,
         pnlPct: p.pnlPct?.toFixed(2),
-        durationMs: Date.now() - p.entryTime,
+        currentPrice: p.currentPrice,
+        priceSamples: p.priceHistory?.length || 0,
+        adopted: !!p.adopted,
+        drift: p.drift || null,
+        durationMs: this.clock.now() - p.entryTime,
       })),
     };
   }
@@ -0,0 +1,146 @@
+/**
+ * Position Price Feed
+ *
+ * Re-reads the market for every open position:
+ * - Bonding curves batched via getMultipleAccounts
+ * - Jupiter quote once a curve has graduated to a pool
+ * Appends each sample to the position's price history.
+ */
+
+const config = require('../../config');
+const { parseBondingCurve, getBondingCurvePda } = require('../scanner/pumpCurve');
+const { quoteSell } = require('../pumpfun/curveQuote');
+const { jupiterQuote } = require('./jupiterQuote');
+const { SOL_MINT } = require('./txSender');
+const { systemClock } = require('../utils/clock');
+
+// getMultipleAccounts accepts at most 100 keys per call
+const MAX_ACCOUNTS_PER_CALL = 100;
+
+class PriceFeed {
+  constructor({ rpc, maxHistory = config.priceFeed?.maxHistory || 300, clock = systemClock, quote = jupiterQuote }) {
+    this.rpc = rpc;
+    this.maxHistory = maxHistory;
+    this.clock = clock;
+    // Pool quote for graduated tokens: ({ inputMint, outputMint, amount, slippageBps }) -> { outAmount, priceImpactPct }
+    this.quote = quote;
+  }
+
+  /**
+   * Refresh prices for the given positions (mutates them in place)
+   */
+  async refresh(positions) {
+    const onCurve = positions.filter((p) => !p.graduated);
+    const graduated = positions.filter((p) => p.graduated);
+
+    if (onCurve.length) {
+      await this._refreshCurves(onCurve);
+    }
+
+    for (const position of graduated) {
+      await this._refreshFromJupiter(position);
+    }
+  }
+
+  async _refreshCurves(positions) {
+    for (let i = 0; i < positions.length; i += MAX_ACCOUNTS_PER_CALL) {
+      const batch = positions.slice(i, i + MAX_ACCOUNTS_PER_CALL);
+      const pdas = batch.map((p) => p.curvePda || getBondingCurvePda(p.mint));
+
+      let res = null;
+      try {
+        res = await this.rpc('getMultipleAccounts', [
+          pdas,
+          { commitment: 'confirmed', encoding: 'base64' },
+        ]);
+      } catch (e) {
+        console.error('[price] curve refresh failed:', e.message);
+        continue;
+      }
+
+      const slot = res?.context?.slot ?? null;
+
+      batch.forEach((position, idx) => {
+        const acc = res?.value?.[idx];
+
+        // Handle both Helius and standard Solana RPC response formats
+        let b64 = acc?.data?.[0];
+        if (!b64 && acc?.data) {
+          b64 = typeof acc.data === 'string' ? acc.data : null;
+        }
+        if (!b64) return;
+
+        const curve = parseBondingCurve(Buffer.from(b64, 'base64'));
+        if (!curve) return;
+
+        position.curvePda = pdas[idx];
+
+        if (curve.complete) {
+          console.log('[price] curve graduated, switching to Jupiter:', position.mint);
+          position.graduated = true;
+          return;
+        }
+
+        position.curveData = {
+          curvePda: pdas[idx],
+          virtualToken: curve.virtualToken,
+          virtualSol: curve.virtualSol,
+          realToken: curve.realToken,
+          realSol: curve.realSol,
+          creator: curve.creator,
+        };
+
+        const tokens = BigInt(Math.floor(position.remainingTokens || 0));
+        const q = tokens > 0n ? quoteSell({ curve, tokenAmount: tokens }) : null;
+        const price = Number(curve.virtualSol) / Number(curve.virtualToken);
+
+        this._record(position, {
+          price,
+          exitPrice: q ? q.effectivePrice : price,
+          source: 'curve',
+          slot,
+        });
+      });
+    }
+  }
+
+  async _refreshFromJupiter(position) {
+    const tokens = Math.floor(position.remainingTokens || 0);
+    if (tokens <= 0) return;
+
+    try {
+      const q = await this.quote({
+        inputMint: position.mint,
+        outputMint: SOL_MINT,
+        amount: tokens,
+        slippageBps: config.trading.slippageBps,
+      });
+
+      const exitPrice = Number(q.outAmount) / tokens;
+      const impact = Number(q.priceImpactPct || 0) / 100;
+
+      this._record(position, {
+        price: impact < 1 ? exitPrice / (1 - impact) : exitPrice,
+        exitPrice,
+        source: 'jupiter',
+        slot: q.contextSlot ?? null,
+      });
+    } catch (e) {
+      console.error('[price] Jupiter refresh failed:', position.mint, e.message);
+    }
+  }
+
+  _record(position, sample) {
+    const entry = { t: this.clock.now(), ...sample };
+
+    if (!position.priceHistory) position.priceHistory = [];
+    position.priceHistory.push(entry);
+    if (position.priceHistory.length > this.maxHistory) {
+      position.priceHistory.splice(0, position.priceHistory.length - this.maxHistory);
+    }
+
+    position.lastPrice = entry;
+  }
+}
+
+module.exports = { PriceFeed };
@@ -0,0 +1,79 @@
+/**
+ * Price History Analysis
+ *
+ * Short-window momentum metrics over a position's price samples
+ * ({ t, price } entries written by the price feed).
+ */
+
+// Latest sample at or before `t`
+function _sampleAt(samples, t) {
+  let found = null;
+  for (const s of samples) {
+    if (s.t <= t) found = s;
+    else break;
+  }
+  return found;
+}
+
+function _returnPct(from, to) {
+  if (!from || !to || !from.price) return 0;
+  return ((to.price - from.price) / from.price) * 100;
+}
+
+/**
+ * Compute returns over the last window, the window before it,
+ * their difference (acceleration) and the retrace from the peak.
+ *
+ * @returns {null|{shortReturnPct, prevReturnPct, accelerationPct, peakPrice, retracePct, samples}}
+ */
+function analyzeMomentum(samples, { windowMs = 30000, minSamples = 3, now } = {}) {
+  if (!Array.isArray(samples) || samples.length < minSamples) return null;
+
+  const current = samples[samples.length - 1];
+  const at = now ?? current.t;
+
+  const base = _sampleAt(samples, at - windowMs) || samples[0];
+  const prevBase = _sampleAt(samples, at - 2 * windowMs) || samples[0];
+
+  const shortReturnPct = _returnPct(base, current);
+  const prevReturnPct = _returnPct(prevBase, base);
+
+  let peakPrice = 0;
+  for (const s of samples) {
+    if (s.price > peakPrice) peakPrice = s.price;
+  }
+
+  const retracePct = peakPrice ? ((peakPrice - current.price) / peakPrice) * 100 : 0;
+
+  return {
+    shortReturnPct,
+    prevReturnPct,
+    accelerationPct: shortReturnPct - prevReturnPct,
+    peakPrice,
+    retracePct,
+    samples: samples.length,
+  };
+}
+
+/**
+ * Average true range over the last `period` samples, as a % of price.
+ * Only closes are sampled, so the range is the move between samples.
+ */
+function averageTrueRangePct(samples, period = 14) {
+  if (!Array.isArray(samples) || samples.length < 2) return null;
+
+  const recent = samples.slice(-(period + 1));
+  let total = 0;
+  let count = 0;
+
+  for (let i = 1; i < recent.length; i++) {
+    const prev = recent[i - 1].price;
+    if (!prev) continue;
+    total += Math.abs(recent[i].price - prev) / prev;
+    count++;
+  }
+
+  return count ? (total / count) * 100 : null;
+}
+
+module.exports = { analyzeMomentum, averageTrueRangePct };
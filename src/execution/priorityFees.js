@@ -0,0 +1,152 @@
+/**
+ * Priority Fee Estimator
+ *
+ * Samples getRecentPrioritizationFees, picks a percentile by urgency
+ * and caps the result so a single trade never pays more than
+ * config.trading.priorityFee SOL in priority fees. Transactions built
+ * elsewhere (Jupiter sets its own simulated CU limit) are capped on the
+ * limit they actually carry.
+ */
+
+const { ComputeBudgetProgram } = require('@solana/web3.js');
+const config = require('../../config');
+
+// urgency -> key in config.priorityFees.percentiles
+const URGENCIES = ['entry', 'exit', 'stopLoss'];
+
+// ComputeBudget instruction tags
+const SET_COMPUTE_UNIT_LIMIT = 2;
+const SET_COMPUTE_UNIT_PRICE = 3;
+
+// accounts key -> { t, fees }
+const feeCache = new Map();
+
+function _percentile(sorted, pct) {
+  if (sorted.length === 0) return 0;
+  const idx = Math.min(sorted.length - 1, Math.ceil((pct / 100) * sorted.length) - 1);
+  return sorted[Math.max(0, idx)];
+}
+
+async function _recentFees({ rpc, accounts }) {
+  const { cacheMs = 2000 } = config.priorityFees || {};
+  const key = accounts.join(',');
+
+  const cached = feeCache.get(key);
+  if (cached && Date.now() - cached.t < cacheMs) return cached.fees;
+
+  const res = await rpc('getRecentPrioritizationFees', [accounts]);
+  const fees = (res || [])
+    .map((f) => f.prioritizationFee)
+    .filter((f) => f > 0)
+    .sort((a, b) => a - b);
+
+  // Every account set gets its own key - drop the expired ones
+  for (const [k, entry] of feeCache) {
+    if (Date.now() - entry.t >= cacheMs) feeCache.delete(k);
+  }
+  feeCache.set(key, { t: Date.now(), fees });
+  return fees;
+}
+
+// Highest CU price keeping `units` CUs within config.trading.priorityFee SOL
+function _maxMicroLamportsFor(units) {
+  return config.trading.priorityFee
+    ? Math.floor((config.trading.priorityFee * 1e9 * 1e6) / units)
+    : Infinity;
+}
+
+/**
+ * Compute unit price (micro-lamports) for a transaction of `units` CUs
+ *
+ * @param {'entry'|'exit'|'stopLoss'} urgency
+ */
+async function estimatePriorityFee({ rpc, accounts = [], urgency = 'entry', units }) {
+  const {
+    enabled = true,
+    percentiles = { entry: 90, exit: 75, stopLoss: 95 },
+    minMicroLamports = 10000,
+    maxMicroLamports = 2000000,
+    computeUnitLimit = { buy: 120000, sell: 100000 },
+  } = config.priorityFees || {};
+
+  if (!enabled) return 0;
+
+  const level = URGENCIES.includes(urgency) ? urgency : 'entry';
+  const cu = units || computeUnitLimit.buy;
+
+  let fee = minMicroLamports;
+  try {
+    const fees = await _recentFees({ rpc, accounts });
+    fee = Math.max(minMicroLamports, _percentile(fees, percentiles[level]));
+  } catch (e) {
+    console.error('[fees] prioritization fee lookup failed:', e.message);
+  }
+
+  // Hard caps: per-CU price and total priority fee per transaction
+  return Math.floor(Math.min(fee, maxMicroLamports, _maxMicroLamportsFor(cu)));
+}
+
+/**
+ * Lower the CU price of an unsigned VersionedTransaction so its compute
+ * unit limit times the price stays within config.trading.priorityFee.
+ *
+ * @returns {{ units, microLamports, capped }} - units/price as sent (null if absent)
+ */
+function capComputeUnitPrice(transaction) {
+  const { message } = transaction;
+  const budgetProgram = ComputeBudgetProgram.programId.toBase58();
+
+  let units = null;
+  let priceIx = null;
+  for (const ix of message.compiledInstructions) {
+    if (message.staticAccountKeys[ix.programIdIndex]?.toBase58() !== budgetProgram) continue;
+
+    const data = Buffer.from(ix.data);
+    if (data[0] === SET_COMPUTE_UNIT_LIMIT) units = data.readUInt32LE(1);
+    if (data[0] === SET_COMPUTE_UNIT_PRICE) priceIx = ix;
+  }
+
+  if (!priceIx) return { units, microLamports: null, capped: false };
+
+  const data = Buffer.from(priceIx.data);
+  const price = data.readBigUInt64LE(1);
+
+  // No limit instruction: the runtime default of 200k CUs per instruction applies
+  const cap = _maxMicroLamportsFor(units || 200000);
+  if (cap === Infinity || price <= BigInt(cap)) {
+    return { units, microLamports: Number(price), capped: false };
+  }
+
+  data.writeBigUInt64LE(BigInt(cap), 1);
+  priceIx.data = new Uint8Array(data);
+  return { units, microLamports: cap, capped: true };
+}
+
+/**
+ * ComputeBudget instructions to prepend to a transaction
+ */
+function buildComputeBudgetInstructions({ units, microLamports }) {
+  const ixs = [ComputeBudgetProgram.setComputeUnitLimit({ units })];
+  if (microLamports > 0) {
+    ixs.push(ComputeBudgetProgram.setComputeUnitPrice({ microLamports }));
+  }
+  return ixs;
+}
+
+/**
+ * Exits that must land now get the stop-loss aggressiveness
+ */
+function exitUrgency(reason) {
+  if (!reason) return 'exit';
+  if (reason === 'STOP_LOSS' || reason === 'FEE_SPIKE' || reason.endsWith('_STOP')) {
+    return 'stopLoss';
+  }
+  return 'exit';
+}
+
+module.exports = {
+  estimatePriorityFee,
+  capComputeUnitPrice,
+  buildComputeBudgetInstructions,
+  exitUrgency,
+};
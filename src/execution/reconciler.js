@@ -0,0 +1,224 @@
+/**
+ * Wallet Reconciler
+ *
+ * Periodically compares tracked positions against the wallet's
+ * on-chain token balances:
+ * - MISSING: position tracked but the wallet holds none of the token
+ *            (no longer traded; written off if still missing next pass)
+ * - PARTIAL: wallet holds less than tracked (partial fill / external sell)
+ * - EXTRA:   wallet holds more than tracked
+ * - ORPHAN:  wallet holds a token with no position (adopted if priceable)
+ *
+ * Each report lists every discrepancy; `changed` holds only those that are
+ * new or differ from the previous pass, and 'drift' fires only for those.
+ */
+
+const EventEmitter = require('events');
+const config = require('../../config');
+const { TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID } = require('../scanner/constants');
+const { fetchBondingCurve } = require('../scanner/pumpCurve');
+
+class WalletReconciler extends EventEmitter {
+  constructor({ rpc, wallet, positionManager }) {
+    super();
+    this.rpc = rpc;
+    this.wallet = wallet;
+    this.positionManager = positionManager;
+
+    this.lastReport = null;
+    this.timer = null;
+
+    // mint -> key of the discrepancy last reported for it
+    this.reported = new Map();
+
+    // mint -> held amount that could not be adopted (not retried until it changes)
+    this.unadoptable = new Map();
+  }
+
+  start() {
+    const { intervalMs = 60000 } = config.reconciliation || {};
+    this.timer = setInterval(() => {
+      this.reconcile().catch((e) => console.error('[reconcile] error:', e.message));
+    }, intervalMs);
+    this.timer.unref?.();
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+  }
+
+  /**
+   * Raw token balance per mint held by the wallet, across the legacy Token
+   * program and Token-2022 (CreateV2 mints)
+   */
+  async _fetchWalletBalances() {
+    const owner = this.wallet.publicKey.toString();
+    const results = await Promise.all([TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID].map((programId) =>
+      this.rpc('getParsedTokenAccountsByOwner', [
+        owner,
+        { programId },
+        { commitment: 'confirmed' },
+      ])
+    ));
+
+    const balances = new Map();
+    for (const res of results) {
+      for (const acc of res?.value || []) {
+        const info = acc.account?.data?.parsed?.info;
+        if (!info?.mint) continue;
+
+        const amount = BigInt(info.tokenAmount?.amount || '0');
+        balances.set(info.mint, (balances.get(info.mint) || 0n) + amount);
+      }
+    }
+    return balances;
+  }
+
+  async reconcile() {
+    const {
+      tolerancePct = 1,
+      graceMs = 30000,
+      closeMissingAfterPasses = 2,
+      adoptOrphans = true,
+      ignoreMints = [],
+    } = config.reconciliation || {};
+
+    const balances = await this._fetchWalletBalances();
+    const discrepancies = [];
+    const now = Date.now();
+
+    // Tracked positions vs wallet
+    for (const position of this.positionManager.getOpenPositions()) {
+      // Balances lag fresh fills, and exits in flight are expected to move
+      if (position.state === 'EXIT_PENDING') continue;
+      if (now - position.entryTime < graceMs) continue;
+
+      const held = Number(balances.get(position.mint) || 0n);
+      const tracked = Math.floor(position.remainingTokens);
+      const tolerance = tracked * (tolerancePct / 100);
+
+      if (held === 0 && tracked > 0) {
+        const missing = { type: 'MISSING', mint: position.mint, tracked, held, closed: false };
+        position.drift = 'MISSING';
+        position.missingPasses = (position.missingPasses || 0) + 1;
+
+        // One empty balance read could be a lagging node - close on the next
+        if (position.missingPasses >= closeMissingAfterPasses) {
+          missing.closed = await this.positionManager.writeOffPosition(position.mint, 'MISSING');
+        }
+        discrepancies.push(missing);
+        continue;
+      }
+
+      position.missingPasses = 0;
+      if (held < tracked - tolerance) {
+        discrepancies.push({ type: 'PARTIAL', mint: position.mint, tracked, held });
+        // Sell what we actually have
+        position.remainingTokens = held;
+        position.drift = 'PARTIAL';
+      } else if (held > tracked + tolerance) {
+        discrepancies.push({ type: 'EXTRA', mint: position.mint, tracked, held });
+        position.drift = 'EXTRA';
+      } else {
+        position.drift = null;
+      }
+    }
+
+    // Wallet holdings without a position
+    for (const [mint, amount] of balances) {
+      if (amount === 0n) continue;
+      if (ignoreMints.includes(mint)) continue;
+      if (this.positionManager.positions.has(mint)) continue;
+
+      const orphan = { type: 'ORPHAN', mint, tracked: 0, held: Number(amount), adopted: false };
+
+      if (adoptOrphans && this.unadoptable.get(mint) !== amount) {
+        orphan.adopted = await this._adopt(mint, Number(amount));
+        if (orphan.adopted) {
+          this.unadoptable.delete(mint);
+        } else {
+          this.unadoptable.set(mint, amount);
+        }
+      }
+
+      discrepancies.push(orphan);
+    }
+
+    // Unadoptable holdings that left the wallet may be retried if they return
+    for (const mint of this.unadoptable.keys()) {
+      if (!balances.get(mint)) this.unadoptable.delete(mint);
+    }
+
+    const changed = this._diffReported(discrepancies);
+
+    this.lastReport = {
+      timestamp: new Date().toISOString(),
+      walletMints: balances.size,
+      trackedPositions: this.positionManager.positions.size,
+      discrepancies,
+      changed,
+    };
+
+    if (changed.length > 0) {
+      console.log('[reconcile] ⚠️ drift detected:', changed);
+      this.emit('drift', this.lastReport);
+    }
+
+    return this.lastReport;
+  }
+
+  /**
+   * Discrepancies that are new or changed since the last pass.
+   * Resolved mints are forgotten, so drift that comes back is reported again.
+   */
+  _diffReported(discrepancies) {
+    const current = new Map();
+    const changed = [];
+
+    for (const d of discrepancies) {
+      const key = `${d.type}:${d.held}:${d.adopted ? 'adopted' : ''}:${d.closed ? 'closed' : ''}`;
+      current.set(d.mint, key);
+      if (this.reported.get(d.mint) !== key) changed.push(d);
+    }
+
+    this.reported = current;
+    return changed;
+  }
+
+  /**
+   * Start tracking an orphaned holding at the current curve price
+   */
+  async _adopt(mint, tokens) {
+    let curve = null;
+    try {
+      curve = await fetchBondingCurve({ rpc: this.rpc, mint });
+    } catch (e) {
+      console.error('[reconcile] curve lookup failed:', mint, e.message);
+    }
+
+    if (!curve || curve.complete || BigInt(curve.virtualToken) === 0n) {
+      console.log('[reconcile] orphan not priceable on curve, skipping:', mint);
+      return false;
+    }
+
+    const entryPrice = Number(curve.virtualSol) / Number(curve.virtualToken);
+    const position = await this.positionManager.adoptPosition({
+      mint,
+      tokens,
+      entryPrice,
+      curveData: curve,
+    });
+
+    if (position) {
+      this.emit('adopted', position);
+      return true;
+    }
+    return false;
+  }
+
+  getReport() {
+    return this.lastReport;
+  }
+}
+
+module.exports = { WalletReconciler };
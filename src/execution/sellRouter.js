@@ -0,0 +1,43 @@
+/**
+ * Sell Router
+ * Routes position exits to the on-curve sell before graduation
+ * and to Jupiter once the token trades in a pool.
+ */
+
+const { sell } = require('./jupiterSwap');
+const { sellOnCurve } = require('../pumpfun/swap');
+
+/**
+ * Sell `tokens` raw tokens of a position, returns the confirmed fill
+ * ({ signature, slot, inAmount, outAmount, ... }) from the swap layer
+ */
+async function sellPosition({ position, tokens, slippageBps, urgency, wallet, rpc }) {
+  const args = {
+    mint: position.mint,
+    amountTokenLamports: tokens,
+    wallet,
+    rpc,
+    slippageBps,
+    urgency,
+  };
+
+  if (position.graduated) {
+    return sell(args);
+  }
+
+  try {
+    return await sellOnCurve(args);
+  } catch (e) {
+    // Only reroute if nothing was sent
+    if (e.signature) throw e;
+
+    if (/graduated|not found/i.test(e.message)) {
+      console.log('[sell] curve unavailable, routing via Jupiter:', position.mint);
+      position.graduated = true;
+      return sell(args);
+    }
+    throw e;
+  }
+}
+
+module.exports = { sellPosition };
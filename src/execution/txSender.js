@@ -0,0 +1,317 @@
+/**
+ * Transaction Sender
+ *
+ * Signs, submits and confirms versioned transactions:
+ * - Sign with the loaded wallet Keypair
+ * - Simulate before sending (reject what would fail on-chain)
+ * - Submit via sendTransaction (rebroadcast until landed)
+ * - Poll getSignatureStatuses until confirmed/finalized or blockhash expiry
+ * - Parse actual balance changes from the landed transaction
+ */
+
+const bs58 = require('bs58').default;
+const config = require('../../config');
+const { JitoSubmitter } = require('./jitoSubmitter');
+
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+
+const COMMITMENT_RANK = { processed: 0, confirmed: 1, finalized: 2 };
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// Optional bundle path, created on first use
+let jitoSubmitter = null;
+function _getJitoSubmitter() {
+  if (!config.jito?.enabled) return null;
+  if (!jitoSubmitter) jitoSubmitter = new JitoSubmitter(config.jito);
+  return jitoSubmitter;
+}
+
+/**
+ * Sign a VersionedTransaction and return its base58 signature
+ */
+function signTransaction(transaction, wallet) {
+  transaction.sign([wallet]);
+  return bs58.encode(transaction.signatures[0]);
+}
+
+/**
+ * Submit a signed transaction, returns the signature reported by the node
+ */
+async function submitTransaction({ rpc, transaction }) {
+  const raw = Buffer.from(transaction.serialize()).toString('base64');
+
+  return rpc('sendTransaction', [
+    raw,
+    { encoding: 'base64', skipPreflight: true, maxRetries: 0 },
+  ]);
+}
+
+/**
+ * Run simulateTransaction, optionally returning post-state of `addresses`
+ *
+ * @returns {Promise<{err, logs, unitsConsumed, accounts}>}
+ */
+async function simulateTransaction({ rpc, transaction, addresses, replaceRecentBlockhash = false }) {
+  const raw = Buffer.from(transaction.serialize()).toString('base64');
+
+  const res = await rpc('simulateTransaction', [
+    raw,
+    {
+      encoding: 'base64',
+      sigVerify: false,
+      replaceRecentBlockhash,
+      commitment: 'processed',
+      ...(addresses ? { accounts: { encoding: 'base64', addresses } } : {}),
+    },
+  ]);
+
+  const value = res?.value || {};
+  return {
+    err: value.err || null,
+    logs: value.logs || [],
+    unitsConsumed: value.unitsConsumed ?? null,
+    accounts: value.accounts || [],
+  };
+}
+
+/**
+ * Poll until the signature reaches the target commitment.
+ * Throws if the transaction errors on-chain or its blockhash expires.
+ */
+async function confirmSignature({ rpc, signature, transaction, lastValidBlockHeight }) {
+  const {
+    confirmCommitment = 'confirmed',
+    confirmTimeoutMs = 60000,
+    pollIntervalMs = 500,
+    rebroadcastIntervalMs = 2000,
+  } = config.execution || {};
+
+  const target = COMMITMENT_RANK[confirmCommitment] ?? COMMITMENT_RANK.confirmed;
+  const deadline = Date.now() + confirmTimeoutMs;
+  let lastSend = Date.now();
+
+  while (Date.now() < deadline) {
+    const res = await rpc('getSignatureStatuses', [
+      [signature],
+      { searchTransactionHistory: false },
+    ]).catch(() => null);
+
+    const status = res?.value?.[0];
+    if (status) {
+      if (status.err) {
+        const err = new Error(`Transaction failed: ${JSON.stringify(status.err)}`);
+        err.signature = signature;
+        err.txError = status.err;
+        throw err;
+      }
+
+      const rank = COMMITMENT_RANK[status.confirmationStatus] ?? -1;
+      if (rank >= target) {
+        return { slot: status.slot, confirmationStatus: status.confirmationStatus };
+      }
+    }
+
+    // Blockhash expiry - the transaction can no longer land
+    if (lastValidBlockHeight) {
+      const blockHeight = await rpc('getBlockHeight', [{ commitment: 'confirmed' }]).catch(() => null);
+      if (blockHeight && blockHeight > lastValidBlockHeight) {
+        const err = new Error('Transaction expired: blockhash no longer valid');
+        err.signature = signature;
+        err.code = 'BLOCKHASH_EXPIRED';
+        throw err;
+      }
+    }
+
+    // Rebroadcast while waiting, nodes drop transactions under load
+    if (transaction && Date.now() - lastSend >= rebroadcastIntervalMs) {
+      lastSend = Date.now();
+      await submitTransaction({ rpc, transaction }).catch(() => {});
+    }
+
+    await sleep(pollIntervalMs);
+  }
+
+  const err = new Error('Transaction confirmation timed out');
+  err.signature = signature;
+  err.code = 'CONFIRM_TIMEOUT';
+  throw err;
+}
+
+/**
+ * Sum a wallet's raw token balance for a mint from pre/post token balances
+ */
+function _ownerTokenAmount(balances, owner, mint) {
+  let total = 0n;
+  for (const b of balances || []) {
+    if (b?.owner === owner && b?.mint === mint) {
+      total += BigInt(b.uiTokenAmount?.amount || '0');
+    }
+  }
+  return total;
+}
+
+/**
+ * Net lamports the transaction moved into rent for the owner's token
+ * accounts: rent of the accounts it created (e.g. the ATA on a first buy)
+ * less rent refunded by the ones it closed. Wrapped SOL is swap proceeds,
+ * not rent, and is left out.
+ */
+function _tokenAccountRent(meta, owner) {
+  const indexes = (balances) => new Set(
+    (balances || [])
+      .filter((b) => b?.owner === owner && b?.mint !== SOL_MINT)
+      .map((b) => b.accountIndex)
+  );
+  const pre = indexes(meta.preTokenBalances);
+  const post = indexes(meta.postTokenBalances);
+
+  let rent = 0n;
+  for (const i of new Set([...pre, ...post])) {
+    if (pre.has(i) && post.has(i)) continue;
+    rent += BigInt(meta.postBalances?.[i] ?? 0) - BigInt(meta.preBalances?.[i] ?? 0);
+  }
+  return rent;
+}
+
+/**
+ * Parse actual balance changes for the wallet from a landed transaction
+ */
+function parseBalanceChanges({ tx, owner, mint }) {
+  const meta = tx?.meta;
+  if (!meta) return null;
+
+  const keys = tx.transaction?.message?.accountKeys || [];
+  const staticKeys = keys.map((k) => (typeof k === 'string' ? k : k.pubkey));
+  const ownerIndex = Math.max(0, staticKeys.indexOf(owner));
+
+  const preLamports = BigInt(meta.preBalances?.[ownerIndex] ?? 0);
+  const postLamports = BigInt(meta.postBalances?.[ownerIndex] ?? 0);
+  const fee = BigInt(meta.fee ?? 0);
+  const rent = _tokenAccountRent(meta, owner);
+
+  const preTokens = _ownerTokenAmount(meta.preTokenBalances, owner, mint);
+  const postTokens = _ownerTokenAmount(meta.postTokenBalances, owner, mint);
+
+  return {
+    // Network fee and token account rent are paid by the wallet but are
+    // not part of the swap (rent comes back when the account is closed)
+    solChange: postLamports - preLamports + fee + rent,
+    tokenChange: postTokens - preTokens,
+    fee,
+    rent,
+  };
+}
+
+/**
+ * Try to land the transaction through a Jito bundle.
+ * Returns true only if the block engine reports it landed within
+ * jito.rpcFallbackMs. Past that the caller sends through RPC too; the
+ * bundle keeps being tracked, both carry the same signature.
+ */
+async function _submitBundle({ transaction, wallet, urgency }) {
+  const jito = _getJitoSubmitter();
+  if (!jito) return false;
+
+  const fallbackMs = config.jito?.rpcFallbackMs ?? 2000;
+
+  const bundle = jito.submit({ transaction, wallet, urgency }).then(
+    ({ landed }) => landed,
+    (e) => {
+      console.warn('[tx] bundle submission failed, falling back to RPC:', e.message);
+      return false;
+    }
+  );
+
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(null), fallbackMs);
+  });
+
+  const landed = await Promise.race([bundle, timeout]);
+  clearTimeout(timer);
+
+  if (landed === null) {
+    console.warn(`[tx] bundle not landed after ${fallbackMs}ms, sending via RPC as well`);
+    return false;
+  }
+  return landed;
+}
+
+/**
+ * Sign, send and confirm a transaction, then read back the actual fill.
+ * Every error thrown after signing carries `err.signature`: the
+ * transaction may be in flight, callers must not send another in its place.
+ *
+ * @returns {Promise<{signature, slot, confirmationStatus, fee, rent, solChange, tokenChange, via}>}
+ */
+async function sendAndConfirm({ rpc, transaction, wallet, mint, lastValidBlockHeight, urgency = 'entry' }) {
+  const signature = signTransaction(transaction, wallet);
+
+  try {
+    return await _sendSigned({ rpc, transaction, wallet, mint, lastValidBlockHeight, urgency, signature });
+  } catch (e) {
+    if (!e.signature) e.signature = signature;
+    throw e;
+  }
+}
+
+async function _sendSigned({ rpc, transaction, wallet, mint, lastValidBlockHeight, urgency, signature }) {
+  // Gate: never send what the cluster says will fail
+  if (config.execution?.simulateBeforeSend !== false) {
+    const sim = await simulateTransaction({ rpc, transaction });
+    if (sim.err) {
+      const err = new Error(`Simulation failed: ${JSON.stringify(sim.err)}`);
+      err.code = 'SIMULATION_FAILED';
+      err.logs = sim.logs;
+      throw err;
+    }
+  }
+
+  const bundled = await _submitBundle({ transaction, wallet, urgency });
+  if (!bundled) {
+    await submitTransaction({ rpc, transaction });
+  }
+  console.log('[tx] sent:', signature, bundled ? '(jito bundle)' : '(rpc)');
+
+  const { slot, confirmationStatus } = await confirmSignature({
+    rpc,
+    signature,
+    transaction,
+    lastValidBlockHeight,
+  });
+
+  console.log('[tx] confirmed:', { signature, slot, confirmationStatus });
+
+  const tx = await rpc('getTransaction', [
+    signature,
+    { commitment: 'confirmed', maxSupportedTransactionVersion: 0 },
+  ]).catch(() => null);
+
+  const changes = parseBalanceChanges({
+    tx,
+    owner: wallet.publicKey.toString(),
+    mint,
+  });
+
+  return {
+    signature,
+    slot,
+    confirmationStatus,
+    fee: changes?.fee ?? null,
+    rent: changes?.rent ?? null,
+    solChange: changes?.solChange ?? null,
+    tokenChange: changes?.tokenChange ?? null,
+    via: bundled ? 'jito' : 'rpc',
+  };
+}
+
+module.exports = {
+  SOL_MINT,
+  signTransaction,
+  submitTransaction,
+  simulateTransaction,
+  confirmSignature,
+  parseBalanceChanges,
+  sendAndConfirm,
+};
@@ -13,17 +13,27 @@ const { Keypair } = require('@solana/web3.js');
 
 // Import modules
 const PumpFunScanner = require('./scanner/pumpfunScanner');
-const { makeRpcClient } = require('./utils/rpc');
+const { makeRpcClient } = require('./rpc/rpcClient');
+const { coalesceAccountReads } = require('./rpc/accountCoalescer');
+const { recordRpc } = require('./rpc/recordingRpc');
 const { ValidationQueue } = require('./scanner/validationQueue');
+const { TradeLedger } = require('./scanner/tradeLedger');
+const { CreatorReputation } = require('./scanner/creatorReputation');
+const { AntinoseFilter } = require('./scanner/antinose');
 const { extractMintFromTx } = require('./scanner/mintExtractor');
 const { quickFilterTxMeta } = require('./scanner/quickFilters');
 const { TTLCache } = require('./utils/ttlCache');
-const { quote } = require('./execution/jupiterQuote');
+const { jupiterQuote } = require('./execution/jupiterQuote');
+const { buy } = require('./execution/jupiterSwap');
+const { buyOnCurve } = require('./pumpfun/swap');
 const { PositionManager } = require('./execution/positionManager');
+const { PaperTrader } = require('./execution/paperTrader');
 const { StateManager } = require('./state/stateManager');
+const { Recorder } = require('./state/recorder');
 const { HealthServer } = require('./utils/healthServer');
 const { notifyEntry, notifyExit, notifyUpdate, notifyAlert } = require('./utils/telegram');
 const { AdaptiveStrategyManager } = require('./utils/adaptiveStrategy');
+const { WalletReconciler } = require('./execution/reconciler');
 
 console.log('╔════════════════════════════════════════════════════════════╗');
 console.log('║           MOMENTUM_SNIPER v2.0.0                          ║');
@@ -69,35 +79,75 @@ if (config.trading.mode === 'LIVE') {
 
 // ============ INITIALIZE COMPONENTS ============
 
-// RPC client
-const rpc = makeRpcClient(config.rpc.httpUrl);
-let lastRpcAt = 0;
-function rpcSpacing(minGapMs) {
-  return new Promise((resolve) => {
-    const now = Date.now();
-    const wait = Math.max(0, lastRpcAt + minGapMs - now);
-    if (wait) {
-      setTimeout(() => {
-        lastRpcAt = Date.now();
-        resolve();
-      }, wait);
-    } else {
-      lastRpcAt = now;
-      resolve();
-    }
-  });
+// RPC client (rate limited, retried, fails over across endpoints)
+const rpcClient = makeRpcClient({
+  endpoints: [config.rpc.httpUrl, ...(config.rpc.extraHttpUrls || [])],
+  ...config.rpc.client,
+});
+
+// Concurrent getAccountInfo calls are batched into getMultipleAccounts
+const coalescedRpc = config.rpc.coalesce?.enabled === false
+  ? rpcClient
+  : coalesceAccountReads(rpcClient, config.rpc.coalesce);
+
+// Session recording for offline replay
+let recorder = null;
+if (config.recording?.enabled) {
+  recorder = new Recorder();
+  recorder.start();
 }
 
-// Position manager (only for LIVE mode)
+const rpc = recorder
+  ? recordRpc(coalescedRpc, recorder, config.recording)
+  : coalescedRpc;
+
+// Virtual wallet (PAPER mode): simulated fills on live market data
+let paperTrader = null;
+if (config.trading.mode === 'PAPER') {
+  paperTrader = new PaperTrader({ rpc });
+  console.log('[main] Paper trading with', (paperTrader.getBalance() / 1e9).toFixed(4), 'virtual SOL');
+}
+
+// Position manager (LIVE and PAPER modes)
 let positionManager = null;
 if (config.trading.mode === 'LIVE' && wallet) {
   positionManager = new PositionManager({ rpc, wallet });
   console.log('[main] Position manager enabled');
+} else if (paperTrader) {
+  positionManager = new PositionManager({ rpc, sell: (args) => paperTrader.sell(args) });
+  console.log('[main] Position manager enabled (paper fills)');
 }
 
 // State persistence
 const stateManager = new StateManager({ dataDir: config.persistence.dataDir });
 
+// Wallet reconciliation (only with a position manager on a real wallet)
+let reconciler = null;
+if (positionManager && wallet && config.reconciliation?.enabled !== false) {
+  reconciler = new WalletReconciler({ rpc, wallet, positionManager });
+
+  reconciler.on('adopted', (position) => {
+    stateManager.addPosition(position.mint, position);
+  });
+
+  reconciler.on('drift', async (report) => {
+    for (const d of report.changed) {
+      if (d.type === 'PARTIAL') {
+        stateManager.updatePosition(d.mint, { remainingTokens: d.held });
+      }
+    }
+
+    const lines = report.changed.map((d) =>
+      `${d.type} ${d.mint.slice(0, 12)}... tracked=${d.tracked} held=${d.held}` +
+      `${d.adopted ? ' (adopted)' : ''}${d.closed ? ' (closed)' : ''}`
+    );
+    await notifyAlert(`Wallet drift detected:\n${lines.join('\n')}`, 'WARNING');
+  });
+
+  reconciler.start();
+  console.log('[main] Wallet reconciliation enabled');
+}
+
 // Caches
 const seenMints = new TTLCache({ ttlMs: 24 * 60 * 60 * 1000 }); // 24h
 setInterval(() => seenMints.cleanup(), 60_000).unref();
@@ -105,6 +155,19 @@ setInterval(() => seenMints.cleanup(), 60_000).unref();
 const seenSigs = new TTLCache({ ttlMs: 10 * 60 * 1000 }); // 10 min
 setInterval(() => seenSigs.cleanup(), 60_000).unref();
 
+// Per-mint trade history from decoded Pump.fun events
+const tradeLedger = new TradeLedger();
+setInterval(() => tradeLedger.cleanup(), 60_000).unref();
+
+// Launch history per creator wallet, persisted across sessions
+const creatorReputation = config.creatorReputation?.enabled !== false
+  ? new CreatorReputation()
+  : null;
+
+// Name/symbol filter; remembers recent launch names for duplicate detection
+const antinose = new AntinoseFilter();
+setInterval(() => antinose.cleanup(), 60_000).unref();
+
 // Stats tracking
 const stats = {
   wsMintEvents: 0,
@@ -118,6 +181,7 @@ const stats = {
 
 // Validation queue
 let validationQueue = null;
+let scanner = null;
 
 // Track for monitoring
 let lastTradeTime = 0;
@@ -128,19 +192,11 @@ let startBalanceLamports = 14140719; // 0.014 SOL baseline
 // ============ BALANCE MONITORING ============
 
 async function checkBalance() {
+  if (paperTrader) return paperTrader.getBalance();
+
   try {
-    const response = await fetch(`https://mainnet.helius-rpc.com/?api-key=${process.env.HELIUS_API_KEY}`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        jsonrpc: '2.0',
-        id: 1,
-        method: 'getBalance',
-        params: [wallet.publicKey.toString()]
-      })
-    });
-    const data = await response.json();
-    return data.result?.value || 0;
+    const res = await rpc('getBalance', [wallet.publicKey.toString()]);
+    return res?.value || 0;
   } catch (e) {
     return null;
   }
@@ -176,15 +232,24 @@ setInterval(monitorPerformance, 10 * 60 * 1000);
 async function _executeTrade(signal) {
   const { mint, positionSizePct, curveData } = signal;
   
-  if (!wallet) {
-    console.log('[trade] no wallet available');
-    return;
+  if (!paperTrader) {
+    if (!wallet) {
+      console.log('[trade] no wallet available');
+      return;
+    }
+
+    const enableRealTrades = process.env.ENABLE_REAL_TRADES === 'true';
+    
+    if (!enableRealTrades) {
+      console.log('[trade] Real trades disabled');
+      return;
+    }
   }
 
-  const enableRealTrades = process.env.ENABLE_REAL_TRADES === 'true';
-  
-  if (!enableRealTrades) {
-    console.log('[trade] Real trades disabled');
+  // Refuse before spending anything, not after the buy has landed
+  const blocked = positionManager.entryBlockedReason();
+  if (blocked) {
+    console.log('[trade] entry blocked:', blocked);
     return;
   }
 
@@ -208,53 +273,52 @@ async function _executeTrade(signal) {
   });
 
   try {
-    // Try Jupiter quote first
-    let q = null;
-    try {
-      const { jupiterQuote } = require('./execution/jupiterQuote');
-      q = await jupiterQuote({
-        inputMint: 'So11111111111111111111111111111111111111112',
-        outputMint: mint,
-        amount: lamports,
-        slippageBps: config.trading.slippageBps,
-      });
-    } catch (e) {
-      console.log('[trade] Jupiter unavailable, using curve-based pricing');
-      
-      // Fallback: Use curve-based pricing for Pump.fun tokens
-      const { simulateQuote } = require('./execution/jupiterQuote');
-      q = simulateQuote({ curveData, solAmount: positionSol });
-    }
+    const fill = paperTrader
+      ? await paperTrader.buy({ mint, amountSolLamports: lamports })
+      : await _buyLive(mint, lamports);
 
-    if (!q) {
-      throw new Error('Could not get quote');
-    }
+    const lamportsSpent = Number(fill.inAmount);
+    const tokensReceived = Number(fill.outAmount);
 
-    console.log('[trade] 📊 Quote:', {
-      outAmount: q.outAmount,
-      priceImpactPct: q.priceImpactPct,
-      source: q.context || 'jupiter',
-    });
+    if (!tokensReceived) {
+      throw new Error(`Buy landed without tokens: ${fill.signature}`);
+    }
 
-    // Calculate entry price
-    const entryPrice = Number(q.outAmount) / lamports;
+    // Entry price in lamports per raw token (same units as the curve price)
+    const entryPrice = lamportsSpent / tokensReceived;
 
-    // For safety, log the trade
-    console.log('[trade] ✅ Position recorded:', {
+    console.log('[trade] ✅ Buy confirmed:', {
       mint: mint.slice(0, 8) + '...',
-      solAmount: positionSol.toFixed(4),
+      signature: fill.signature,
+      slot: fill.slot,
+      source: fill.context || 'jupiter',
+      solSpent: (lamportsSpent / 1e9).toFixed(4),
+      tokens: tokensReceived,
       entryPrice: entryPrice.toFixed(12),
     });
 
     // Open position for tracking
-    const position = await positionManager.openPosition({
+    let position = await positionManager.openPosition({
       mint,
       entryPrice,
-      tokens: Number(q.outAmount),
-      solInvested: positionSol,
+      tokens: tokensReceived,
+      solInvested: lamportsSpent / 1e9,
       signal,
+      entrySignature: fill.signature,
     });
 
+    // A concurrent entry took the last slot while this buy was in flight:
+    // the tokens are held either way, so track them and let exits run
+    if (!position) {
+      console.log('[trade] entry refused after fill, adopting:', mint);
+      position = await positionManager.adoptPosition({
+        mint,
+        tokens: tokensReceived,
+        entryPrice,
+        curveData,
+      });
+    }
+
     if (position) {
       stats.positionsOpened++;
       stateManager.addPosition(mint, position);
@@ -277,17 +341,38 @@ async function _executeTrade(signal) {
   }
 }
 
+async function _buyLive(mint, lamports) {
+  // Try Jupiter first, fresh mints are usually not routable yet
+  try {
+    return await buy({
+      mint,
+      amountSolLamports: lamports,
+      wallet,
+      rpc,
+    });
+  } catch (e) {
+    // Only a missing route falls back; anything signed may still land
+    if (e.code !== 'NO_ROUTE' || e.signature) throw e;
+    console.log('[trade] Jupiter unavailable, buying on bonding curve:', e.message);
+
+    return buyOnCurve({
+      mint,
+      amountSolLamports: lamports,
+      wallet,
+      rpc,
+    });
+  }
+}
+
 async function _dryRunQuote(signal) {
   const { mint } = signal;
   
   try {
-    await rpcSpacing(config.performance.rpcSpacingMs);
-    
     const inputMint = 'So11111111111111111111111111111111111111112';
     const amount = 10000000;
     const slippageBps = config.trading.slippageBps;
 
-    const q = await quote({
+    const q = await jupiterQuote({
       inputMint,
       outputMint: mint,
       amount,
@@ -332,13 +417,18 @@ async function main() {
   // Position manager for LIVE mode
   if (config.trading.mode === 'LIVE') {
     console.log('[main] LIVE mode - position management enabled');
+  } else if (config.trading.mode === 'PAPER') {
+    console.log('[main] PAPER mode - simulated fills, no transactions sent');
   }
 
   // Validation queue
   validationQueue = new ValidationQueue({
     concurrency: config.performance.maxConcurrentValidations,
     rpc,
-    rpcSpacing,
+    wallet,
+    ledger: tradeLedger,
+    reputation: creatorReputation,
+    antinose,
   });
 
   // Stats logging
@@ -351,6 +441,10 @@ async function main() {
       dailyPnL: positionManager?.getStats()?.dailyStats?.totalPnL?.toFixed(4) || '0',
       quoteOk: stats.quoteOk,
       quoteFail: stats.quoteFail,
+      ledgerMints: tradeLedger.getStats().trackedMints,
+      creators: creatorReputation?.getStats().creators,
+      recorded: recorder?.getStats().records,
+      paper: paperTrader ? paperTrader.getStats() : undefined,
     });
     
     // Log adaptive strategy status
@@ -364,15 +458,94 @@ async function main() {
 
   // ============ SCANNER SETUP ============
 
-  const scanner = new PumpFunScanner({
-    rpcWsUrl: config.rpc.wsUrl,
+  const sources = [];
+  if (config.geyser?.enabled) {
+    // Loaded on demand: pulls in the native Yellowstone client
+    const { GeyserFeed } = require('./scanner/geyserFeed');
+    sources.push(new GeyserFeed({
+      endpoint: config.geyser.endpoint,
+      token: config.geyser.token,
+      ...config.websocket,
+    }));
+  }
+
+  const useWebsocket = !config.geyser?.enabled || config.geyser.keepWebsocket !== false;
+
+  scanner = new PumpFunScanner({
+    rpcWsUrls: useWebsocket ? [config.rpc.wsUrl, ...(config.rpc.extraWsUrls || [])] : [],
+    sources,
+    ...config.websocket,
+  });
+
+  if (healthServer) {
+    healthServer.scanner = scanner;
+    healthServer.validationQueue = validationQueue;
+  }
+
+  scanner.on('disconnected', async ({ feed, code, anyConnected }) => {
+    // Losing the last feed means we're blind to new mints
+    const level = anyConnected ? 'WARNING' : 'ERROR';
+    await notifyAlert(`Scanner feed ${feed} disconnected (code ${code}), reconnecting`, level);
+  });
+
+  scanner.on('stale', async ({ feed, lastMessageAt }) => {
+    const silentSec = ((Date.now() - lastMessageAt) / 1000).toFixed(0);
+    await notifyAlert(`Scanner feed ${feed} stale (${silentSec}s without messages), reconnecting`, 'WARNING');
   });
 
+  scanner.on('connected', async ({ feed, connects }) => {
+    // First connect is part of startup, only report recoveries
+    if (connects > 1) await notifyAlert(`Scanner feed ${feed} reconnected`, 'INFO');
+  });
+
+  // Feed the trade ledger (every create/trade, before burst limiting)
+  scanner.on('create', (event) => tradeLedger.recordCreate(event));
+  scanner.on('trade', (event) => tradeLedger.recordTrade(event));
+  scanner.on('create', (event) => antinose.recordLaunch(event));
+
+  if (creatorReputation) {
+    scanner.on('create', (event) => creatorReputation.recordCreate(event));
+    scanner.on('trade', (event) => creatorReputation.recordTrade(event));
+    scanner.on('complete', (event) => creatorReputation.recordComplete(event));
+  }
+
+  if (recorder) {
+    scanner.on('create', (event) => recorder.record('create', event));
+    scanner.on('trade', (event) => recorder.record('trade', event));
+    scanner.on('complete', (event) => recorder.record('complete', event));
+    
+    // Creates without a decoded event (mint read from the transaction)
+    scanner.on('mint', (event) => {
+      if (!event.mint) recorder.record('mint', event);
+    });
+
+    validationQueue.on('signal', (signal) => recorder.record('validation', {
+      mint: signal.mint,
+      decision: 'ENTER',
+      momentumScore: signal.momentumScore,
+      tier: signal.tier,
+      positionSizePct: signal.positionSizePct,
+      progress: signal.progress,
+      isNew: signal.isNew,
+      validation: signal.validation || null,
+      curveData: signal.curveData,
+    }));
+
+    validationQueue.on('rejected', ({ mint, reason, result, error }) => recorder.record('validation', {
+      mint,
+      decision: error ? 'ERROR' : 'PASS',
+      reason,
+      momentumScore: result?.momentumScore ?? result?.earlyScore ?? null,
+      progress: result?.progress ?? null,
+    }));
+  }
+
   let burstCount = 0;
   setInterval(() => { burstCount = 0; }, 1000).unref();
 
   // Handle mint detection
-  scanner.on('mint', async ({ signature }) => {
+  scanner.on('mint', async (event) => {
+    const { signature } = event;
     stats.wsMintEvents++;
 
     if (seenSigs.has(signature)) return;
@@ -381,51 +554,26 @@ async function main() {
     if (burstCount++ > config.performance.wsBurstLimit) return;
 
     try {
-      await rpcSpacing(config.performance.rpcSpacingMs);
-
-      // Fetch transaction
-      let tx = null;
-      for (let attempt = 0; attempt < 3; attempt++) {
-        try {
-          tx = await rpc('getTransaction', [
-            signature,
-            { commitment: 'confirmed', maxSupportedTransactionVersion: 0 }
-          ]);
-          break;
-        } catch (e) {
-          if (attempt < 2) {
-            await new Promise(r => setTimeout(r, 200));
-          }
-        }
-      }
-
-      if (!tx) return;
-
-      // Quick filter: age check
-      const nowMs = Date.now();
-      const metaCheck = quickFilterTxMeta({
-        blockTime: tx.blockTime,
-        nowMs,
-        maxAgeSec: 180
-      });
-      if (!metaCheck.ok) return;
-
-      stats.agePassed++;
-
-      // Extract mint from transaction
-      const mint = await extractMintFromTx({ tx, rpc });
-      if (!mint) {
-        console.log('[main] could not extract mint from:', signature.slice(0, 8));
-        return;
-      }
+      // Decoded create events carry the mint, otherwise read it from the transaction
+      const mint = event.mint || await _mintFromTransaction(signature);
+      if (!mint) return;
 
       // Dedupe by mint
       if (seenMints.has(mint)) return;
       seenMints.add(mint);
 
-      console.log('[main] extracted mint:', mint.slice(0, 8) + '...', 'from tx:', signature.slice(0, 8));
+      console.log('[main] detected mint:', mint.slice(0, 8) + '...', 'from tx:', signature.slice(0, 8));
       stats.queued++;
-      validationQueue.push(mint, { detectedAt: Date.now(), signature });
+      tradeLedger.track(mint);
+      validationQueue.push(mint, {
+        detectedAt: Date.now(),
+        signature,
+        creator: event.creator,
+        bondingCurve: event.bondingCurve,
+        name: event.name,
+        symbol: event.symbol,
+        uri: event.uri,
+      });
     } catch (e) {
       console.error('[main] mint extraction error:', e.message);
     }
@@ -444,7 +592,8 @@ async function main() {
 
     stateManager.addSignal(signal);
 
-    if (config.trading.mode === 'LIVE' && positionManager) {
+    // LIVE trades the wallet, PAPER the virtual one
+    if (positionManager) {
       await _executeTrade(signal);
     } else {
       await _dryRunQuote(signal);
@@ -467,6 +616,12 @@ async function main() {
 
     positionManager.on('closed', async ({ position, reason }) => {
       console.log('[position] closed:', position.mint.slice(0, 12), reason);
+      stateManager.closePosition(position.mint, {
+        reason,
+        pnlPct: position.pnlPct,
+        realizedPnL: position.realizedPnL,
+        solReceived: position.solReceived,
+      });
       const duration = Date.now() - position.entryTime;
       const won = position.pnlPct > 0;
       
@@ -480,6 +635,20 @@ async function main() {
       await notifyExit(position.mint, position.pnlPct, reason, duration);
     });
 
+    positionManager.on('exitFailed', async ({ position, reason, error }) => {
+      console.log('[position] exit failed:', position.mint.slice(0, 12), reason, error);
+      await notifyAlert(`Exit ${reason} failed for ${position.mint.slice(0, 12)}...: ${error}`, 'ERROR');
+    });
+
+    positionManager.on('feeAlert', async ({ position, feeCheck }) => {
+      console.log('[position] fee alert:', position.mint.slice(0, 12), feeCheck.feeBalance.toFixed(3), 'SOL');
+      await notifyAlert(
+        `Creator fee vault for ${position.mint.slice(0, 12)}... holds ${feeCheck.feeBalance.toFixed(3)} SOL ` +
+        `(${feeCheck.feeChange5mPct.toFixed(0)}% in 5m, risk ${feeCheck.dumpRisk})`,
+        'WARNING'
+      );
+    });
+
     positionManager.on('circuitBreaker', async ({ reason }) => {
       console.log('[position] circuit breaker:', reason);
       await notifyAlert(`Circuit breaker triggered: ${reason}`, 'WARNING');
@@ -487,6 +656,36 @@ async function main() {
   }
 }
 
+/**
+ * Fallback for creates whose event log was truncated:
+ * fetch the transaction, age-check it and extract the mint
+ */
+async function _mintFromTransaction(signature) {
+  // Transient failures are retried by the client
+  const tx = await rpc('getTransaction', [
+    signature,
+    { commitment: 'confirmed', maxSupportedTransactionVersion: 0 }
+  ]).catch(() => null);
+
+  if (!tx) return null;
+
+  // Quick filter: age check
+  const metaCheck = quickFilterTxMeta({
+    blockTime: tx.blockTime,
+    nowMs: Date.now(),
+    maxAgeSec: 180
+  });
+  if (!metaCheck.ok) return null;
+
+  stats.agePassed++;
+
+  const mint = await extractMintFromTx({ tx, rpc });
+  if (!mint) {
+    console.log('[main] could not extract mint from:', signature.slice(0, 8));
+  }
+  return mint;
+}
+
 // ============ HEALTH SERVER ============
 
 let healthServer = null;
@@ -495,6 +694,8 @@ if (config.alerts?.enableHealthServer !== false) {
     positionManager,
     validationQueue,
     stateManager,
+    reconciler,
+    rpc,
     port: config.alerts?.healthPort || 3000,
   });
   healthServer.start();
@@ -505,7 +706,10 @@ if (config.alerts?.enableHealthServer !== false) {
 process.on('SIGINT', async () => {
   console.log('\n[main] Shutting down...');
   
+  if (scanner) scanner.stop();
   if (healthServer) healthServer.stop();
+  if (recorder) await recorder.close();
+  if (creatorReputation) await creatorReputation.shutdown();
   await stateManager.shutdown();
   
   console.log('[main] Goodbye!');
@@ -0,0 +1,143 @@
+/**
+ * Pump.fun Bonding Curve Quotes
+ *
+ * BigInt-exact constant-product math on the virtual reserves
+ * (virtualSol * virtualToken = k), rounded in the curve's favour like the
+ * program. Fees are modelled as one flat rate on the SOL side: the program
+ * charges a protocol fee plus a creator fee, tiered by market cap through
+ * the fee program's fee_config, so the real total can differ by a fraction
+ * of a percent. Quotes are estimates; the slippage bounds put on every buy
+ * and sell (maxSolCost / minSolOutput) absorb the difference.
+ */
+
+// Flat estimate of the protocol + creator fee on the SOL side of a trade
+const PUMPFUN_FEE_BPS = 100n; // 1%
+
+function _reserves(curve) {
+  return {
+    virtualSol: BigInt(curve.virtualSol),
+    virtualToken: BigInt(curve.virtualToken),
+    realSol: BigInt(curve.realSol ?? 0),
+    realToken: BigInt(curve.realToken ?? 0),
+  };
+}
+
+function _ceilDiv(a, b) {
+  return (a + b - 1n) / b;
+}
+
+// Price in lamports per raw token unit
+function _price(sol, token) {
+  if (token === 0n) return 0;
+  return Number(sol) / Number(token);
+}
+
+function _impactPct(spot, effective) {
+  if (!spot) return 0;
+  return Math.abs((effective - spot) / spot) * 100;
+}
+
+/**
+ * Quote a buy that spends `solAmount` lamports in total (fee included).
+ *
+ * @returns {{inAmount, outAmount, fee, spotPrice, effectivePrice, priceImpactPct, postReserves}}
+ */
+function quoteBuy({ curve, solAmount, feeBps = PUMPFUN_FEE_BPS }) {
+  const r = _reserves(curve);
+  const budget = BigInt(solAmount);
+  const bps = BigInt(feeBps);
+
+  if (budget <= 0n || r.virtualToken === 0n) return null;
+
+  // Split the budget into curve input + fee (fee is charged on top of the cost)
+  const net = (budget * 10000n) / (10000n + bps);
+
+  // Tokens out, rounded in the curve's favour
+  const k = r.virtualSol * r.virtualToken;
+  let outAmount = r.virtualToken - (k / (r.virtualSol + net) + 1n);
+  if (outAmount > r.realToken) outAmount = r.realToken;
+  if (outAmount <= 0n) return null;
+
+  return quoteBuyExactOut({ curve, tokenAmount: outAmount, feeBps });
+}
+
+/**
+ * Quote buying exactly `tokenAmount` raw tokens - what the program
+ * charges for a buy instruction (cost + fee, checked against maxSolCost).
+ *
+ * @returns {{inAmount, outAmount, fee, spotPrice, effectivePrice, priceImpactPct, postReserves}}
+ */
+function quoteBuyExactOut({ curve, tokenAmount, feeBps = PUMPFUN_FEE_BPS }) {
+  const r = _reserves(curve);
+  const outAmount = BigInt(tokenAmount);
+  const bps = BigInt(feeBps);
+
+  if (outAmount <= 0n || outAmount > r.realToken || outAmount >= r.virtualToken) return null;
+
+  // Actual cost the program charges for exactly `outAmount` tokens
+  const solCost = _ceilDiv(outAmount * r.virtualSol, r.virtualToken - outAmount);
+  const fee = (solCost * bps) / 10000n;
+  const inAmount = solCost + fee;
+
+  const spotPrice = _price(r.virtualSol, r.virtualToken);
+  const effectivePrice = _price(inAmount, outAmount);
+
+  return {
+    inAmount,
+    outAmount,
+    fee,
+    spotPrice,
+    effectivePrice,
+    priceImpactPct: _impactPct(spotPrice, effectivePrice),
+    postReserves: {
+      virtualSol: r.virtualSol + solCost,
+      virtualToken: r.virtualToken - outAmount,
+      realSol: r.realSol + solCost,
+      realToken: r.realToken - outAmount,
+    },
+  };
+}
+
+/**
+ * Quote a sell of `tokenAmount` raw tokens, SOL out is net of fee.
+ *
+ * @returns {{inAmount, outAmount, fee, spotPrice, effectivePrice, priceImpactPct, postReserves}}
+ */
+function quoteSell({ curve, tokenAmount, feeBps = PUMPFUN_FEE_BPS }) {
+  const r = _reserves(curve);
+  const tokens = BigInt(tokenAmount);
+  const bps = BigInt(feeBps);
+
+  if (tokens <= 0n || r.virtualToken === 0n) return null;
+
+  let solOut = (tokens * r.virtualSol) / (r.virtualToken + tokens);
+  if (r.realSol > 0n && solOut > r.realSol) solOut = r.realSol;
+
+  const fee = (solOut * bps) / 10000n;
+  const outAmount = solOut - fee;
+
+  const spotPrice = _price(r.virtualSol, r.virtualToken);
+  const effectivePrice = _price(outAmount, tokens);
+
+  return {
+    inAmount: tokens,
+    outAmount,
+    fee,
+    spotPrice,
+    effectivePrice,
+    priceImpactPct: _impactPct(spotPrice, effectivePrice),
+    postReserves: {
+      virtualSol: r.virtualSol - solOut,
+      virtualToken: r.virtualToken + tokens,
+      realSol: r.realSol - solOut,
+      realToken: r.realToken + tokens,
+    },
+  };
+}
+
+module.exports = {
+  PUMPFUN_FEE_BPS,
+  quoteBuy,
+  quoteBuyExactOut,
+  quoteSell,
+};
@@ -0,0 +1,227 @@
+/**
+ * Pump.fun Instruction Builder
+ *
+ * Builds the bonding-curve program's buy/sell instructions directly,
+ * so pre-graduation tokens can be traded without an aggregator.
+ */
+
+const { PublicKey, SystemProgram, TransactionInstruction } = require('@solana/web3.js');
+const { PUMPFUN_PROGRAM_ID, TOKEN_PROGRAM_ID } = require('../scanner/constants');
+const { getBondingCurvePda } = require('../scanner/pumpCurve');
+
+const ASSOCIATED_TOKEN_PROGRAM_ID = 'ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL';
+
+// Protocol fee recipient configured in the program's global account
+const PUMPFUN_FEE_RECIPIENT = 'CebN5WGQ4jvEPvsVU4EoHEpgzq1VV7AbicfhtW4xC9iM';
+
+// Fee program holding the tiered fee config for the bonding curve program
+const PUMP_FEE_PROGRAM_ID = 'pfeeUxB6jkeY1Hxd7CsFCAjcbHA9rWtchMGdZ6VojVZ';
+
+// Anchor discriminators: sha256("global:<name>")[0..8]
+const BUY_DISCRIMINATOR = Buffer.from([102, 6, 61, 18, 1, 218, 235, 234]);
+const SELL_DISCRIMINATOR = Buffer.from([51, 230, 133, 164, 1, 127, 131, 173]);
+
+// PDA seed: ["global"]
+function getGlobalPda() {
+  const [pda] = PublicKey.findProgramAddressSync(
+    [Buffer.from('global')],
+    new PublicKey(PUMPFUN_PROGRAM_ID)
+  );
+  return pda.toBase58();
+}
+
+// PDA seed: ["__event_authority"]
+function getEventAuthorityPda() {
+  const [pda] = PublicKey.findProgramAddressSync(
+    [Buffer.from('__event_authority')],
+    new PublicKey(PUMPFUN_PROGRAM_ID)
+  );
+  return pda.toBase58();
+}
+
+// PDA seed: ["creator-vault", creator] - accrues the creator's trading fees
+function getCreatorVaultPda(creatorStr) {
+  const [pda] = PublicKey.findProgramAddressSync(
+    [Buffer.from('creator-vault'), new PublicKey(creatorStr).toBuffer()],
+    new PublicKey(PUMPFUN_PROGRAM_ID)
+  );
+  return pda.toBase58();
+}
+
+// PDA seed: ["global_volume_accumulator"]
+function getGlobalVolumeAccumulatorPda() {
+  const [pda] = PublicKey.findProgramAddressSync(
+    [Buffer.from('global_volume_accumulator')],
+    new PublicKey(PUMPFUN_PROGRAM_ID)
+  );
+  return pda.toBase58();
+}
+
+// PDA seed: ["user_volume_accumulator", user]
+function getUserVolumeAccumulatorPda(userStr) {
+  const [pda] = PublicKey.findProgramAddressSync(
+    [Buffer.from('user_volume_accumulator'), new PublicKey(userStr).toBuffer()],
+    new PublicKey(PUMPFUN_PROGRAM_ID)
+  );
+  return pda.toBase58();
+}
+
+// PDA seed: ["fee_config", bonding curve program id] under the fee program
+function getFeeConfigPda() {
+  const [pda] = PublicKey.findProgramAddressSync(
+    [Buffer.from('fee_config'), new PublicKey(PUMPFUN_PROGRAM_ID).toBuffer()],
+    new PublicKey(PUMP_FEE_PROGRAM_ID)
+  );
+  return pda.toBase58();
+}
+
+// ATA derivation: [owner, token program, mint] under the associated token program.
+// `tokenProgram` is the mint's owner: Token-2022 for CreateV2 mints.
+function getAssociatedTokenAddress(mintStr, ownerStr, tokenProgram = TOKEN_PROGRAM_ID) {
+  const [ata] = PublicKey.findProgramAddressSync(
+    [
+      new PublicKey(ownerStr).toBuffer(),
+      new PublicKey(tokenProgram).toBuffer(),
+      new PublicKey(mintStr).toBuffer(),
+    ],
+    new PublicKey(ASSOCIATED_TOKEN_PROGRAM_ID)
+  );
+  return ata.toBase58();
+}
+
+function _meta(pubkey, isSigner, isWritable) {
+  return { pubkey: new PublicKey(pubkey), isSigner, isWritable };
+}
+
+// discriminator + two u64 args (+ optional trailing bytes)
+function _encodeArgs(discriminator, a, b, tail = []) {
+  const data = Buffer.alloc(24 + tail.length);
+  discriminator.copy(data, 0);
+  data.writeBigUInt64LE(BigInt(a), 8);
+  data.writeBigUInt64LE(BigInt(b), 16);
+  Buffer.from(tail).copy(data, 24);
+  return data;
+}
+
+// The creator vault is keyed by the curve's creator, which only the curve account knows
+function _creatorVault(creator) {
+  if (!creator) {
+    throw new Error('Bonding curve creator unknown - cannot derive creator vault');
+  }
+  return getCreatorVaultPda(creator);
+}
+
+/**
+ * Create the user's token account for the mint if it doesn't exist yet
+ */
+function buildCreateAtaIdempotentInstruction({ mint, user, tokenProgram = TOKEN_PROGRAM_ID }) {
+  return new TransactionInstruction({
+    programId: new PublicKey(ASSOCIATED_TOKEN_PROGRAM_ID),
+    keys: [
+      _meta(user, true, true),
+      _meta(getAssociatedTokenAddress(mint, user, tokenProgram), false, true),
+      _meta(user, false, false),
+      _meta(mint, false, false),
+      _meta(SystemProgram.programId, false, false),
+      _meta(tokenProgram, false, false),
+    ],
+    data: Buffer.from([1]), // CreateIdempotent
+  });
+}
+
+/**
+ * Close an empty token account, returning its rent to `user`
+ */
+function buildCloseAccountInstruction({ mint, user, tokenProgram = TOKEN_PROGRAM_ID }) {
+  return new TransactionInstruction({
+    programId: new PublicKey(tokenProgram),
+    keys: [
+      _meta(getAssociatedTokenAddress(mint, user, tokenProgram), false, true),
+      _meta(user, false, true),
+      _meta(user, true, false),
+    ],
+    data: Buffer.from([9]), // CloseAccount
+  });
+}
+
+/**
+ * Buy exactly `tokenAmount` raw tokens, spending at most `maxSolCost` lamports.
+ * `creator` is the bonding curve's creator (parseBondingCurve().creator),
+ * `tokenProgram` the mint's owner (fetchTokenProgram()).
+ */
+function buildBuyInstruction({ mint, user, creator, tokenAmount, maxSolCost, tokenProgram = TOKEN_PROGRAM_ID }) {
+  const bondingCurve = getBondingCurvePda(mint);
+
+  return new TransactionInstruction({
+    programId: new PublicKey(PUMPFUN_PROGRAM_ID),
+    keys: [
+      _meta(getGlobalPda(), false, false),
+      _meta(PUMPFUN_FEE_RECIPIENT, false, true),
+      _meta(mint, false, false),
+      _meta(bondingCurve, false, true),
+      _meta(getAssociatedTokenAddress(mint, bondingCurve, tokenProgram), false, true),
+      _meta(getAssociatedTokenAddress(mint, user, tokenProgram), false, true),
+      _meta(user, true, true),
+      _meta(SystemProgram.programId, false, false),
+      _meta(tokenProgram, false, false),
+      _meta(_creatorVault(creator), false, true),
+      _meta(getEventAuthorityPda(), false, false),
+      _meta(PUMPFUN_PROGRAM_ID, false, false),
+      _meta(getGlobalVolumeAccumulatorPda(), false, true),
+      _meta(getUserVolumeAccumulatorPda(user), false, true),
+      _meta(getFeeConfigPda(), false, false),
+      _meta(PUMP_FEE_PROGRAM_ID, false, false),
+    ],
+    // track_volume: OptionBool(false)
+    data: _encodeArgs(BUY_DISCRIMINATOR, tokenAmount, maxSolCost, [0]),
+  });
+}
+
+/**
+ * Sell `tokenAmount` raw tokens, receiving at least `minSolOutput` lamports.
+ * `creator` is the bonding curve's creator (parseBondingCurve().creator),
+ * `tokenProgram` the mint's owner (fetchTokenProgram()).
+ */
+function buildSellInstruction({ mint, user, creator, tokenAmount, minSolOutput, tokenProgram = TOKEN_PROGRAM_ID }) {
+  const bondingCurve = getBondingCurvePda(mint);
+
+  return new TransactionInstruction({
+    programId: new PublicKey(PUMPFUN_PROGRAM_ID),
+    keys: [
+      _meta(getGlobalPda(), false, false),
+      _meta(PUMPFUN_FEE_RECIPIENT, false, true),
+      _meta(mint, false, false),
+      _meta(bondingCurve, false, true),
+      _meta(getAssociatedTokenAddress(mint, bondingCurve, tokenProgram), false, true),
+      _meta(getAssociatedTokenAddress(mint, user, tokenProgram), false, true),
+      _meta(user, true, true),
+      _meta(SystemProgram.programId, false, false),
+      _meta(_creatorVault(creator), false, true),
+      _meta(tokenProgram, false, false),
+      _meta(getEventAuthorityPda(), false, false),
+      _meta(PUMPFUN_PROGRAM_ID, false, false),
+      _meta(getFeeConfigPda(), false, false),
+      _meta(PUMP_FEE_PROGRAM_ID, false, false),
+    ],
+    data: _encodeArgs(SELL_DISCRIMINATOR, tokenAmount, minSolOutput),
+  });
+}
+
+module.exports = {
+  ASSOCIATED_TOKEN_PROGRAM_ID,
+  PUMPFUN_FEE_RECIPIENT,
+  PUMP_FEE_PROGRAM_ID,
+  BUY_DISCRIMINATOR,
+  SELL_DISCRIMINATOR,
+  getGlobalPda,
+  getEventAuthorityPda,
+  getCreatorVaultPda,
+  getGlobalVolumeAccumulatorPda,
+  getUserVolumeAccumulatorPda,
+  getFeeConfigPda,
+  getAssociatedTokenAddress,
+  buildCreateAtaIdempotentInstruction,
+  buildCloseAccountInstruction,
+  buildBuyInstruction,
+  buildSellInstruction,
+};
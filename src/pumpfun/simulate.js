@@ -0,0 +1,111 @@
+/**
+ * Pump.fun Simulation Gate
+ *
+ * Simulates a buy and a full round trip (buy -> sell -> close ATA) on the
+ * bonding curve without sending anything:
+ * - BUY_SIMULATION_FAILED:   the buy itself would fail
+ * - SELL_SIMULATION_FAILED:  tokens can be bought but not sold (honeypot)
+ * - ROUND_TRIP_TAX_TOO_HIGH: buying then selling loses more than maxBuyTaxPct
+ */
+
+const { PublicKey, VersionedTransaction, TransactionMessage } = require('@solana/web3.js');
+const config = require('../../config');
+const { simulateTransaction } = require('../execution/txSender');
+const { quoteBuy } = require('./curveQuote');
+const { fetchTokenProgram } = require('../scanner/splMint');
+const {
+  buildCreateAtaIdempotentInstruction,
+  buildCloseAccountInstruction,
+  buildBuyInstruction,
+  buildSellInstruction,
+} = require('./instructions');
+
+// Base fee per signature, charged in simulation like on-chain
+const SIGNATURE_FEE_LAMPORTS = 5000n;
+
+// Any valid hash - the node replaces it when simulating
+const PLACEHOLDER_BLOCKHASH = PublicKey.default.toBase58();
+
+function _unsignedTransaction(payer, instructions) {
+  const message = new TransactionMessage({
+    payerKey: new PublicKey(payer),
+    recentBlockhash: PLACEHOLDER_BLOCKHASH,
+    instructions,
+  }).compileToV0Message();
+
+  return new VersionedTransaction(message);
+}
+
+async function _simulate(rpc, payer, instructions, addresses) {
+  return simulateTransaction({
+    rpc,
+    transaction: _unsignedTransaction(payer, instructions),
+    addresses,
+    replaceRecentBlockhash: true,
+  });
+}
+
+/**
+ * Simulate buying `amountSolLamports` and selling it straight back.
+ * `tokenProgram` is the mint's owner, read from the mint account if omitted.
+ *
+ * @returns {Promise<{ok, reason?, taxPct?, logs?}>}
+ */
+async function simulateRoundTrip({ rpc, mint, curve, payer, amountSolLamports, tokenProgram }) {
+  const { maxBuyTaxPct = 10, requireHoneypotCheck = true } = config.entry || {};
+
+  const lamports = BigInt(amountSolLamports);
+  const q = quoteBuy({ curve, solAmount: lamports });
+  if (!q) {
+    return { ok: false, reason: 'BUY_SIMULATION_FAILED', error: 'zero quote' };
+  }
+
+  tokenProgram = tokenProgram || await fetchTokenProgram({ rpc, mint });
+  if (!tokenProgram) {
+    return { ok: false, reason: 'BUY_SIMULATION_FAILED', error: 'mint account unreadable' };
+  }
+
+  // Generous max cost: we're testing executability, not slippage
+  const maxSolCost = lamports * 2n;
+  const buyIxs = [
+    buildCreateAtaIdempotentInstruction({ mint, user: payer, tokenProgram }),
+    buildBuyInstruction({ mint, user: payer, creator: curve.creator, tokenAmount: q.outAmount, maxSolCost, tokenProgram }),
+  ];
+
+  const buySim = await _simulate(rpc, payer, buyIxs);
+  if (buySim.err) {
+    return { ok: false, reason: 'BUY_SIMULATION_FAILED', error: buySim.err, logs: buySim.logs };
+  }
+
+  if (!requireHoneypotCheck) return { ok: true };
+
+  const balance = await rpc('getBalance', [payer, { commitment: 'processed' }]);
+  const preLamports = BigInt(balance?.value ?? 0);
+
+  const roundTripSim = await _simulate(
+    rpc,
+    payer,
+    [
+      ...buyIxs,
+      buildSellInstruction({ mint, user: payer, creator: curve.creator, tokenAmount: q.outAmount, minSolOutput: 0n, tokenProgram }),
+      // Return the ATA rent so only the trade itself moves the balance
+      buildCloseAccountInstruction({ mint, user: payer, tokenProgram }),
+    ],
+    [payer]
+  );
+  if (roundTripSim.err) {
+    return { ok: false, reason: 'SELL_SIMULATION_FAILED', error: roundTripSim.err, logs: roundTripSim.logs };
+  }
+
+  const postLamports = BigInt(roundTripSim.accounts[0]?.lamports ?? 0);
+  const lost = preLamports - postLamports - SIGNATURE_FEE_LAMPORTS;
+  const taxPct = (Number(lost) / Number(lamports)) * 100;
+
+  if (taxPct > maxBuyTaxPct) {
+    return { ok: false, reason: 'ROUND_TRIP_TAX_TOO_HIGH', taxPct, maxBuyTaxPct };
+  }
+
+  return { ok: true, taxPct, unitsConsumed: roundTripSim.unitsConsumed };
+}
+
+module.exports = { simulateRoundTrip };
@@ -0,0 +1,189 @@
+/**
+ * Pump.fun On-Curve Execution
+ * Buys and sells directly against the bonding curve (pre-graduation)
+ */
+
+const { PublicKey, VersionedTransaction, TransactionMessage } = require('@solana/web3.js');
+const config = require('../../config');
+const { fetchBondingCurve, getBondingCurvePda } = require('../scanner/pumpCurve');
+const { fetchTokenProgram } = require('../scanner/splMint');
+const { sendAndConfirm } = require('../execution/txSender');
+const { quoteBuy, quoteSell } = require('./curveQuote');
+const { estimatePriorityFee, buildComputeBudgetInstructions } = require('../execution/priorityFees');
+const {
+  buildCreateAtaIdempotentInstruction,
+  buildBuyInstruction,
+  buildSellInstruction,
+} = require('./instructions');
+
+/**
+ * Fetch the curve and make sure it is still tradable on-curve, along with
+ * the token program owning the mint
+ */
+async function _loadTradableCurve({ rpc, mint }) {
+  const [curve, tokenProgram] = await Promise.all([
+    fetchBondingCurve({ rpc, mint }),
+    fetchTokenProgram({ rpc, mint }),
+  ]);
+  if (!curve) {
+    throw new Error('Bonding curve not found');
+  }
+  if (curve.complete) {
+    throw new Error('Bonding curve complete - token has graduated');
+  }
+  if (!tokenProgram) {
+    throw new Error('Mint account unreadable - token program unknown');
+  }
+  return { curve, tokenProgram };
+}
+
+/**
+ * Compile instructions into a v0 transaction with a fresh blockhash
+ */
+async function _buildTransaction({ rpc, payer, instructions }) {
+  const latest = await rpc('getLatestBlockhash', [{ commitment: 'confirmed' }]);
+  const { blockhash, lastValidBlockHeight } = latest.value;
+
+  const message = new TransactionMessage({
+    payerKey: new PublicKey(payer),
+    recentBlockhash: blockhash,
+    instructions,
+  }).compileToV0Message();
+
+  return { transaction: new VersionedTransaction(message), lastValidBlockHeight };
+}
+
+/**
+ * ComputeBudget instructions priced from recent fees on the curve account
+ */
+async function _computeBudget({ rpc, mint, side, urgency }) {
+  const { computeUnitLimit = { buy: 120000, sell: 100000 } } = config.priorityFees || {};
+  const units = computeUnitLimit[side];
+
+  const microLamports = await estimatePriorityFee({
+    rpc,
+    accounts: [getBondingCurvePda(mint)],
+    urgency,
+    units,
+  });
+
+  return buildComputeBudgetInstructions({ units, microLamports });
+}
+
+/**
+ * Buy on the bonding curve (SOL -> Token)
+ */
+async function buyOnCurve({ mint, amountSolLamports, wallet, rpc, slippageBps = config.trading.slippageBps, urgency = 'entry' }) {
+  const user = wallet.publicKey.toString();
+  const { curve, tokenProgram } = await _loadTradableCurve({ rpc, mint });
+
+  const lamports = BigInt(amountSolLamports);
+  const q = quoteBuy({ curve, solAmount: lamports });
+  if (!q) {
+    throw new Error('Curve quote returned zero tokens');
+  }
+
+  const tokenAmount = q.outAmount;
+  const maxSolCost = (q.inAmount * BigInt(10000 + slippageBps)) / 10000n;
+
+  console.log('[curve-buy] quote:', {
+    mint,
+    lamports: lamports.toString(),
+    tokenAmount: tokenAmount.toString(),
+    maxSolCost: maxSolCost.toString(),
+    priceImpactPct: q.priceImpactPct.toFixed(2),
+  });
+
+  const { transaction, lastValidBlockHeight } = await _buildTransaction({
+    rpc,
+    payer: user,
+    instructions: [
+      ...(await _computeBudget({ rpc, mint, side: 'buy', urgency })),
+      buildCreateAtaIdempotentInstruction({ mint, user, tokenProgram }),
+      buildBuyInstruction({ mint, user, creator: curve.creator, tokenAmount, maxSolCost, tokenProgram }),
+    ],
+  });
+
+  const result = await sendAndConfirm({ rpc, transaction, wallet, mint, lastValidBlockHeight, urgency });
+
+  const inAmount = result.solChange !== null ? -result.solChange : lamports;
+  const outAmount = result.tokenChange !== null ? result.tokenChange : tokenAmount;
+
+  console.log('[curve-buy] filled:', {
+    signature: result.signature,
+    inAmount: inAmount.toString(),
+    outAmount: outAmount.toString(),
+  });
+
+  return {
+    signature: result.signature,
+    slot: result.slot,
+    inAmount: inAmount.toString(),
+    outAmount: outAmount.toString(),
+    fee: result.fee?.toString() ?? null,
+    rent: result.rent?.toString() ?? null,
+    walletPublicKey: user,
+    context: 'pumpfun-curve',
+  };
+}
+
+/**
+ * Sell on the bonding curve (Token -> SOL)
+ */
+async function sellOnCurve({ mint, amountTokenLamports, wallet, rpc, slippageBps = config.trading.slippageBps, urgency = 'exit' }) {
+  const user = wallet.publicKey.toString();
+  const { curve, tokenProgram } = await _loadTradableCurve({ rpc, mint });
+
+  const tokenAmount = BigInt(amountTokenLamports);
+  const q = quoteSell({ curve, tokenAmount });
+  if (!q) {
+    throw new Error('Curve quote returned zero SOL');
+  }
+
+  const expectedSol = q.outAmount;
+  const minSolOutput = (expectedSol * BigInt(Math.max(0, 10000 - slippageBps))) / 10000n;
+
+  console.log('[curve-sell] quote:', {
+    mint,
+    tokenAmount: tokenAmount.toString(),
+    expectedSol: expectedSol.toString(),
+    minSolOutput: minSolOutput.toString(),
+    priceImpactPct: q.priceImpactPct.toFixed(2),
+  });
+
+  const { transaction, lastValidBlockHeight } = await _buildTransaction({
+    rpc,
+    payer: user,
+    instructions: [
+      ...(await _computeBudget({ rpc, mint, side: 'sell', urgency })),
+      buildSellInstruction({ mint, user, creator: curve.creator, tokenAmount, minSolOutput, tokenProgram }),
+    ],
+  });
+
+  const result = await sendAndConfirm({ rpc, transaction, wallet, mint, lastValidBlockHeight, urgency });
+
+  const inAmount = result.tokenChange !== null ? -result.tokenChange : tokenAmount;
+  const outAmount = result.solChange !== null ? result.solChange : expectedSol;
+
+  console.log('[curve-sell] filled:', {
+    signature: result.signature,
+    inAmount: inAmount.toString(),
+    outAmount: outAmount.toString(),
+  });
+
+  return {
+    signature: result.signature,
+    slot: result.slot,
+    inAmount: inAmount.toString(),
+    outAmount: outAmount.toString(),
+    fee: result.fee?.toString() ?? null,
+    rent: result.rent?.toString() ?? null,
+    walletPublicKey: user,
+    context: 'pumpfun-curve',
+  };
+}
+
+module.exports = {
+  buyOnCurve,
+  sellOnCurve,
+};
@@ -0,0 +1,92 @@
+/**
+ * Account Read Coalescer
+ *
+ * Wraps an rpc(method, params) function so concurrent getAccountInfo
+ * calls are batched into a single getMultipleAccounts within a short
+ * window, and identical in-flight requests share one result.
+ * Every other method passes straight through.
+ */
+
+// getMultipleAccounts hard limit
+const MAX_BATCH = 100;
+
+function coalesceAccountReads(rpc, { windowMs = 5, maxBatch = MAX_BATCH } = {}) {
+  // config key -> { config, keys: Map(pubkey -> {resolve, reject}), timer }
+  const pending = new Map();
+  // config key + pubkey -> promise, from the first request until its batch settles
+  const inflight = new Map();
+  const stats = { requests: 0, deduped: 0, batches: 0, batchedAccounts: 0 };
+
+  async function _flush(configKey) {
+    const batch = pending.get(configKey);
+    if (!batch) return;
+    pending.delete(configKey);
+    clearTimeout(batch.timer);
+
+    const pubkeys = [...batch.keys.keys()];
+    stats.batches++;
+    stats.batchedAccounts += pubkeys.length;
+
+    try {
+      const res = await rpc('getMultipleAccounts', [pubkeys, batch.config]);
+      pubkeys.forEach((pubkey, i) => {
+        const value = res?.value?.[i] ?? null;
+        batch.keys.get(pubkey).resolve({ context: res?.context, value });
+      });
+    } catch (e) {
+      for (const waiter of batch.keys.values()) waiter.reject(e);
+    } finally {
+      for (const pubkey of pubkeys) inflight.delete(`${configKey}:${pubkey}`);
+    }
+  }
+
+  function _getAccountInfo(pubkey, config = {}) {
+    stats.requests++;
+    const configKey = JSON.stringify(config);
+    const key = `${configKey}:${pubkey}`;
+
+    // Queued or already sent: share that read
+    const existing = inflight.get(key);
+    if (existing) {
+      stats.deduped++;
+      return existing;
+    }
+
+    let batch = pending.get(configKey);
+    if (!batch) {
+      batch = { config, keys: new Map(), timer: null };
+      pending.set(configKey, batch);
+      batch.timer = setTimeout(() => _flush(configKey), windowMs);
+    }
+
+    const promise = new Promise((resolve, reject) => {
+      batch.keys.set(pubkey, { resolve, reject });
+    });
+    inflight.set(key, promise);
+
+    if (batch.keys.size >= maxBatch) _flush(configKey);
+    return promise;
+  }
+
+  function coalesced(method, params) {
+    if (method === 'getAccountInfo') {
+      const [pubkey, config] = params;
+      return _getAccountInfo(pubkey, config);
+    }
+    return rpc(method, params);
+  }
+
+  coalesced.getMetrics = function getMetrics() {
+    return {
+      ...(rpc.getMetrics?.() || {}),
+      coalescer: {
+        ...stats,
+        avgBatchSize: stats.batches ? stats.batchedAccounts / stats.batches : 0,
+      },
+    };
+  };
+
+  return coalesced;
+}
+
+module.exports = { coalesceAccountReads };
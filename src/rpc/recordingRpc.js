@@ -0,0 +1,79 @@
+/**
+ * Recording RPC
+ *
+ * Wraps an rpc(method, params) function and hands the recorder what
+ * the bot read from the chain:
+ * - getTransaction responses ('transaction')
+ * - Bonding curve accounts from getAccountInfo / getMultipleAccounts ('curve')
+ * Responses are passed through untouched.
+ */
+
+const { PUMPFUN_PROGRAM_ID } = require('../scanner/constants');
+const { BONDING_CURVE_DISCRIMINATOR, parseBondingCurve } = require('../scanner/pumpCurve');
+
+function _accountData(acc) {
+  // Handle both Helius and standard Solana RPC response formats
+  let b64 = acc?.data?.[0];
+  if (!b64 && acc?.data) {
+    b64 = typeof acc.data === 'string' ? acc.data : null;
+  }
+  return b64 ? Buffer.from(b64, 'base64') : null;
+}
+
+function recordRpc(rpc, recorder, { transactions = true, curves = true } = {}) {
+  function _recordCurve(pubkey, acc, slot) {
+    if (!acc || acc.owner !== PUMPFUN_PROGRAM_ID) return;
+
+    const buf = _accountData(acc);
+    if (!buf || buf.length < 8 || !buf.subarray(0, 8).equals(BONDING_CURVE_DISCRIMINATOR)) return;
+
+    const curve = parseBondingCurve(buf);
+    if (!curve) return;
+
+    const { discriminator, ...fields } = curve;
+    recorder.record('curve', {
+      curvePda: pubkey,
+      mint: recorder.mintForCurve(pubkey),
+      slot,
+      ...fields,
+    });
+  }
+
+  function _capture(method, params, res) {
+    if (method === 'getTransaction') {
+      if (transactions && res) {
+        recorder.record('transaction', { signature: params[0], slot: res.slot ?? null, tx: res });
+      }
+      return;
+    }
+
+    if (!curves) return;
+    const slot = res?.context?.slot ?? null;
+
+    if (method === 'getAccountInfo') {
+      _recordCurve(params[0], res?.value, slot);
+    } else if (method === 'getMultipleAccounts') {
+      params[0].forEach((pubkey, i) => _recordCurve(pubkey, res?.value?.[i], slot));
+    }
+  }
+
+  async function recorded(method, params) {
+    const res = await rpc(method, params);
+
+    try {
+      _capture(method, params, res);
+    } catch (e) {
+      console.error('[recorder] capture failed:', method, e.message);
+    }
+
+    return res;
+  }
+
+  recorded.getMetrics = function getMetrics() {
+    return rpc.getMetrics?.() || {};
+  };
+
+  return recorded;
+}
+
+module.exports = { recordRpc };
@@ -0,0 +1,232 @@
+/**
+ * RPC Client
+ *
+ * Single JSON-RPC client used by every module:
+ * - Per-endpoint rate limiting (Bottleneck)
+ * - Retry with backoff, only for errors classified as transient
+ * - Multiple endpoints with health-scored failover
+ * - Per-method timeouts
+ * - Request metrics per method and per endpoint
+ *
+ * Returns `rpc(method, params)`, with getMetrics() attached.
+ */
+
+const axios = require('axios');
+const Bottleneck = require('bottleneck');
+const { default: pRetry } = require('p-retry');
+
+// JSON-RPC error codes worth retrying (node lagging / slot not yet available)
+const RETRYABLE_RPC_CODES = new Set([-32004, -32005, -32007, -32014, -32016, -32603]);
+
+// Latency samples kept per method for percentiles
+const LATENCY_SAMPLES = 200;
+
+function _endpointLabel(url) {
+  try {
+    return new URL(url).host;
+  } catch (e) {
+    return String(url);
+  }
+}
+
+/**
+ * Transient: timeouts, connection failures, throttling, 5xx and
+ * node-side "not ready" RPC errors. Everything else (bad params,
+ * simulation failures, unknown methods) fails immediately.
+ */
+function isRetryable(err) {
+  if (err.rpcCode !== undefined) return RETRYABLE_RPC_CODES.has(err.rpcCode);
+
+  const status = err.response?.status;
+  if (status) return status === 429 || status >= 500;
+
+  // No response at all: timeout, reset, DNS, refused
+  return true;
+}
+
+class Endpoint {
+  constructor({ url, rps, concurrency }) {
+    this.url = url;
+    this.name = _endpointLabel(url);
+    this.limiter = new Bottleneck({
+      minTime: Math.ceil(1000 / rps),
+      maxConcurrent: concurrency,
+    });
+
+    // EWMA of success (0..1) and latency
+    this.successRate = 1;
+    this.avgLatencyMs = 0;
+    this.consecutiveFailures = 0;
+    this.cooldownUntil = 0;
+    this.lastFailureAt = 0;
+    this.stats = { calls: 0, errors: 0 };
+  }
+
+  score(now, recoveryMs) {
+    if (now < this.cooldownUntil) return -1;
+    // Past failures fade so a recovered endpoint (e.g. the primary) wins again
+    const fade = Math.exp(-(now - this.lastFailureAt) / recoveryMs);
+    const health = 1 - (1 - this.successRate) * fade;
+    // Health dominates, latency breaks ties
+    return health - Math.min(this.avgLatencyMs, 5000) / 10000;
+  }
+
+  record(ok, latencyMs, { failureCooldownMs, maxConsecutiveFailures }) {
+    const alpha = 0.2;
+    this.stats.calls++;
+    this.successRate = this.successRate * (1 - alpha) + (ok ? 1 : 0) * alpha;
+    this.avgLatencyMs = this.avgLatencyMs === 0
+      ? latencyMs
+      : this.avgLatencyMs * (1 - alpha) + latencyMs * alpha;
+
+    if (ok) {
+      this.consecutiveFailures = 0;
+      return;
+    }
+
+    this.stats.errors++;
+    this.consecutiveFailures++;
+    this.lastFailureAt = Date.now();
+    if (this.consecutiveFailures >= maxConsecutiveFailures) {
+      this.cooldownUntil = Date.now() + failureCooldownMs;
+      console.warn('[rpc] endpoint cooling down:', this.name, `(${this.consecutiveFailures} failures)`);
+    }
+  }
+}
+
+function makeRpcClient({
+  endpoints,
+  rps = 10,
+  concurrency = 4,
+  retries = 3,
+  timeoutsMs = {},
+  failureCooldownMs = 30000,
+  maxConsecutiveFailures = 3,
+}) {
+  const urls = [...new Set((Array.isArray(endpoints) ? endpoints : [endpoints]).filter(Boolean))];
+  if (urls.length === 0) {
+    throw new Error('makeRpcClient: at least one endpoint is required');
+  }
+
+  const pool = urls.map((url) => new Endpoint({ url, rps, concurrency }));
+  const methodStats = new Map(); // method -> { calls, errors, retries, latencies[] }
+  let id = 1;
+
+  function _methodStats(method) {
+    let s = methodStats.get(method);
+    if (!s) {
+      s = { calls: 0, errors: 0, retries: 0, latencies: [] };
+      methodStats.set(method, s);
+    }
+    return s;
+  }
+
+  /**
+   * Best-scored endpoint not yet tried for this request
+   */
+  function _pick(tried) {
+    const now = Date.now();
+    const candidates = pool.filter((e) => !tried.has(e));
+    // Stable sort: endpoint order is the tie-break, so the primary is preferred
+    const ranked = (candidates.length ? candidates : pool)
+      .slice()
+      .sort((a, b) => b.score(now, failureCooldownMs) - a.score(now, failureCooldownMs));
+    return ranked[0];
+  }
+
+  async function _post(endpoint, method, params) {
+    const timeout = timeoutsMs[method] ?? timeoutsMs.default ?? 4000;
+
+    const res = await endpoint.limiter.schedule(() =>
+      axios.post(
+        endpoint.url,
+        { jsonrpc: '2.0', id: id++, method, params },
+        { timeout }
+      )
+    );
+
+    if (res.data?.error) {
+      const err = new Error(`RPC error: ${res.data.error.message || JSON.stringify(res.data.error)}`);
+      err.rpcCode = res.data.error.code;
+      err.rpcError = res.data.error;
+      throw err;
+    }
+    return res.data?.result;
+  }
+
+  async function rpc(method, params) {
+    const mStats = _methodStats(method);
+    const tried = new Set();
+    mStats.calls++;
+
+    try {
+      return await pRetry(async () => {
+        const endpoint = _pick(tried);
+        tried.add(endpoint);
+
+        const start = Date.now();
+        try {
+          const result = await _post(endpoint, method, params);
+          const latency = Date.now() - start;
+          endpoint.record(true, latency, { failureCooldownMs, maxConsecutiveFailures });
+          mStats.latencies.push(latency);
+          if (mStats.latencies.length > LATENCY_SAMPLES) mStats.latencies.shift();
+          return result;
+        } catch (e) {
+          // Only transient failures count against the endpoint's health
+          const retryable = isRetryable(e);
+          if (retryable) {
+            endpoint.record(false, Date.now() - start, { failureCooldownMs, maxConsecutiveFailures });
+          }
+          e.retryable = retryable;
+          e.endpoint = endpoint.name;
+          throw e;
+        }
+      }, {
+        retries,
+        factor: 2,
+        minTimeout: 100,
+        maxTimeout: 2000,
+        shouldRetry: ({ error }) => error.retryable === true,
+        onFailedAttempt: ({ error, retriesLeft }) => {
+          if (error.retryable && retriesLeft > 0) mStats.retries++;
+        },
+      });
+    } catch (e) {
+      mStats.errors++;
+      throw e;
+    }
+  }
+
+  rpc.getMetrics = function getMetrics() {
+    const methods = {};
+    for (const [method, s] of methodStats.entries()) {
+      const sorted = [...s.latencies].sort((a, b) => a - b);
+      const pct = (p) => (sorted.length ? sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))] : null);
+      methods[method] = {
+        calls: s.calls,
+        errors: s.errors,
+        retries: s.retries,
+        latencyP50Ms: pct(0.5),
+        latencyP95Ms: pct(0.95),
+      };
+    }
+
+    const now = Date.now();
+    return {
+      endpoints: pool.map((e) => ({
+        name: e.name,
+        calls: e.stats.calls,
+        errors: e.stats.errors,
+        successRate: Number(e.successRate.toFixed(3)),
+        avgLatencyMs: Math.round(e.avgLatencyMs),
+        coolingDown: now < e.cooldownUntil,
+      })),
+      methods,
+    };
+  };
+
+  return rpc;
+}
+
+module.exports = { makeRpcClient, isRetryable };
@@ -0,0 +1,93 @@
+/**
+ * Antinose Filter
+ *
+ * Name/symbol screening from config.antinose:
+ * - suspiciousPatterns: scam bait in the name, symbol or description
+ * - botPatterns: names/symbols generated by launch bots
+ * - Duplicate names: same normalized name as another mint launched recently
+ */
+
+const config = require('../../config');
+const { systemClock } = require('../utils/clock');
+
+// Case, spacing and punctuation don't make a new name
+function normalizeName(name) {
+  return String(name || '').toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+function _firstMatch(patterns, fields) {
+  for (const [field, value] of Object.entries(fields)) {
+    if (!value) continue;
+    const pattern = patterns.find((p) => p.test(value));
+    if (pattern) return { field, value: String(value).slice(0, 80), pattern: String(pattern) };
+  }
+  return null;
+}
+
+class AntinoseFilter {
+  constructor({
+    settings = config.antinose || {},
+    duplicateWindowMs = config.antinose?.duplicateWindowMs || 60 * 60 * 1000,
+    clock = systemClock,
+  } = {}) {
+    this.settings = settings;
+    this.duplicateWindowMs = duplicateWindowMs;
+    this.clock = clock;
+
+    // normalized name -> { mint, seenAt } of the first launch using it
+    this.recentNames = new Map();
+  }
+
+  /**
+   * Remember a launch's name (from create events)
+   */
+  recordLaunch({ mint, name }) {
+    const key = normalizeName(name);
+    if (!key || !mint) return;
+
+    const seen = this.recentNames.get(key);
+    if (seen && this.clock.now() - seen.seenAt <= this.duplicateWindowMs) return;
+    this.recentNames.set(key, { mint, seenAt: this.clock.now() });
+  }
+
+  /**
+   * @returns {{ ok: true } | { ok: false, reason, field, value, pattern?, original? }}
+   */
+  check({ mint, name, symbol, description }) {
+    const s = this.settings;
+
+    if (s.skipSuspiciousNames !== false) {
+      const hit = _firstMatch(s.suspiciousPatterns || [], { name, symbol, description });
+      if (hit) return { ok: false, reason: 'SUSPICIOUS_NAME', ...hit };
+    }
+
+    if (s.skipBotPatterns !== false) {
+      const hit = _firstMatch(s.botPatterns || [], { name, symbol });
+      if (hit) return { ok: false, reason: 'BOT_PATTERN', ...hit };
+    }
+
+    if (s.skipDuplicateNames !== false) {
+      const key = normalizeName(name);
+      const seen = key ? this.recentNames.get(key) : null;
+      if (seen && seen.mint !== mint && this.clock.now() - seen.seenAt <= this.duplicateWindowMs) {
+        return { ok: false, reason: 'DUPLICATE_NAME', field: 'name', value: name, original: seen.mint };
+      }
+      this.recordLaunch({ mint, name });
+    }
+
+    return { ok: true };
+  }
+
+  cleanup() {
+    const now = this.clock.now();
+    for (const [key, seen] of this.recentNames) {
+      if (now - seen.seenAt > this.duplicateWindowMs) this.recentNames.delete(key);
+    }
+  }
+
+  getStats() {
+    return { recentNames: this.recentNames.size };
+  }
+}
+
+module.exports = { AntinoseFilter, normalizeName };
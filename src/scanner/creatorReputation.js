@@ -0,0 +1,259 @@
+/**
+ * Creator Reputation
+ *
+ * Launch history per creator wallet, fed from decoded Pump.fun events:
+ * - Tokens launched, how many graduated
+ * - How soon after launch the creator first sold
+ * Persisted to <persistence.dataDir>/creators.json across sessions.
+ *
+ * Score is 0-100, 50 being neutral:
+ *   + graduation rate
+ *   - share of launches the creator sold within quickSellMs
+ *   - serial launching (many launches in 24h)
+ * Creators with few launches are pulled towards neutral.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../../config');
+const { systemClock } = require('../utils/clock');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class CreatorReputation {
+  constructor({
+    file = path.join(config.persistence.dataDir, config.creatorReputation?.file || 'creators.json'),
+    persist = true,
+    quickSellMs = config.creatorReputation?.quickSellMs || 5 * 60 * 1000,
+    minLaunches = config.creatorReputation?.minLaunches || 3,
+    maxLaunchesPerCreator = 50,
+    maxCreators = config.creatorReputation?.maxCreators || 50000,
+    saveIntervalMs = config.creatorReputation?.saveIntervalMs || 60000,
+    clock = systemClock,
+  } = {}) {
+    this.file = file;
+    this.persist = persist;
+    this.quickSellMs = quickSellMs;
+    this.minLaunches = minLaunches;
+    this.maxLaunchesPerCreator = maxLaunchesPerCreator;
+    this.maxCreators = maxCreators;
+    this.clock = clock;
+
+    // creator -> { firstSeen, lastSeen, launched, graduated, quickSells, sold, totalSellDelayMs, launches[] }
+    this.creators = new Map();
+    // mint -> creator, for attributing trades and completions
+    this.mintCreators = new Map();
+    this.dirty = false;
+    this.saving = null;
+
+    if (this.persist) {
+      this._load();
+      this.saveTimer = setInterval(async () => {
+        try {
+          await this.save();
+        } catch (e) {
+          console.error('[reputation] save error:', e.message);
+        }
+      }, saveIntervalMs);
+      this.saveTimer.unref?.();
+    }
+  }
+
+  recordCreate(event) {
+    const creator = event.creator || event.user;
+    if (!creator || !event.mint || this.mintCreators.has(event.mint)) return;
+
+    const now = this._eventTime(event);
+    let entry = this.creators.get(creator);
+    if (!entry) {
+      entry = {
+        firstSeen: now,
+        lastSeen: now,
+        launched: 0,
+        graduated: 0,
+        quickSells: 0,
+        sold: 0,
+        totalSellDelayMs: 0,
+        launches: [],
+      };
+      this.creators.set(creator, entry);
+    }
+
+    entry.launched++;
+    entry.lastSeen = now;
+    entry.launches.push({ mint: event.mint, createdAt: now, graduated: false, firstSellMs: null });
+    if (entry.launches.length > this.maxLaunchesPerCreator) {
+      const dropped = entry.launches.shift();
+      this.mintCreators.delete(dropped.mint);
+    }
+
+    this.mintCreators.set(event.mint, creator);
+    this.dirty = true;
+  }
+
+  /**
+   * Only the creator's first sell of each launch matters
+   */
+  recordTrade(event) {
+    if (event.isBuy) return;
+
+    const creator = this.mintCreators.get(event.mint);
+    if (!creator || event.user !== creator) return;
+
+    const entry = this.creators.get(creator);
+    const launch = this._launch(entry, event.mint);
+    if (!launch || launch.firstSellMs !== null) return;
+
+    launch.firstSellMs = Math.max(0, this._eventTime(event) - launch.createdAt);
+    entry.sold++;
+    entry.totalSellDelayMs += launch.firstSellMs;
+    if (launch.firstSellMs <= this.quickSellMs) entry.quickSells++;
+    this.dirty = true;
+  }
+
+  recordComplete(event) {
+    const creator = this.mintCreators.get(event.mint);
+    if (!creator) return;
+
+    const entry = this.creators.get(creator);
+    const launch = this._launch(entry, event.mint);
+    if (!launch || launch.graduated) return;
+
+    launch.graduated = true;
+    entry.graduated++;
+    this.dirty = true;
+  }
+
+  /**
+   * Reputation from launches before `excludeMint` (the mint being judged).
+   * Returns null for creators we've never seen launch anything else.
+   */
+  getReputation(creator, { excludeMint = null } = {}) {
+    const entry = this.creators.get(creator);
+    if (!entry) return null;
+
+    const current = excludeMint ? this._launch(entry, excludeMint) : null;
+    const launched = entry.launched - (current ? 1 : 0);
+    if (launched <= 0) return null;
+
+    const graduated = entry.graduated - (current?.graduated ? 1 : 0);
+    const quickSells = entry.quickSells - (current && current.firstSellMs !== null && current.firstSellMs <= this.quickSellMs ? 1 : 0);
+    const sold = entry.sold - (current && current.firstSellMs !== null ? 1 : 0);
+    const sellDelayMs = entry.totalSellDelayMs - (current?.firstSellMs || 0);
+
+    const since = this.clock.now() - DAY_MS;
+    const launches24h = entry.launches.filter((l) => l.createdAt >= since && l !== current).length;
+
+    const graduationRate = graduated / launched;
+    const quickSellRate = quickSells / launched;
+    const serialPenalty = Math.min(20, Math.max(0, launches24h - 3) * 2);
+
+    const raw = 50 + graduationRate * 50 - quickSellRate * 40 - serialPenalty;
+
+    // Few launches: pull towards neutral
+    const confidence = Math.min(1, launched / this.minLaunches);
+    const score = Math.round(Math.max(0, Math.min(100, 50 + (raw - 50) * confidence)));
+
+    return {
+      creator,
+      score,
+      launched,
+      graduated,
+      quickSells,
+      launches24h,
+      avgFirstSellMs: sold > 0 ? Math.round(sellDelayMs / sold) : null,
+      confidence,
+    };
+  }
+
+  getStats() {
+    return { creators: this.creators.size, trackedMints: this.mintCreators.size };
+  }
+
+  /**
+   * Write to a temp file and rename over creators.json, so a crash
+   * mid-write never leaves a truncated file behind
+   */
+  async save() {
+    if (!this.persist) return;
+
+    // One write at a time; a save requested meanwhile runs after it
+    while (this.saving) await this.saving.catch(() => {});
+    if (!this.dirty) return;
+
+    this._prune();
+    const data = JSON.stringify({
+      version: 1,
+      updated: new Date(this.clock.now()).toISOString(),
+      creators: Object.fromEntries(this.creators),
+    });
+    this.dirty = false;
+
+    const tempPath = `${this.file}.tmp`;
+    this.saving = (async () => {
+      await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+      await fs.promises.writeFile(tempPath, data);
+      await fs.promises.rename(tempPath, this.file);
+    })();
+
+    try {
+      await this.saving;
+    } catch (e) {
+      this.dirty = true;
+      throw e;
+    } finally {
+      this.saving = null;
+    }
+  }
+
+  async shutdown() {
+    if (this.saveTimer) clearInterval(this.saveTimer);
+    try {
+      await this.save();
+    } catch (e) {
+      console.error('[reputation] save error:', e.message);
+    }
+  }
+
+  _load() {
+    if (!fs.existsSync(this.file)) return;
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      for (const [creator, entry] of Object.entries(data.creators || {})) {
+        this.creators.set(creator, entry);
+        for (const launch of entry.launches || []) {
+          this.mintCreators.set(launch.mint, creator);
+        }
+      }
+      console.log('[reputation] loaded', this.creators.size, 'creators');
+    } catch (e) {
+      console.error('[reputation] could not load', this.file, e.message);
+    }
+  }
+
+  // Drop the least recently active creators beyond maxCreators
+  _prune() {
+    if (this.creators.size <= this.maxCreators) return;
+
+    const byAge = [...this.creators.entries()].sort((a, b) => a[1].lastSeen - b[1].lastSeen);
+    for (const [creator, entry] of byAge.slice(0, this.creators.size - this.maxCreators)) {
+      for (const launch of entry.launches) this.mintCreators.delete(launch.mint);
+      this.creators.delete(creator);
+    }
+  }
+
+  _launch(entry, mint) {
+    if (!entry) return null;
+    for (let i = entry.launches.length - 1; i >= 0; i--) {
+      if (entry.launches[i].mint === mint) return entry.launches[i];
+    }
+    return null;
+  }
+
+  _eventTime(event) {
+    return event.timestamp ? event.timestamp * 1000 : (event.detectedAt || this.clock.now());
+  }
+}
+
+module.exports = { CreatorReputation };
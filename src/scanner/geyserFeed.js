@@ -0,0 +1,221 @@
+/**
+ * Geyser Feed (Yellowstone gRPC)
+ *
+ * Streams Pump.fun transactions from a Yellowstone gRPC endpoint at
+ * processed commitment - typically well ahead of logsSubscribe.
+ * Implements the scanner source interface (see pumpfunScanner.js):
+ * emits 'logs' ({signature, slot, logs, err}, receivedAt) built from
+ * the transaction's log messages, plus 'connected'/'disconnected'/'stale'.
+ */
+
+const EventEmitter = require('events');
+const bs58 = require('bs58').default;
+const { default: YellowstoneClient, CommitmentLevel } = require('@triton-one/yellowstone-grpc');
+const { PUMPFUN_PROGRAM_ID } = require('./constants');
+const { feedLabel, backoffDelay } = require('./wsFeed');
+
+class GeyserFeed extends EventEmitter {
+  constructor({
+    endpoint,
+    token,
+    name = `grpc:${feedLabel(endpoint)}`,
+    reconnectBaseMs = 500,
+    reconnectMaxMs = 30000,
+    pingIntervalMs = 10000,
+    staleTimeoutMs = 30000,
+  }) {
+    super();
+    this.endpoint = endpoint;
+    this.token = token;
+    this.name = name;
+
+    this.reconnectBaseMs = reconnectBaseMs;
+    this.reconnectMaxMs = reconnectMaxMs;
+    this.pingIntervalMs = pingIntervalMs;
+    this.staleTimeoutMs = staleTimeoutMs;
+
+    this.client = null;
+    this.stream = null;
+    this.connected = false;
+    this.lastMessageAt = 0;
+    this._stopped = false;
+    this._reconnectAttempts = 0;
+    this._reconnectTimer = null;
+    this._heartbeatTimer = null;
+    this._pingId = 1;
+
+    this.stats = { connects: 0, disconnects: 0, stale: 0, messages: 0 };
+  }
+
+  start() {
+    this._stopped = false;
+    this._connect();
+  }
+
+  stop() {
+    this._stopped = true;
+    clearTimeout(this._reconnectTimer);
+    clearInterval(this._heartbeatTimer);
+    this.connected = false;
+    this._closeConnection();
+  }
+
+  /**
+   * Tear down the current stream and client. Destroying the stream closes
+   * the native gRPC call; the client's channel goes with its last reference.
+   */
+  _closeConnection() {
+    const stream = this.stream;
+    this.stream = null;
+    this.client = null;
+    if (stream && !stream.destroyed) stream.destroy();
+  }
+
+  _subscribeRequest() {
+    return {
+      accounts: {},
+      slots: {},
+      transactions: {
+        pumpfun: {
+          vote: false,
+          failed: false,
+          accountInclude: [PUMPFUN_PROGRAM_ID],
+          accountExclude: [],
+          accountRequired: [],
+        },
+      },
+      transactionsStatus: {},
+      blocks: {},
+      blocksMeta: {},
+      entry: {},
+      accountsDataSlice: [],
+      commitment: CommitmentLevel.PROCESSED,
+    };
+  }
+
+  async _connect() {
+    console.log(`[scanner:${this.name}] connecting to Geyser gRPC...`);
+
+    // Never keep a previous connection open alongside the new one
+    this._closeConnection();
+
+    let client;
+    let stream;
+    try {
+      client = new YellowstoneClient(this.endpoint, this.token || undefined, undefined);
+      await client.connect();
+      stream = await client.subscribe();
+      await new Promise((resolve, reject) => {
+        stream.write(this._subscribeRequest(), (err) => (err ? reject(err) : resolve()));
+      });
+    } catch (e) {
+      console.error(`[scanner:${this.name}] connect failed:`, e.message);
+      if (stream && !stream.destroyed) stream.destroy();
+      this._scheduleReconnect();
+      return;
+    }
+
+    // Stopped while connecting
+    if (this._stopped) {
+      stream.destroy();
+      return;
+    }
+
+    this.client = client;
+    this.stream = stream;
+    this.connected = true;
+    this.lastMessageAt = Date.now();
+    this._reconnectAttempts = 0;
+    this.stats.connects++;
+    this._startHeartbeat();
+    console.log(`[scanner:${this.name}] subscribed to Pump.fun transactions`);
+    this.emit('connected', { feed: this.name, connects: this.stats.connects });
+
+    stream.on('data', (update) => this._onUpdate(update));
+
+    const onClosed = (reason) => {
+      // A replaced stream closing late must not trigger another reconnect
+      if (stream !== this.stream) return;
+      this._closeConnection();
+
+      const wasConnected = this.connected;
+      this.connected = false;
+      clearInterval(this._heartbeatTimer);
+
+      if (wasConnected) {
+        this.stats.disconnects++;
+        console.warn(`[scanner:${this.name}] disconnected`, { reason });
+        this.emit('disconnected', { feed: this.name, code: reason });
+      }
+
+      this._scheduleReconnect();
+    };
+
+    stream.on('error', (err) => onClosed(err.message));
+    stream.on('end', () => onClosed('end'));
+    stream.on('close', () => onClosed('close'));
+  }
+
+  _onUpdate(update) {
+    const receivedAt = Date.now();
+    this.lastMessageAt = receivedAt;
+    this.stats.messages++;
+
+    const info = update?.transaction?.transaction;
+    if (!info?.signature) return;
+
+    this.emit('logs', {
+      signature: bs58.encode(Buffer.from(info.signature)),
+      slot: update.transaction.slot !== undefined ? Number(update.transaction.slot) : null,
+      logs: info.meta?.logMessages || [],
+      err: info.meta?.err || null,
+    }, receivedAt);
+  }
+
+  _scheduleReconnect() {
+    if (this._stopped) return;
+
+    const delay = backoffDelay(this.reconnectBaseMs, this.reconnectMaxMs, this._reconnectAttempts);
+    this._reconnectAttempts++;
+
+    console.log(`[scanner:${this.name}] reconnecting in`, delay, 'ms (attempt', this._reconnectAttempts + ')');
+    this._reconnectTimer = setTimeout(() => this._connect(), delay);
+  }
+
+  /**
+   * Keep-alive pings (load balancers drop idle gRPC streams) and
+   * stale-stream detection. A stale stream is destroyed and reconnected.
+   */
+  _startHeartbeat() {
+    clearInterval(this._heartbeatTimer);
+
+    this._heartbeatTimer = setInterval(() => {
+      const stream = this.stream;
+      if (!stream) return;
+
+      if (Date.now() - this.lastMessageAt > this.staleTimeoutMs) {
+        this.stats.stale++;
+        console.warn(`[scanner:${this.name}] stream stale, no messages for`, this.staleTimeoutMs, 'ms');
+        this.emit('stale', { feed: this.name, lastMessageAt: this.lastMessageAt });
+        stream.destroy(new Error('stale'));
+        return;
+      }
+
+      stream.write({ ...this._subscribeRequest(), ping: { id: this._pingId++ } }, () => {});
+    }, Math.min(this.pingIntervalMs, this.staleTimeoutMs));
+    this._heartbeatTimer.unref?.();
+  }
+
+  getStatus() {
+    return {
+      name: this.name,
+      type: 'geyser',
+      connected: this.connected,
+      lastMessageAt: this.lastMessageAt || null,
+      reconnectAttempts: this._reconnectAttempts,
+      ...this.stats,
+    };
+  }
+}
+
+module.exports = { GeyserFeed };
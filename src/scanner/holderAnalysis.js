@@ -0,0 +1,96 @@
+/**
+ * Holder Distribution
+ *
+ * Reads the largest token accounts of a mint (getTokenLargestAccounts),
+ * resolves their owners and measures concentration:
+ * - Top-10 holding % (bonding curve excluded)
+ * - Creator (dev) holding %
+ * - Bundled clusters: wallets whose first buy landed in the same slot
+ */
+
+const { PublicKey } = require('@solana/web3.js');
+
+// SPL token account layout: mint @0, owner @32, amount @64
+const TOKEN_ACCOUNT_OWNER_OFFSET = 32;
+
+function _ownerOf(acc) {
+  // Handle both Helius and standard Solana RPC response formats
+  let b64 = acc?.data?.[0];
+  if (!b64 && acc?.data) {
+    b64 = typeof acc.data === 'string' ? acc.data : null;
+  }
+  if (!b64) return null;
+
+  const buf = Buffer.from(b64, 'base64');
+  if (buf.length < TOKEN_ACCOUNT_OWNER_OFFSET + 32) return null;
+  return new PublicKey(buf.subarray(TOKEN_ACCOUNT_OWNER_OFFSET, TOKEN_ACCOUNT_OWNER_OFFSET + 32)).toBase58();
+}
+
+function _pct(amount, supply) {
+  if (supply === 0n) return 0;
+  return Number((amount * 10000n) / supply) / 100;
+}
+
+/**
+ * @param {Map<string, number>} [firstBuySlots] - wallet -> slot of its first buy (from the trade ledger)
+ * @returns {{ holders, top10Pct, devPct, bundledPct, curvePct, clusters: [{ slot, wallets, pct }] }}
+ */
+async function analyzeHolders({ rpc, mint, supply, curvePda, creator, firstBuySlots = null, minClusterSize = 3 }) {
+  const res = await rpc('getTokenLargestAccounts', [mint, { commitment: 'confirmed' }]);
+  const largest = res?.value || [];
+  const total = BigInt(supply || 0);
+
+  const empty = { holders: 0, top10Pct: 0, devPct: 0, bundledPct: 0, curvePct: 0, clusters: [] };
+  if (!largest.length || total === 0n) return empty;
+
+  const infos = await rpc('getMultipleAccounts', [
+    largest.map((a) => a.address),
+    { commitment: 'confirmed', encoding: 'base64' },
+  ]);
+
+  const accounts = largest
+    .map((a, i) => ({ address: a.address, owner: _ownerOf(infos?.value?.[i]), amount: BigInt(a.amount) }))
+    .filter((a) => a.amount > 0n)
+    .sort((a, b) => (b.amount > a.amount ? 1 : b.amount < a.amount ? -1 : 0));
+
+  // The curve's own token account holds the unsold supply
+  const isCurve = (a) => a.owner === curvePda || a.address === curvePda;
+  const curveAmount = accounts.filter(isCurve).reduce((sum, a) => sum + a.amount, 0n);
+  const wallets = accounts.filter((a) => !isCurve(a));
+
+  const top10 = wallets.slice(0, 10).reduce((sum, a) => sum + a.amount, 0n);
+  const dev = creator
+    ? wallets.filter((a) => a.owner === creator).reduce((sum, a) => sum + a.amount, 0n)
+    : 0n;
+
+  // Same-slot first buys across distinct wallets look like a bundle
+  const bySlot = new Map();
+  if (firstBuySlots) {
+    for (const a of wallets) {
+      const slot = a.owner ? firstBuySlots.get(a.owner) : undefined;
+      if (slot === undefined || slot === null) continue;
+      if (!bySlot.has(slot)) bySlot.set(slot, []);
+      bySlot.get(slot).push(a);
+    }
+  }
+
+  const clusters = [];
+  let bundled = 0n;
+  for (const [slot, members] of bySlot) {
+    if (members.length < minClusterSize) continue;
+    const amount = members.reduce((sum, a) => sum + a.amount, 0n);
+    bundled += amount;
+    clusters.push({ slot, wallets: members.length, pct: _pct(amount, total) });
+  }
+
+  return {
+    holders: wallets.length,
+    top10Pct: _pct(top10, total),
+    devPct: _pct(dev, total),
+    bundledPct: _pct(bundled, total),
+    curvePct: _pct(curveAmount, total),
+    clusters,
+  };
+}
+
+module.exports = { analyzeHolders };
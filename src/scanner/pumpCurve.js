@@ -1,6 +1,10 @@
+const crypto = require('crypto');
 const { PublicKey } = require('@solana/web3.js');
 const { PUMPFUN_PROGRAM_ID } = require('./constants');
 
+// Anchor account discriminator: sha256("account:BondingCurve")[0..8]
+const BONDING_CURVE_DISCRIMINATOR = crypto.createHash('sha256').update('account:BondingCurve').digest().subarray(0, 8);
+
 function readU64LE(buf, off) {
   let n = 0n;
   for (let i = 0; i < 8; i++) n |= BigInt(buf[off + i]) << (8n * BigInt(i));
@@ -22,12 +26,21 @@ function parseBondingCurve(buf) {
   const realToken    = readU64LE(buf, 24);
   const realSol      = readU64LE(buf, 32);
 
+  // token_total_supply u64, complete bool (set once the curve has migrated)
+  const hasTail = buf.length >= 8 + 8*5 + 1;
+
+  // creator pubkey (newer curve accounts only)
+  const hasCreator = buf.length >= 8 + 8*5 + 1 + 32;
+
   return {
     discriminator: disc.toString(),
     virtualToken: virtualToken.toString(),
     virtualSol: virtualSol.toString(),
     realToken: realToken.toString(),
     realSol: realSol.toString(),
+    tokenTotalSupply: hasTail ? readU64LE(buf, 40).toString() : null,
+    complete: hasTail ? buf[48] === 1 : false,
+    creator: hasCreator ? new PublicKey(buf.subarray(49, 81)).toBase58() : null,
   };
 }
 
@@ -88,6 +101,9 @@ function computeProgressPct({ realToken, supply }) {
 }
 
 module.exports = {
+  BONDING_CURVE_DISCRIMINATOR,
+  parseBondingCurve,
+  getBondingCurvePda,
   fetchBondingCurve,
   computeProgressPct,
   curveStage,
@@ -0,0 +1,192 @@
+/**
+ * Pump.fun Event Decoder
+ *
+ * Anchor programs emit events as `Program data: <base64>` log lines:
+ * 8-byte discriminator (sha256("event:<Name>")[0..8]) + borsh fields.
+ * Decodes CreateEvent, TradeEvent and CompleteEvent emitted by the
+ * Pump.fun program so the scanner gets mint/creator/amounts straight
+ * from the logs subscription.
+ */
+
+const crypto = require('crypto');
+const { PublicKey } = require('@solana/web3.js');
+const { PUMPFUN_PROGRAM_ID } = require('./constants');
+
+function _eventDiscriminator(name) {
+  return crypto.createHash('sha256').update(`event:${name}`).digest().subarray(0, 8);
+}
+
+const CREATE_EVENT_DISCRIMINATOR = _eventDiscriminator('CreateEvent');
+const TRADE_EVENT_DISCRIMINATOR = _eventDiscriminator('TradeEvent');
+const COMPLETE_EVENT_DISCRIMINATOR = _eventDiscriminator('CompleteEvent');
+
+/**
+ * Sequential borsh reader. Trailing fields added by program upgrades
+ * are optional - `remaining` tells whether they are present.
+ */
+class Reader {
+  constructor(buf, offset = 0) {
+    this.buf = buf;
+    this.offset = offset;
+  }
+
+  get remaining() {
+    return this.buf.length - this.offset;
+  }
+
+  u64() {
+    const v = this.buf.readBigUInt64LE(this.offset);
+    this.offset += 8;
+    return v;
+  }
+
+  i64() {
+    const v = this.buf.readBigInt64LE(this.offset);
+    this.offset += 8;
+    return v;
+  }
+
+  bool() {
+    return this.buf[this.offset++] === 1;
+  }
+
+  pubkey() {
+    const v = new PublicKey(this.buf.subarray(this.offset, this.offset + 32)).toBase58();
+    this.offset += 32;
+    return v;
+  }
+
+  string() {
+    const len = this.buf.readUInt32LE(this.offset);
+    this.offset += 4;
+    const v = this.buf.subarray(this.offset, this.offset + len).toString('utf8');
+    this.offset += len;
+    return v;
+  }
+}
+
+function _decodeCreate(r) {
+  const event = {
+    type: 'create',
+    name: r.string(),
+    symbol: r.string(),
+    uri: r.string(),
+    mint: r.pubkey(),
+    bondingCurve: r.pubkey(),
+    user: r.pubkey(),
+  };
+
+  // Newer program versions append creator, timestamp and initial reserves
+  event.creator = r.remaining >= 32 ? r.pubkey() : event.user;
+  if (r.remaining >= 8) event.timestamp = Number(r.i64());
+  if (r.remaining >= 32) {
+    event.virtualTokenReserves = r.u64().toString();
+    event.virtualSolReserves = r.u64().toString();
+    event.realTokenReserves = r.u64().toString();
+    event.tokenTotalSupply = r.u64().toString();
+  }
+
+  return event;
+}
+
+function _decodeTrade(r) {
+  const event = {
+    type: 'trade',
+    mint: r.pubkey(),
+    solAmount: r.u64().toString(),
+    tokenAmount: r.u64().toString(),
+    isBuy: r.bool(),
+    user: r.pubkey(),
+    timestamp: Number(r.i64()),
+    virtualSolReserves: r.u64().toString(),
+    virtualTokenReserves: r.u64().toString(),
+  };
+
+  if (r.remaining >= 16) {
+    event.realSolReserves = r.u64().toString();
+    event.realTokenReserves = r.u64().toString();
+  }
+
+  return event;
+}
+
+function _decodeComplete(r) {
+  return {
+    type: 'complete',
+    user: r.pubkey(),
+    mint: r.pubkey(),
+    bondingCurve: r.pubkey(),
+    timestamp: Number(r.i64()),
+  };
+}
+
+/**
+ * Decode a single `Program data:` payload, null if it isn't a known event
+ */
+function decodeEventData(b64) {
+  let buf;
+  try {
+    buf = Buffer.from(b64, 'base64');
+  } catch (e) {
+    return null;
+  }
+  if (buf.length < 8) return null;
+
+  const disc = buf.subarray(0, 8);
+  const r = new Reader(buf, 8);
+
+  try {
+    if (disc.equals(CREATE_EVENT_DISCRIMINATOR)) return _decodeCreate(r);
+    if (disc.equals(TRADE_EVENT_DISCRIMINATOR)) return _decodeTrade(r);
+    if (disc.equals(COMPLETE_EVENT_DISCRIMINATOR)) return _decodeComplete(r);
+  } catch (e) {
+    // Truncated or layout mismatch
+    return null;
+  }
+  return null;
+}
+
+/**
+ * Decode all Pump.fun events from a transaction's log lines.
+ * Only `Program data:` lines emitted while the Pump.fun program is
+ * executing are considered.
+ *
+ * @returns {{events: object[], instructions: string[]}}
+ */
+function decodePumpLogs(logs) {
+  const events = [];
+  const instructions = [];
+  const stack = [];
+
+  for (const line of logs || []) {
+    const invoke = line.match(/^Program (\w+) invoke \[\d+\]$/);
+    if (invoke) {
+      stack.push(invoke[1]);
+      continue;
+    }
+
+    if (/^Program \w+ (success|failed)/.test(line)) {
+      stack.pop();
+      continue;
+    }
+
+    if (stack[stack.length - 1] !== PUMPFUN_PROGRAM_ID) continue;
+
+    if (line.startsWith('Program data: ')) {
+      const event = decodeEventData(line.slice('Program data: '.length));
+      if (event) events.push(event);
+    } else if (line.startsWith('Program log: Instruction: ')) {
+      instructions.push(line.slice('Program log: Instruction: '.length));
+    }
+  }
+
+  return { events, instructions };
+}
+
+module.exports = {
+  CREATE_EVENT_DISCRIMINATOR,
+  TRADE_EVENT_DISCRIMINATOR,
+  COMPLETE_EVENT_DISCRIMINATOR,
+  decodeEventData,
+  decodePumpLogs,
+};
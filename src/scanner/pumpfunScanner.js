@@ -1,99 +1,167 @@
-const WebSocket = require('ws');
 const EventEmitter = require('events');
-const { PUMPFUN_PROGRAM_ID } = require('./constants');
-
+const { WsFeed } = require('./wsFeed');
+const { decodePumpLogs } = require('./pumpEvents');
+
+// Lag samples kept per feed for percentile stats
+const LAG_SAMPLES = 500;
+
+// Launch instructions: legacy SPL Token mints and Token-2022 mints
+const CREATE_INSTRUCTIONS = ['Create', 'CreateV2'];
+
+/**
+ * Pump.fun log scanner
+ *
+ * Fans in one or more sources, dedupes notifications by signature
+ * across them and tracks which source delivered each first.
+ *
+ * A source is an EventEmitter with `name`, `connected`, start(), stop()
+ * and getStatus(), emitting:
+ * - 'logs' ({signature, slot, logs, err}, receivedAt)
+ * - 'connected' / 'disconnected' / 'stale' ({feed, ...})
+ * WebSocket feeds are built from `rpcWsUrls`; other sources (e.g. a
+ * Geyser gRPC stream) are passed in via `sources`.
+ */
 class PumpFunScanner extends EventEmitter {
-  constructor({ rpcWsUrl }) {
+  constructor({ rpcWsUrl, rpcWsUrls, sources = [], ...feedOptions }) {
     super();
-    this.rpcWsUrl = rpcWsUrl;
-    this.ws = null;
-    this._seenSigs = new Map(); // signature -> timestamp
+    const urls = [...new Set([...(rpcWsUrls || []), ...(rpcWsUrl ? [rpcWsUrl] : [])])];
+
+    this.feeds = [
+      ...urls.map((url) => new WsFeed({ url, ...feedOptions })),
+      ...sources,
+    ];
+    this._seenSigs = new Map(); // signature -> { t, feed, feeds }
+    this.feedStats = new Map(); // feed -> { first, late, lags[] }
+
+    for (const feed of this.feeds) {
+      feed.on('logs', (notification, receivedAt) => {
+        try {
+          this.handleLogs(notification, feed.name, receivedAt);
+        } catch (err) {
+          console.error('[scanner] handle error', err);
+        }
+      });
+      feed.on('connected', (e) => this.emit('connected', e));
+      feed.on('disconnected', (e) => this.emit('disconnected', { ...e, anyConnected: this.connected }));
+      feed.on('stale', (e) => this.emit('stale', e));
+    }
   }
 
-  start() {
-    console.log('[scanner] connecting to Solana WS...');
-    this.ws = new WebSocket(this.rpcWsUrl);
-
-    this.ws.on('open', () => {
-      console.log('[scanner] connected');
-      this.subscribe();
-      // periodic dedupe cleanup
-      setInterval(() => this._cleanupSeen(60_000), 10_000).unref?.();
-    });
+  // Connected while at least one feed is up
+  get connected() {
+    return this.feeds.some((feed) => feed.connected);
+  }
 
-    this.ws.on('message', (data) => {
-      try {
-        const msg = JSON.parse(data.toString());
-        this.handleMessage(msg);
-      } catch (err) {
-        console.error('[scanner] parse error', err);
-      }
-    });
+  start() {
+    // periodic dedupe cleanup
+    this._cleanupTimer = setInterval(() => this._cleanupSeen(60_000), 10_000);
+    this._cleanupTimer.unref?.();
 
-    this.ws.on('close', () => {
-      console.warn('[scanner] disconnected');
-    });
+    console.log('[scanner] starting feeds:', this.feeds.map((f) => f.name));
+    for (const feed of this.feeds) feed.start();
+  }
 
-    this.ws.on('error', (err) => {
-      console.error('[scanner] ws error', err);
-    });
+  stop() {
+    clearInterval(this._cleanupTimer);
+    for (const feed of this.feeds) feed.stop();
   }
 
-  subscribe() {
-    console.log('[scanner] sending logsSubscribe payload...');
-    const payload = {
-      jsonrpc: '2.0',
-      id: 1,
-      method: 'logsSubscribe',
-      params: [
-        { mentions: [PUMPFUN_PROGRAM_ID] },
-        { commitment: 'processed' }
-      ]
-    };
+  handleLogs({ signature, slot, logs, err }, feed = 'default', receivedAt = Date.now()) {
+    if (!logs || !signature) return;
 
-    this.ws.send(JSON.stringify(payload));
-    console.log('[scanner] subscribed to Pump.fun program logs');
-  }
+    // Failed transactions still log, but nothing happened on-chain
+    if (err) return;
 
-  handleMessage(msg) {
-    // Confirm subscription
-    if (msg.id === 1 && msg.result) {
-      console.log('[scanner] subscription id:', msg.result);
+    // Dedupe across feeds (and repeated notifications on one feed)
+    const seen = this._seenSigs.get(signature);
+    if (seen) {
+      if (!seen.feeds.has(feed)) {
+        seen.feeds.add(feed);
+        this._recordLate(feed, receivedAt - seen.t);
+      }
       return;
     }
+    this._seenSigs.set(signature, { t: receivedAt, feed, feeds: new Set([feed]) });
+    this._recordFirst(feed);
 
-    if (msg.method !== 'logsNotification') return;
-
-    const value = msg.params?.result?.value;
-    const logs = value?.logs;
-    const signature = value?.signature;
-
-    if (!logs || !signature) return;
-
-    // Dedupe: WS can send multiple notifications per signature
-    if (this._seenSigs.has(signature)) return;
-    this._seenSigs.set(signature, Date.now());
+    const detectedAt = receivedAt;
+    const { events, instructions } = decodePumpLogs(logs);
 
-    // Very lightweight mint-ish pattern (we'll refine later)
-    const isLikelyMint = logs.some((l) =>
-      l.includes('InitializeMint') ||
-      l.toLowerCase().includes('initialize') ||
-      l.toLowerCase().includes('create')
-    );
+    for (const event of events) {
+      const typed = { ...event, signature, slot, detectedAt, feed };
 
-    if (!isLikelyMint) return;
+      if (event.type === 'create') {
+        this.emit('create', typed);
+        this.emit('mint', typed);
+        console.log('[scanner] MINT DETECTED:', event.mint, `(${event.symbol})`);
+      } else {
+        this.emit(event.type, typed);
+      }
+    }
 
-    const event = { signature, detectedAt: Date.now() };
-    this.emit('mint', event);
-    console.log('[scanner] MINT DETECTED:', signature);
+    // Logs can be truncated before the event line - the instruction name
+    // still identifies the create, the mint then comes from the transaction
+    const decodedCreate = events.some((e) => e.type === 'create');
+    if (!decodedCreate && instructions.some((name) => CREATE_INSTRUCTIONS.includes(name))) {
+      this.emit('mint', { signature, slot, detectedAt, feed });
+      console.log('[scanner] MINT DETECTED (undecoded):', signature);
+    }
   }
 
   _cleanupSeen(ttlMs) {
     const now = Date.now();
-    for (const [sig, ts] of this._seenSigs.entries()) {
-      if (now - ts > ttlMs) this._seenSigs.delete(sig);
+    for (const [sig, seen] of this._seenSigs.entries()) {
+      if (now - seen.t > ttlMs) this._seenSigs.delete(sig);
     }
   }
+
+  _feedStats(feed) {
+    let stats = this.feedStats.get(feed);
+    if (!stats) {
+      stats = { first: 0, late: 0, lags: [] };
+      this.feedStats.set(feed, stats);
+    }
+    return stats;
+  }
+
+  _recordFirst(feed) {
+    this._feedStats(feed).first++;
+  }
+
+  _recordLate(feed, lagMs) {
+    const stats = this._feedStats(feed);
+    stats.late++;
+    stats.lags.push(lagMs);
+    if (stats.lags.length > LAG_SAMPLES) stats.lags.shift();
+  }
+
+  /**
+   * Per-feed connection status plus lead/lag versus the other feeds:
+   * leadPct = share of events this feed delivered first,
+   * lag = how far behind the first delivery it was otherwise (ms)
+   */
+  getStatus() {
+    const feeds = this.feeds.map((feed) => {
+      const stats = this._feedStats(feed.name);
+      const total = stats.first + stats.late;
+      const lags = [...stats.lags].sort((a, b) => a - b);
+      const pct = (p) => (lags.length ? lags[Math.min(lags.length - 1, Math.floor(p * lags.length))] : null);
+
+      return {
+        ...feed.getStatus(),
+        eventsFirst: stats.first,
+        eventsLate: stats.late,
+        leadPct: total > 0 ? (stats.first / total) * 100 : null,
+        lagP50Ms: pct(0.5),
+        lagP95Ms: pct(0.95),
+      };
+    });
+
+    return {
+      connected: this.connected,
+      feeds,
+    };
+  }
 }
 
 module.exports = PumpFunScanner;
@@ -1,3 +1,5 @@
+const { TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID } = require('./constants');
+
 function readU64LE(buf, off) {
   let n = 0n;
   for (let i = 0; i < 8; i++) n |= BigInt(buf[off + i]) << (8n * BigInt(i));
@@ -14,4 +16,19 @@ function parseSplMint(buf) {
   return { supply: supply.toString(), decimals, isInitialized };
 }
 
-module.exports = { parseSplMint };
+/**
+ * The token program owning `mint` (legacy Token or Token-2022), or null
+ * while the mint account can't be read. Token accounts and ATAs of the
+ * mint must be derived and passed under this program.
+ */
+async function fetchTokenProgram({ rpc, mint }) {
+  const acc = await rpc('getAccountInfo', [
+    mint,
+    { commitment: 'confirmed', encoding: 'base64' }
+  ]);
+
+  const owner = acc?.value?.owner;
+  return owner === TOKEN_PROGRAM_ID || owner === TOKEN_2022_PROGRAM_ID ? owner : null;
+}
+
+module.exports = { parseSplMint, fetchTokenProgram };
@@ -0,0 +1,179 @@
+/**
+ * Token Metadata
+ *
+ * Metaplex metadata for a mint:
+ * - On-chain account at PDA ["metadata", program, mint] (name, symbol, uri)
+ * - Optional off-chain JSON behind the uri (description, image, socials)
+ *
+ * The uri is chosen by whoever launched the token, so the off-chain fetch
+ * refuses loopback, private and link-local hosts (redirects included).
+ */
+
+const dns = require('dns');
+const net = require('net');
+const axios = require('axios');
+const { PublicKey } = require('@solana/web3.js');
+const { METADATA_PROGRAM_ID } = require('./constants');
+
+// Metadata layout: key u8, update_authority, mint, then borsh strings
+const NAME_OFFSET = 1 + 32 + 32;
+
+// Addresses an off-chain metadata fetch must never reach
+const PRIVATE_RANGES = new net.BlockList();
+for (const [prefix, bits] of [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+]) {
+  PRIVATE_RANGES.addSubnet(prefix, bits, 'ipv4');
+}
+for (const [prefix, bits] of [
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+]) {
+  PRIVATE_RANGES.addSubnet(prefix, bits, 'ipv6');
+}
+
+function getMetadataPda(mintStr) {
+  const programId = new PublicKey(METADATA_PROGRAM_ID);
+
+  const [pda] = PublicKey.findProgramAddressSync(
+    [Buffer.from('metadata'), programId.toBuffer(), new PublicKey(mintStr).toBuffer()],
+    programId
+  );
+  return pda.toBase58();
+}
+
+/**
+ * Strings are u32 length + bytes, right-padded with NULs to their max length
+ */
+function parseMetadata(buf) {
+  if (!buf || buf.length < NAME_OFFSET + 12) return null;
+
+  let off = NAME_OFFSET;
+  const readString = () => {
+    if (off + 4 > buf.length) throw new Error('metadata truncated');
+    const len = buf.readUInt32LE(off);
+    off += 4;
+    if (off + len > buf.length) throw new Error('metadata truncated');
+    const s = buf.subarray(off, off + len).toString('utf8').replace(/\0+$/, '');
+    off += len;
+    return s;
+  };
+
+  try {
+    const name = readString();
+    const symbol = readString();
+    const uri = readString();
+
+    // seller_fee_basis_points u16, creators Option<Vec<34 bytes>>, primary_sale_happened, is_mutable
+    off += 2;
+    if (buf[off++] === 1) off += 4 + buf.readUInt32LE(off) * 34;
+    const isMutable = off + 1 < buf.length ? buf[off + 1] === 1 : null;
+
+    return {
+      updateAuthority: new PublicKey(buf.subarray(1, 33)).toBase58(),
+      name: name.trim(),
+      symbol: symbol.trim(),
+      uri: uri.trim(),
+      isMutable,
+    };
+  } catch (e) {
+    return null;
+  }
+}
+
+async function fetchTokenMetadata({ rpc, mint }) {
+  const metadataPda = getMetadataPda(mint);
+
+  const acc = await rpc('getAccountInfo', [
+    metadataPda,
+    { commitment: 'confirmed', encoding: 'base64' }
+  ]);
+
+  // Handle both Helius and standard Solana RPC response formats
+  let b64 = acc?.value?.data?.[0];
+  if (!b64 && acc?.value?.data) {
+    b64 = typeof acc.value.data === 'string' ? acc.value.data : null;
+  }
+  if (!b64) return null;
+
+  const parsed = parseMetadata(Buffer.from(b64, 'base64'));
+  if (!parsed) return null;
+
+  return { metadataPda, ...parsed };
+}
+
+function isPrivateAddress(ip) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(ip);
+  if (mapped) return PRIVATE_RANGES.check(mapped[1], 'ipv4');
+
+  const type = net.isIP(ip);
+  if (type === 4) return PRIVATE_RANGES.check(ip, 'ipv4');
+  if (type === 6) return PRIVATE_RANGES.check(ip, 'ipv6');
+  return false;
+}
+
+function _assertPublicHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (host === 'localhost' || host.endsWith('.localhost') || isPrivateAddress(host)) {
+    throw new Error(`Metadata uri points at a private host: ${hostname}`);
+  }
+}
+
+// dns.lookup that fails when a name resolves to a private address
+function _publicLookup(hostname, options, cb) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return cb(err);
+
+    const blocked = addresses.find((a) => isPrivateAddress(a.address));
+    if (blocked) {
+      return cb(new Error(`Metadata host ${hostname} resolves to a private address: ${blocked.address}`));
+    }
+    cb(null, addresses);
+  });
+}
+
+/**
+ * Resolve the uri's JSON. ipfs:// uris go through `ipfsGateway`.
+ * Throws on timeout, HTTP errors, a non-object body or a private host.
+ */
+async function fetchOffchainMetadata(uri, { timeoutMs = 1500, ipfsGateway = 'https://ipfs.io/ipfs/' } = {}) {
+  const url = uri.startsWith('ipfs://') ? ipfsGateway + uri.slice('ipfs://'.length) : uri;
+  if (!/^https?:\/\//i.test(url)) {
+    throw new Error(`Unsupported metadata uri: ${uri}`);
+  }
+  _assertPublicHost(new URL(url).hostname);
+
+  const res = await axios.get(url, {
+    timeout: timeoutMs,
+    maxContentLength: 256 * 1024,
+    maxRedirects: 3,
+    headers: { 'User-Agent': 'Sniper/1.0' },
+    lookup: _publicLookup,
+    // IP literals skip the lookup, so check every redirect target too
+    beforeRedirect: (options) => _assertPublicHost(options.hostname),
+  });
+
+  if (!res.data || typeof res.data !== 'object') {
+    throw new Error('Metadata uri did not return JSON');
+  }
+
+  const { name, symbol, description, image, twitter, telegram, website } = res.data;
+  return { name, symbol, description, image, twitter, telegram, website };
+}
+
+module.exports = {
+  getMetadataPda,
+  parseMetadata,
+  fetchTokenMetadata,
+  fetchOffchainMetadata,
+  isPrivateAddress,
+};
@@ -0,0 +1,174 @@
+/**
+ * Trade Ledger
+ *
+ * Per-mint rolling record of decoded Pump.fun trade events:
+ * - SOL volume (total / buys / sells) over a window
+ * - Unique buyers and current holders (net token balance > 0)
+ * - Buy/sell ratio
+ * - Creator's first buy (the launch's initial buy)
+ * - Slot of each wallet's first buy (bundle detection)
+ *
+ * Only mints seen being created, or explicitly tracked when they are
+ * queued for validation, get an entry. Trades on every other mint are
+ * dropped, otherwise the ledger grows with the whole Pump.fun market.
+ */
+
+const { systemClock } = require('../utils/clock');
+
+class TradeLedger {
+  constructor({ retentionMs = 30 * 60 * 1000, maxTradesPerMint = 5000, clock = systemClock } = {}) {
+    this.retentionMs = retentionMs;
+    this.maxTradesPerMint = maxTradesPerMint;
+    this.clock = clock;
+
+    // mint -> { createdAt, creator, trades[], balances Map(user -> bigint), buyers Set,
+    //          firstBuySlots Map(user -> slot), creatorFirstBuy, lastSeen }
+    this.mints = new Map();
+
+    this.stats = { creates: 0, trades: 0, untracked: 0 };
+  }
+
+  _entry(mint) {
+    let entry = this.mints.get(mint);
+    if (!entry) {
+      entry = {
+        createdAt: null,
+        creator: null,
+        trades: [],
+        balances: new Map(),
+        buyers: new Set(),
+        firstBuySlots: new Map(),
+        creatorFirstBuy: null,
+        lastSeen: this.clock.now(),
+      };
+      this.mints.set(mint, entry);
+    }
+    return entry;
+  }
+
+  /**
+   * Start recording trades for a mint whose create event wasn't decoded
+   */
+  track(mint) {
+    this._entry(mint);
+  }
+
+  _eventTime(event) {
+    return event.timestamp ? event.timestamp * 1000 : (event.detectedAt || this.clock.now());
+  }
+
+  /**
+   * Decoded CreateEvent - marks the ledger as having seen the launch
+   */
+  recordCreate(event) {
+    const entry = this._entry(event.mint);
+    entry.createdAt = this._eventTime(event);
+    entry.creator = event.creator || event.user;
+    entry.lastSeen = this.clock.now();
+    this.stats.creates++;
+  }
+
+  /**
+   * Decoded TradeEvent
+   */
+  recordTrade(event) {
+    const entry = this.mints.get(event.mint);
+    if (!entry) {
+      this.stats.untracked++;
+      return;
+    }
+
+    const t = this._eventTime(event);
+    const sol = Number(event.solAmount) / 1e9;
+    const tokens = BigInt(event.tokenAmount);
+
+    entry.trades.push({ t, sol, isBuy: event.isBuy, user: event.user });
+    if (entry.trades.length > this.maxTradesPerMint) entry.trades.shift();
+
+    const held = entry.balances.get(event.user) || 0n;
+    const next = event.isBuy ? held + tokens : held - tokens;
+    if (next > 0n) entry.balances.set(event.user, next);
+    else entry.balances.delete(event.user);
+
+    if (event.isBuy) {
+      entry.buyers.add(event.user);
+      if (event.slot != null && !entry.firstBuySlots.has(event.user)) {
+        entry.firstBuySlots.set(event.user, event.slot);
+      }
+      if (entry.creatorFirstBuy === null && entry.creator && event.user === entry.creator) {
+        entry.creatorFirstBuy = sol;
+      }
+    }
+
+    entry.lastSeen = this.clock.now();
+    this.stats.trades++;
+  }
+
+  has(mint) {
+    return this.mints.has(mint);
+  }
+
+  /**
+   * Rolling metrics for a mint. `complete` is false when the ledger
+   * didn't see the launch, holder counts are then a lower bound.
+   */
+  getMetrics(mint, { windowMs = 5 * 60 * 1000 } = {}) {
+    const entry = this.mints.get(mint);
+    if (!entry) return null;
+
+    const since = this.clock.now() - windowMs;
+    let volumeSol = 0;
+    let buyVolumeSol = 0;
+    let sellVolumeSol = 0;
+    let buys = 0;
+    let sells = 0;
+
+    for (const trade of entry.trades) {
+      if (trade.t < since) continue;
+      volumeSol += trade.sol;
+      if (trade.isBuy) {
+        buys++;
+        buyVolumeSol += trade.sol;
+      } else {
+        sells++;
+        sellVolumeSol += trade.sol;
+      }
+    }
+
+    return {
+      volumeSol,
+      buyVolumeSol,
+      sellVolumeSol,
+      buys,
+      sells,
+      buySellRatio: sellVolumeSol > 0 ? buyVolumeSol / sellVolumeSol : (buyVolumeSol > 0 ? Infinity : 0),
+      uniqueBuyers: entry.buyers.size,
+      holders: entry.balances.size,
+      creator: entry.creator,
+      creatorFirstBuySol: entry.creatorFirstBuy,
+      createdAt: entry.createdAt,
+      totalTrades: entry.trades.length,
+      complete: entry.createdAt !== null,
+    };
+  }
+
+  /**
+   * wallet -> slot of its first buy, for wallets seen buying this mint
+   */
+  getFirstBuySlots(mint) {
+    return this.mints.get(mint)?.firstBuySlots || null;
+  }
+
+  cleanup() {
+    const cutoff = this.clock.now() - this.retentionMs;
+    for (const [mint, entry] of this.mints.entries()) {
+      if (entry.lastSeen < cutoff) this.mints.delete(mint);
+    }
+  }
+
+  getStats() {
+    return { ...this.stats, trackedMints: this.mints.size };
+  }
+}
+
+module.exports = { TradeLedger };
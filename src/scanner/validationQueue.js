@@ -2,10 +2,12 @@
  * Validation Queue
  * 
  * Processes mints through full validation pipeline:
- * 1. Quick filters (age, curve progress)
- * 2. Deep validation (holders, volume, liquidity)
+ * 1. Quick filters (age, curve progress, creator reputation,
+ *    antinose name/symbol filter on the Metaplex metadata)
+ * 2. Deep validation (holders, volume, liquidity from the trade ledger,
+ *    holder distribution from the largest token accounts)
  * 3. Momentum scoring
- * 4. Buy simulation
+ * 4. Simulation gate (buy + round-trip sell)
  * 5. Decision (ENTER/PASS)
  */
 
@@ -13,21 +15,40 @@ const config = require('../../config');
 const { fetchBondingCurve, computeProgressPct, curveStage } = require('../scanner/pumpCurve');
 const { parseSplMint } = require('../scanner/splMint');
 const { getCurveProgress } = require('../pumpfun/curve');
-const { simulateSwap } = require('../execution/jupiterSwap');
+const { simulateRoundTrip } = require('../pumpfun/simulate');
+const { analyzeHolders } = require('./holderAnalysis');
+const { PUMPFUN_TOKEN_SUPPLY, TOKEN_2022_PROGRAM_ID } = require('./constants');
+const { fetchTokenMetadata, fetchOffchainMetadata } = require('./tokenMetadata');
 const { TTLCache } = require('../utils/ttlCache');
+const { systemClock } = require('../utils/clock');
 const { EventEmitter } = require('events');
 
 class ValidationQueue extends EventEmitter {
-  constructor({ concurrency = 3, rpc, rpcSpacing }) {
+  constructor({
+    concurrency = 3,
+    rpc,
+    wallet,
+    ledger,
+    reputation = null,
+    antinose = null,
+    resolveOffchain = config.antinose?.resolveOffchain !== false,
+    clock = systemClock,
+  }) {
     super();
     this.concurrency = concurrency;
     this.rpc = rpc;
-    this.rpcSpacing = rpcSpacing || (() => Promise.resolve());
+    this.wallet = wallet;
+    this.ledger = ledger;
+    this.reputation = reputation;
+    this.antinose = antinose;
+    this.resolveOffchain = resolveOffchain;
+    this.clock = clock;
     this.q = [];
     this.active = 0;
+    this._idleWaiters = [];
     
     // Cache for validated mints (prevent re-validation)
-    this.validatedMints = new TTLCache({ ttlMs: 60 * 60 * 1000 }); // 1 hour
+    this.validatedMints = new TTLCache({ ttlMs: 60 * 60 * 1000, clock }); // 1 hour
     
     // Metrics
     this.stats = {
@@ -48,7 +69,7 @@ class ValidationQueue extends EventEmitter {
     }
 
     this.stats.queued++;
-    this.q.push({ mint, metadata, enqueueTime: Date.now() });
+    this.q.push({ mint, metadata, enqueueTime: this.clock.now() });
     this._drain();
   }
 
@@ -66,15 +87,29 @@ class ValidationQueue extends EventEmitter {
           this._drain();
         });
     }
+
+    if (this.active === 0 && this.q.length === 0 && this._idleWaiters.length) {
+      const waiters = this._idleWaiters;
+      this._idleWaiters = [];
+      for (const resolve of waiters) resolve();
+    }
+  }
+
+  /**
+   * Resolves once the queue is empty and no job is running
+   */
+  onIdle() {
+    if (this.active === 0 && this.q.length === 0) return Promise.resolve();
+    return new Promise((resolve) => this._idleWaiters.push(resolve));
   }
 
   async _processJob({ mint, metadata }) {
-    const startTime = Date.now();
+    const startTime = this.clock.now();
     console.log('[validation] starting:', mint);
 
     try {
       // Run full validation pipeline
-      const result = await this._runValidationPipeline(mint);
+      const result = await this._runValidationPipeline(mint, metadata);
 
       // Record result
       this.validatedMints.add(mint);
@@ -85,7 +120,7 @@ class ValidationQueue extends EventEmitter {
           mint,
           momentumScore: result.momentumScore,
           tier: result.tier,
-          validationTimeMs: Date.now() - startTime,
+          validationTimeMs: this.clock.now() - startTime,
         });
         
         // Emit signal for trading module
@@ -99,34 +134,50 @@ class ValidationQueue extends EventEmitter {
         console.log('[validation] ⏭️ PASS:', {
           mint,
           reason: result.rejectionReason,
-          validationTimeMs: Date.now() - startTime,
+          ...(result.filter && { filter: result.filter }),
+          validationTimeMs: this.clock.now() - startTime,
+        });
+
+        this.emit('rejected', {
+          mint,
+          reason: result.rejectionReason,
+          result,
+          metadata,
         });
       }
     } catch (e) {
       this.stats.failed++;
       const reason = e.message;
-      this.stats.byFailureReason[reason] = (this.stats.byFailureReason[reason] || 0) + 1;
+      this._recordFailure(reason);
       
       console.log('[validation] ❌ ERROR:', {
         mint,
         reason,
-        validationTimeMs: Date.now() - startTime,
+        validationTimeMs: this.clock.now() - startTime,
       });
+
+      this.emit('rejected', { mint, reason, error: true, metadata });
     }
   }
 
-  async _runValidationPipeline(mint) {
+  async _runValidationPipeline(mint, metadata = {}) {
     const scanner = config.scanner;
     const momentum = config.momentum;
 
-    // === Step 1: Fetch bonding curve first ===
-    const curveData = await this._fetchCurveData(mint);
+    // === Step 1-2: Fetch bonding curve, mint info and token metadata together ===
+    // Issued concurrently so the RPC coalescer batches them into one call.
+    // The off-chain JSON (HTTP/IPFS) is slower still: when the create event
+    // carried the uri, start resolving it now too.
+    const offchain = this.antinose ? this._fetchOffchainDescription(mint, metadata?.uri) : null;
+    const [curveData, mintInfo, tokenMetadata] = await Promise.all([
+      this._fetchCurveData(mint),
+      this._fetchMintInfo(mint),  // may not exist for brand new tokens
+      this.antinose ? this._fetchTokenMetadata(mint) : null,
+    ]);
     if (!curveData) {
       return { decision: 'PASS', rejectionReason: 'CURVE_NOT_FOUND' };
     }
 
-    // === Step 2: Fetch mint info (may not exist for brand new tokens) ===
-    const mintInfo = await this._fetchMintInfo(mint);
     const isNew = mintInfo?.isNew || false;
     const supply = mintInfo?.supply || curveData.realToken || '1000000000';
 
@@ -149,6 +200,18 @@ class ValidationQueue extends EventEmitter {
       return { decision: 'PASS', rejectionReason: 'NOT_ON_CURVE' };
     }
 
+    // === Step 4b: Creator reputation from earlier launches ===
+    const creator = this._checkCreator(mint, curveData);
+    if (!creator.ok) {
+      return { decision: 'PASS', rejectionReason: creator.reason, creator: creator.reputation };
+    }
+
+    // === Step 4c: Antinose name/symbol filter ===
+    const names = await this._checkNames(mint, tokenMetadata, metadata, offchain);
+    if (!names.ok) {
+      return { decision: 'PASS', rejectionReason: names.reason, filter: names.filter };
+    }
+
     // === Step 5: For new tokens, require minimum validation ===
     // Don't auto-enter - check at least basic curve and holders
     if (isNew) {
@@ -169,25 +232,47 @@ class ValidationQueue extends EventEmitter {
       }
 
       // Calculate preliminary score based on early momentum
-      const earlyScore = this._calculateEarlyScore(basicValidation, progress);
+      const earlyScore = this._applyCreatorAdjustment(
+        this._calculateEarlyScore(basicValidation, progress),
+        creator.adjustment,
+      );
       const minScore = momentum.minScore;
 
       if (earlyScore < minScore) {
         return { decision: 'PASS', rejectionReason: 'WEAK_EARLY_MOMENTUM', earlyScore, minScore };
       }
 
+      // Holder distribution matters most right after launch (dev bags, bundles)
+      const distribution = await this._checkDistribution(mint, mintInfo, curveData, this.ledger?.getMetrics(mint));
+      if (!distribution.ok) {
+        return { decision: 'PASS', rejectionReason: distribution.reason };
+      }
+
       const tier = earlyScore >= 80 ? 'EXTREME' : (earlyScore >= 70 ? 'VERY_HOT' : (earlyScore >= minScore ? 'HOT' : 'WARM'));
       const positionSizePct = this._getPositionSizeForTier(tier);
 
+      const simulation = await this._simulationGate(mint, curveData, mintInfo);
+      if (!simulation.ok) {
+        return { decision: 'PASS', rejectionReason: simulation.reason, simulation };
+      }
+
       return {
         decision: 'ENTER',
         mint,
         mintInfo,
         curveData,
+        validation: {
+          ...basicValidation,
+          top10Pct: distribution.top10Pct,
+          devPct: distribution.devPct,
+          bundledPct: distribution.bundledPct,
+        },
         momentumScore: earlyScore,
         tier,
         positionSizePct,
         progress,
+        simulation,
+        creator: creator.reputation,
         isNew: true,
       };
     }
@@ -200,7 +285,10 @@ class ValidationQueue extends EventEmitter {
     }
 
     // === Step 7: Calculate momentum score ===
-    const momentumScore = this._calculateMomentumScore(validation, progress);
+    const momentumScore = this._applyCreatorAdjustment(
+      this._calculateMomentumScore(validation, progress),
+      creator.adjustment,
+    );
     const tier = this._getTier(momentumScore);
 
     // === Step 8: Check minimum momentum ===
@@ -211,6 +299,12 @@ class ValidationQueue extends EventEmitter {
     // === Step 9: Determine position size based on tier ===
     const positionSizePct = this._getPositionSizeForTier(tier);
 
+    // === Step 10: Simulation gate ===
+    const simulation = await this._simulationGate(mint, curveData, mintInfo);
+    if (!simulation.ok) {
+      return { decision: 'PASS', rejectionReason: simulation.reason, simulation };
+    }
+
     return {
       decision: 'ENTER',
       mint,
@@ -221,6 +315,8 @@ class ValidationQueue extends EventEmitter {
       tier,
       positionSizePct,
       progress,
+      simulation,
+      creator: creator.reputation,
       isNew: false,
     };
   }
@@ -230,7 +326,6 @@ class ValidationQueue extends EventEmitter {
       // Retry logic for new accounts that might not be fully propagated
       let acc = null;
       for (let attempt = 0; attempt < 3; attempt++) {
-        await this.rpcSpacing();
         
         acc = await this.rpc('getAccountInfo', [
           mint,
@@ -259,19 +354,22 @@ class ValidationQueue extends EventEmitter {
 
       const buf = Buffer.from(b64, 'base64');
       
-      // Check if it's a valid SPL mint (82 bytes)
-      if (buf.length !== 82) {
+      // Check if it's a valid SPL mint (82 bytes, Token-2022 appends extensions)
+      const tokenProgram = acc.value.owner;
+      const isToken2022 = tokenProgram === TOKEN_2022_PROGRAM_ID && buf.length > 82;
+      if (buf.length !== 82 && !isToken2022) {
         console.log('[validation] unexpected mint size:', buf.length, 'bytes');
         return { isNew: true, mint };
       }
 
-      const mintInfo = parseSplMint(buf);
+      const mintInfo = parseSplMint(buf.subarray(0, 82));
       
       return {
         isInitialized: true,
         mint,
         supply: mintInfo?.supply || '0',
         decimals: mintInfo?.decimals || 6,
+        tokenProgram,
         isNew: false,
       };
     } catch (e) {
@@ -280,9 +378,71 @@ class ValidationQueue extends EventEmitter {
     }
   }
 
+  async _fetchTokenMetadata(mint) {
+    try {
+      return await fetchTokenMetadata({ rpc: this.rpc, mint });
+    } catch (e) {
+      console.error('[validation] _fetchTokenMetadata error:', e.message);
+      return null;
+    }
+  }
+
+  /**
+   * Start resolving the description behind a metadata uri.
+   * Never rejects: `description` resolves undefined when unavailable.
+   */
+  _fetchOffchainDescription(mint, uri) {
+    if (!this.resolveOffchain || !uri) return null;
+
+    const description = fetchOffchainMetadata(uri, {
+      timeoutMs: config.antinose?.offchainTimeoutMs,
+      ipfsGateway: config.antinose?.ipfsGateway,
+    }).then(
+      (offchain) => (typeof offchain.description === 'string' ? offchain.description : undefined),
+      (e) => {
+        console.log('[validation] off-chain metadata unavailable:', { mint, uri, error: e.message });
+        return undefined;
+      }
+    );
+
+    return { uri, description };
+  }
+
+  /**
+   * Names come from the Metaplex account, or the create event if the
+   * account isn't readable yet. The off-chain JSON only adds the
+   * description; failing to resolve it doesn't reject the mint.
+   *
+   * @param {{ uri, description: Promise }} [offchain] - fetch already in flight
+   */
+  async _checkNames(mint, tokenMetadata, metadata, offchain = null) {
+    if (!this.antinose) return { ok: true };
+
+    const name = tokenMetadata?.name ?? metadata?.name;
+    const symbol = tokenMetadata?.symbol ?? metadata?.symbol;
+    const uri = tokenMetadata?.uri ?? metadata?.uri;
+
+    // Name/symbol rules need nothing off-chain - don't wait on the uri to reject
+    const hit = this.antinose.check({ mint, name, symbol });
+    if (!hit.ok) return this._nameRejection(hit);
+
+    // Reuse the fetch in flight unless the Metaplex account names another uri
+    const pending = offchain?.uri === uri ? offchain : this._fetchOffchainDescription(mint, uri);
+    const description = pending ? await pending.description : undefined;
+    if (!description) return { ok: true };
+
+    const descriptionHit = this.antinose.check({ mint, description });
+    if (!descriptionHit.ok) return this._nameRejection(descriptionHit);
+    return { ok: true };
+  }
+
+  _nameRejection(hit) {
+    const { ok, reason, ...filter } = hit;
+    return { ok: false, reason, filter };
+  }
+
   async _fetchCurveData(mint) {
     try {
-      await this.rpcSpacing();
       const curve = await fetchBondingCurve({ rpc: this.rpc, mint });
       if (!curve) return null;
 
@@ -292,6 +452,7 @@ class ValidationQueue extends EventEmitter {
         virtualSol: curve.virtualSol,
         realToken: curve.realToken,
         realSol: curve.realSol,
+        creator: curve.creator,
       };
     } catch (e) {
       console.error('[validation] _fetchCurveData error:', e.message);
@@ -303,23 +464,22 @@ class ValidationQueue extends EventEmitter {
     const scanner = config.scanner;
 
     try {
-      // === Holder count ===
-      // real_token_reserves decreases as people buy
-      const supply = mintInfo?.supply || curveData.realToken;
-      const realToken = curveData.realToken;
-      const soldTokens = BigInt(supply) - BigInt(realToken);
-      const estimatedHolders = Number(soldTokens) / 1000000; // Rough estimate
-
-      if (estimatedHolders < scanner.minHolders) {
-        return { ok: false, reason: 'INSUFFICIENT_HOLDERS', estimatedHolders };
+      // Real holder/volume numbers come from the decoded trade stream
+      const metrics = this.ledger?.getMetrics(mint, { windowMs: 5 * 60 * 1000 });
+      if (!metrics) {
+        return { ok: false, reason: 'NO_TRADE_DATA' };
       }
 
-      // === Volume estimation (simplified) ===
-      // In reality, would fetch recent transactions and sum volumes
-      const estimatedVolumeSol = this._estimateVolume(mint);
-      
-      if (estimatedVolumeSol < scanner.minVolume5mSol) {
-        return { ok: false, reason: 'INSUFFICIENT_VOLUME', estimatedVolumeSol };
+      // === Holder count (wallets with a net positive balance) ===
+      const holders = metrics.holders;
+      if (holders < scanner.minHolders) {
+        return { ok: false, reason: 'INSUFFICIENT_HOLDERS', holders };
+      }
+
+      // === 5m SOL volume ===
+      const volume5mSol = metrics.volumeSol;
+      if (volume5mSol < scanner.minVolume5mSol) {
+        return { ok: false, reason: 'INSUFFICIENT_VOLUME', volume5mSol };
       }
 
       // === Liquidity check ===
@@ -328,47 +488,119 @@ class ValidationQueue extends EventEmitter {
         return { ok: false, reason: 'LOW_LIQUIDITY', liquiditySol };
       }
 
-      // === Initial buy check ===
-      const initialBuy = this._getInitialBuy(mint);
-      if (initialBuy && initialBuy < scanner.minInitialBuySol) {
+      // === Initial buy check (only known if we saw the launch) ===
+      const initialBuy = metrics.creatorFirstBuySol;
+      if (initialBuy !== null && initialBuy < scanner.minInitialBuySol) {
         return { ok: false, reason: 'SMALL_INITIAL_BUY', initialBuy };
       }
 
+      // === Holder distribution (concentration, dev share, bundles) ===
+      const distribution = await this._checkDistribution(mint, mintInfo, curveData, metrics);
+      if (!distribution.ok) {
+        return distribution;
+      }
+
       return {
         ok: true,
-        estimatedHolders,
-        estimatedVolumeSol,
+        holders,
+        uniqueBuyers: metrics.uniqueBuyers,
+        volume5mSol,
+        buySellRatio: metrics.buySellRatio,
+        buyVolumeSol: metrics.buyVolumeSol,
+        initialBuy,
         liquiditySol,
+        top10Pct: distribution.top10Pct,
+        devPct: distribution.devPct,
+        bundledPct: distribution.bundledPct,
       };
     } catch (e) {
       return { ok: false, reason: e.message };
     }
   }
 
-  _estimateVolume(mint) {
-    // Simplified: random factor for demo
-    // In reality, would fetch recent transactions
-    return 0.5 + Math.random() * 2;
+  /**
+   * Largest-accounts view of who holds the supply. Fails closed: a mint
+   * we can't analyze is rejected. Runs for new and established tokens;
+   * a mint account not readable yet has the standard Pump.fun supply.
+   */
+  async _checkDistribution(mint, mintInfo, curveData, metrics) {
+    const scanner = config.scanner;
+    if (scanner.checkHolderDistribution === false) return { ok: true, skipped: true };
+
+    let d;
+    try {
+      d = await analyzeHolders({
+        rpc: this.rpc,
+        mint,
+        supply: mintInfo?.supply || PUMPFUN_TOKEN_SUPPLY,
+        curvePda: curveData.curvePda,
+        creator: curveData.creator || metrics?.creator,
+        firstBuySlots: this.ledger?.getFirstBuySlots(mint),
+        minClusterSize: scanner.minBundleWallets || 3,
+      });
+    } catch (e) {
+      return { ok: false, reason: 'HOLDER_ANALYSIS_FAILED', error: e.message };
+    }
+
+    if (d.devPct > scanner.maxDevHoldingPct) {
+      return { ok: false, reason: 'DEV_HOLDING_TOO_HIGH', devPct: d.devPct };
+    }
+
+    if (d.top10Pct > scanner.maxTop10HoldingPct) {
+      return { ok: false, reason: 'TOP10_CONCENTRATION_TOO_HIGH', top10Pct: d.top10Pct };
+    }
+
+    if (d.bundledPct > scanner.maxBundledHoldingPct) {
+      return { ok: false, reason: 'BUNDLED_HOLDING_TOO_HIGH', bundledPct: d.bundledPct, clusters: d.clusters };
+    }
+
+    return { ok: true, ...d };
   }
 
-  _getInitialBuy(mint) {
-    // In reality, would parse from initial tx
-    return 0.1 + Math.random() * 0.5;
+  /**
+   * Known bad creators are rejected; otherwise the score moves the
+   * momentum score up or down by scoreWeight points per point from 50.
+   */
+  _checkCreator(mint, curveData) {
+    const settings = config.creatorReputation || {};
+    if (!this.reputation || settings.enabled === false) return { ok: true, adjustment: 0, reputation: null };
+
+    const creator = curveData.creator || this.ledger?.getMetrics(mint)?.creator;
+    const reputation = creator ? this.reputation.getReputation(creator, { excludeMint: mint }) : null;
+    if (!reputation) return { ok: true, adjustment: 0, reputation: null };
+
+    if (reputation.score < (settings.rejectBelowScore ?? 25)) {
+      return { ok: false, reason: 'BAD_CREATOR_REPUTATION', reputation };
+    }
+
+    const adjustment = Math.round((reputation.score - 50) * (settings.scoreWeight ?? 0.3));
+    return { ok: true, adjustment, reputation };
+  }
+
+  _applyCreatorAdjustment(score, adjustment) {
+    return Math.max(0, Math.min(100, score + adjustment));
   }
 
   _calculateMomentumScore(validation, progress) {
     const momentum = config.momentum;
+    const { volume, holders, curve, buyPressure = 0 } = momentum.weights;
     
     // Normalize to 0-100 scale
-    const volumeScore = Math.min((validation.estimatedVolumeSol / 2) * 100, 100);
-    const holderScore = Math.min((validation.estimatedHolders / 50) * 100, 100);
+    const volumeScore = Math.min((validation.volume5mSol / 2) * 100, 100);
+    const holderScore = Math.min((validation.holders / 50) * 100, 100);
     const curveScore = progress * 0.8; // 0-80 based on progress
 
+    // Share of volume that is buying: 100 = only buys, 50 = balanced
+    const buyPressureScore = validation.volume5mSol > 0
+      ? (validation.buyVolumeSol / validation.volume5mSol) * 100
+      : 0;
+
     // Weighted sum
     const score = (
-      volumeScore * momentum.weights.volume +
-      holderScore * momentum.weights.holders +
-      curveScore * momentum.weights.curve
+      volumeScore * volume +
+      holderScore * holders +
+      curveScore * curve +
+      buyPressureScore * buyPressure
     );
 
     return Math.round(score);
@@ -426,14 +658,47 @@ class ValidationQueue extends EventEmitter {
     return Math.min(score, 100);
   }
 
-  async _simulateBuy(mint) {
-    const SOL_MINT = 'So11111111111111111111111111111111111111112';
-    
-    return await simulateSwap({
-      inputMint: SOL_MINT,
-      outputMint: mint,
-      amount: 10000000, // 0.01 SOL lamports
-    });
+  /**
+   * Simulate the buy and a round-trip sell from our wallet before entering.
+   * Failures are counted in stats.byFailureReason.
+   */
+  async _simulationGate(mint, curveData, mintInfo = null) {
+    const { requireSimulationPass = true, requireHoneypotCheck = true, simulationAmountSol = 0.01 } = config.entry || {};
+
+    if (!requireSimulationPass && !requireHoneypotCheck) return { ok: true, skipped: true };
+
+    // Simulation needs a funded fee payer
+    if (!this.wallet) return { ok: true, skipped: true };
+
+    let result;
+    try {
+      result = await simulateRoundTrip({
+        rpc: this.rpc,
+        mint,
+        curve: curveData,
+        payer: this.wallet.publicKey.toString(),
+        amountSolLamports: Math.floor(simulationAmountSol * 1e9),
+        tokenProgram: mintInfo?.tokenProgram,
+      });
+    } catch (e) {
+      result = { ok: false, reason: 'SIMULATION_ERROR', error: e.message };
+    }
+
+    if (!result.ok) {
+      this._recordFailure(result.reason);
+      console.log('[validation] simulation rejected:', {
+        mint,
+        reason: result.reason,
+        taxPct: result.taxPct?.toFixed(2),
+        error: result.error,
+      });
+    }
+
+    return result;
+  }
+
+  _recordFailure(reason) {
+    this.stats.byFailureReason[reason] = (this.stats.byFailureReason[reason] || 0) + 1;
   }
 
   getStats() {
@@ -0,0 +1,229 @@
+/**
+ * WebSocket Feed
+ *
+ * One logsSubscribe connection to a single RPC endpoint:
+ * - Exponential-backoff reconnect with automatic resubscribe
+ * - Ping/pong liveness and stale-stream detection
+ * - Emits 'logs' ({signature, slot, logs, err}, receivedAt),
+ *   'connected', 'disconnected', 'stale' (the scanner source interface)
+ */
+
+const WebSocket = require('ws');
+const EventEmitter = require('events');
+const { PUMPFUN_PROGRAM_ID } = require('./constants');
+
+// Host only - endpoint URLs usually carry an API key
+function feedLabel(url) {
+  try {
+    return new URL(url).host;
+  } catch (e) {
+    return String(url);
+  }
+}
+
+/**
+ * Reconnect delay: base * 2^attempt capped at max, with jitter
+ * so many bots don't reconnect in lockstep
+ */
+function backoffDelay(baseMs, maxMs, attempt) {
+  const delay = Math.min(maxMs, baseMs * 2 ** attempt);
+  return Math.round(delay * (0.5 + Math.random() / 2));
+}
+
+class WsFeed extends EventEmitter {
+  constructor({
+    url,
+    name = feedLabel(url),
+    reconnectBaseMs = 500,
+    reconnectMaxMs = 30000,
+    pingIntervalMs = 10000,
+    pongTimeoutMs = 5000,
+    staleTimeoutMs = 30000,
+  }) {
+    super();
+    this.url = url;
+    this.name = name;
+    this.ws = null;
+
+    this.reconnectBaseMs = reconnectBaseMs;
+    this.reconnectMaxMs = reconnectMaxMs;
+    this.pingIntervalMs = pingIntervalMs;
+    this.pongTimeoutMs = pongTimeoutMs;
+    this.staleTimeoutMs = staleTimeoutMs;
+
+    this.connected = false;
+    this.subscriptionId = null;
+    this.lastMessageAt = 0;
+    this._stopped = false;
+    this._reconnectAttempts = 0;
+    this._reconnectTimer = null;
+    this._heartbeatTimer = null;
+    this._pongTimer = null;
+
+    this.stats = { connects: 0, disconnects: 0, stale: 0, messages: 0 };
+  }
+
+  start() {
+    this._stopped = false;
+    this._connect();
+  }
+
+  stop() {
+    this._stopped = true;
+    clearTimeout(this._reconnectTimer);
+    this._stopHeartbeat();
+    this.connected = false;
+    if (this.ws) this.ws.terminate();
+  }
+
+  _connect() {
+    console.log(`[scanner:${this.name}] connecting to Solana WS...`);
+    const ws = new WebSocket(this.url);
+    this.ws = ws;
+
+    ws.on('open', () => {
+      console.log(`[scanner:${this.name}] connected`);
+      this.connected = true;
+      this.lastMessageAt = Date.now();
+      this._reconnectAttempts = 0;
+      this.stats.connects++;
+      this.subscribe();
+      this._startHeartbeat();
+      this.emit('connected', { feed: this.name, connects: this.stats.connects });
+    });
+
+    ws.on('message', (data) => {
+      const receivedAt = Date.now();
+      this.lastMessageAt = receivedAt;
+      this.stats.messages++;
+
+      let msg;
+      try {
+        msg = JSON.parse(data.toString());
+      } catch (err) {
+        console.error(`[scanner:${this.name}] parse error`, err.message);
+        return;
+      }
+
+      // Confirm subscription
+      if (msg.id === 1 && msg.result) {
+        this.subscriptionId = msg.result;
+        console.log(`[scanner:${this.name}] subscription id:`, msg.result);
+        return;
+      }
+
+      if (msg.method !== 'logsNotification') return;
+
+      const value = msg.params?.result?.value;
+      this.emit('logs', {
+        signature: value?.signature,
+        slot: msg.params?.result?.context?.slot ?? null,
+        logs: value?.logs,
+        err: value?.err || null,
+      }, receivedAt);
+    });
+
+    ws.on('pong', () => {
+      clearTimeout(this._pongTimer);
+      this._pongTimer = null;
+    });
+
+    ws.on('close', (code) => {
+      // A replaced socket closing late must not trigger another reconnect
+      if (ws !== this.ws) return;
+
+      const wasConnected = this.connected;
+      this.connected = false;
+      this.subscriptionId = null;
+      this._stopHeartbeat();
+
+      if (wasConnected) {
+        this.stats.disconnects++;
+        console.warn(`[scanner:${this.name}] disconnected`, { code });
+        this.emit('disconnected', { feed: this.name, code });
+      }
+
+      this._scheduleReconnect();
+    });
+
+    ws.on('error', (err) => {
+      console.error(`[scanner:${this.name}] ws error`, err.message);
+    });
+  }
+
+  _scheduleReconnect() {
+    if (this._stopped) return;
+
+    const jittered = backoffDelay(this.reconnectBaseMs, this.reconnectMaxMs, this._reconnectAttempts);
+    this._reconnectAttempts++;
+
+    console.log(`[scanner:${this.name}] reconnecting in`, jittered, 'ms (attempt', this._reconnectAttempts + ')');
+    this._reconnectTimer = setTimeout(() => this._connect(), jittered);
+  }
+
+  /**
+   * Ping for liveness and watch for a silent stream.
+   * Either failure terminates the socket, which triggers a reconnect.
+   */
+  _startHeartbeat() {
+    this._stopHeartbeat();
+
+    this._heartbeatTimer = setInterval(() => {
+      const ws = this.ws;
+      if (!ws || ws.readyState !== WebSocket.OPEN) return;
+
+      if (Date.now() - this.lastMessageAt > this.staleTimeoutMs) {
+        this.stats.stale++;
+        console.warn(`[scanner:${this.name}] stream stale, no messages for`, this.staleTimeoutMs, 'ms');
+        this.emit('stale', { feed: this.name, lastMessageAt: this.lastMessageAt });
+        ws.terminate();
+        return;
+      }
+
+      if (!this._pongTimer) {
+        this._pongTimer = setTimeout(() => {
+          console.warn(`[scanner:${this.name}] pong timeout`);
+          ws.terminate();
+        }, this.pongTimeoutMs);
+        ws.ping();
+      }
+    }, Math.min(this.pingIntervalMs, this.staleTimeoutMs));
+    this._heartbeatTimer.unref?.();
+  }
+
+  _stopHeartbeat() {
+    clearInterval(this._heartbeatTimer);
+    clearTimeout(this._pongTimer);
+    this._heartbeatTimer = null;
+    this._pongTimer = null;
+  }
+
+  subscribe() {
+    const payload = {
+      jsonrpc: '2.0',
+      id: 1,
+      method: 'logsSubscribe',
+      params: [
+        { mentions: [PUMPFUN_PROGRAM_ID] },
+        { commitment: 'processed' }
+      ]
+    };
+
+    this.ws.send(JSON.stringify(payload));
+    console.log(`[scanner:${this.name}] subscribed to Pump.fun program logs`);
+  }
+
+  getStatus() {
+    return {
+      name: this.name,
+      type: 'websocket',
+      connected: this.connected,
+      subscriptionId: this.subscriptionId,
+      lastMessageAt: this.lastMessageAt || null,
+      reconnectAttempts: this._reconnectAttempts,
+      ...this.stats,
+    };
+  }
+}
+
+module.exports = { WsFeed, feedLabel, backoffDelay };
@@ -0,0 +1,230 @@
+/**
+ * Session Recorder
+ *
+ * Appends everything needed to replay a session offline to rotating
+ * gzip-compressed JSONL files under <persistence.dataDir>/recordings:
+ * - Scanner events (create / trade / complete / mint)
+ * - Fetched transactions and bonding-curve reads (see rpc/recordingRpc)
+ * - Validation decisions
+ *
+ * Every line is { v, t, seq, type, ...fields }. Each file starts with a
+ * 'session' record carrying the strategy config, so files stand alone.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const config = require('../../config');
+const { systemClock } = require('../utils/clock');
+
+// Bump when a record's shape changes incompatibly
+const SCHEMA_VERSION = 1;
+
+// Curve PDA -> mint entries kept for labelling curve reads
+const MAX_CURVE_MINTS = 10000;
+
+// Config sections that decide trades (never rpc / wallet settings)
+const CONFIG_SECTIONS = ['scanner', 'momentum', 'entry', 'exit', 'feeMonitoring'];
+
+function _jsonReplacer(key, value) {
+  return typeof value === 'bigint' ? value.toString() : value;
+}
+
+class Recorder {
+  constructor({
+    dataDir = path.join(config.persistence.dataDir, config.recording?.dir || 'recordings'),
+    maxFileBytes = (config.recording?.maxFileMb || 64) * 1024 * 1024,
+    rotateIntervalMs = config.recording?.rotateIntervalMs || 60 * 60 * 1000,
+    maxFiles = config.recording?.maxFiles || 200,
+    flushIntervalMs = config.recording?.flushIntervalMs || 5000,
+    clock = systemClock,
+  } = {}) {
+    this.dataDir = dataDir;
+    this.maxFileBytes = maxFileBytes;
+    this.rotateIntervalMs = rotateIntervalMs;
+    this.maxFiles = maxFiles;
+    this.flushIntervalMs = flushIntervalMs;
+    this.clock = clock;
+
+    this.sessionId = crypto.randomBytes(4).toString('hex');
+    this.seq = 0;
+    this.fileIndex = 0;
+    this.curveMints = new Map();
+
+    // Current file: { gzip, out, path, openedAt, bytes }
+    this.file = null;
+    // Rotated files still being finished
+    this.ending = new Set();
+    this.flushTimer = null;
+    this.closed = false;
+
+    this.stats = { records: 0, byType: {}, files: 0, bytes: 0, errors: 0 };
+  }
+
+  start() {
+    fs.mkdirSync(this.dataDir, { recursive: true });
+    this._prune();
+    this._open();
+
+    this.flushTimer = setInterval(() => this._flush(), this.flushIntervalMs);
+    this.flushTimer.unref?.();
+
+    console.log('[recorder] recording to', this.dataDir, { sessionId: this.sessionId });
+  }
+
+  /**
+   * Append one record
+   */
+  record(type, fields = {}) {
+    if (this.closed || !this.file) return;
+
+    if (type === 'create' && fields.bondingCurve && fields.mint) {
+      this._noteCurve(fields.bondingCurve, fields.mint);
+    }
+
+    if (this.file.bytes >= this.maxFileBytes || this.clock.now() - this.file.openedAt >= this.rotateIntervalMs) {
+      this._rotate();
+    }
+
+    this._write({ ...fields, type });
+  }
+
+  /**
+   * Mint for a bonding curve PDA, if its create event was recorded
+   */
+  mintForCurve(curvePda) {
+    return this.curveMints.get(curvePda) || null;
+  }
+
+  async close() {
+    if (this.closed) return;
+    this.closed = true;
+    if (this.flushTimer) clearInterval(this.flushTimer);
+    await Promise.all([this._end(this.file), ...this.ending]);
+    this.file = null;
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      sessionId: this.sessionId,
+      currentFile: this.file ? path.basename(this.file.path) : null,
+    };
+  }
+
+  _write(fields) {
+    const record = { v: SCHEMA_VERSION, t: this.clock.now(), seq: this.seq++, ...fields };
+
+    let line;
+    try {
+      line = JSON.stringify(record, _jsonReplacer) + '\n';
+    } catch (e) {
+      this.stats.errors++;
+      console.error('[recorder] unserializable record:', fields.type, e.message);
+      return;
+    }
+
+    this.file.gzip.write(line);
+    this.file.bytes += Buffer.byteLength(line);
+    this.stats.bytes += Buffer.byteLength(line);
+    this.stats.records++;
+    this.stats.byType[fields.type] = (this.stats.byType[fields.type] || 0) + 1;
+  }
+
+  _open() {
+    const openedAt = this.clock.now();
+    const stamp = new Date(openedAt).toISOString().replace(/[:.]/g, '-');
+    const name = `rec_${stamp}_${this.sessionId}_${String(this.fileIndex).padStart(4, '0')}.jsonl.gz`;
+    const filePath = path.join(this.dataDir, name);
+
+    const gzip = zlib.createGzip();
+    const out = fs.createWriteStream(filePath);
+    const onError = (e) => {
+      this.stats.errors++;
+      console.error('[recorder] write error:', name, e.message);
+    };
+    gzip.on('error', onError);
+    out.on('error', onError);
+    gzip.pipe(out);
+
+    this.file = { gzip, out, path: filePath, openedAt, bytes: 0 };
+    this.stats.files++;
+
+    this._write({
+      type: 'session',
+      sessionId: this.sessionId,
+      file: this.fileIndex,
+      mode: config.trading.mode,
+      config: this._configSnapshot(),
+    });
+
+    this.fileIndex++;
+  }
+
+  _rotate() {
+    const previous = this.file;
+    this._open();
+
+    const ending = this._end(previous).then(() => {
+      this.ending.delete(ending);
+      this._prune();
+    });
+    this.ending.add(ending);
+  }
+
+  _end(file) {
+    if (!file) return Promise.resolve();
+    return new Promise((resolve) => {
+      file.out.once('close', resolve);
+      file.out.once('error', resolve);
+      file.gzip.end();
+    });
+  }
+
+  // Push compressed output to disk so a crash loses at most one interval
+  _flush() {
+    if (this.file) this.file.gzip.flush(zlib.constants.Z_SYNC_FLUSH);
+  }
+
+  _prune() {
+    let files;
+    try {
+      files = fs.readdirSync(this.dataDir)
+        .filter((f) => f.startsWith('rec_') && f.endsWith('.jsonl.gz'))
+        .sort();
+    } catch (e) {
+      return;
+    }
+
+    // Names start with the open time, so lexical order is oldest first.
+    // The file being written is always newest and never pruned.
+    for (const f of files.slice(0, Math.max(0, files.length - this.maxFiles))) {
+      try {
+        fs.unlinkSync(path.join(this.dataDir, f));
+      } catch (e) {
+        console.error('[recorder] prune failed:', f, e.message);
+      }
+    }
+  }
+
+  _noteCurve(curvePda, mint) {
+    this.curveMints.set(curvePda, mint);
+    if (this.curveMints.size > MAX_CURVE_MINTS) {
+      this.curveMints.delete(this.curveMints.keys().next().value);
+    }
+  }
+
+  _configSnapshot() {
+    const snapshot = {};
+    for (const section of CONFIG_SECTIONS) {
+      if (config[section]) snapshot[section] = config[section];
+    }
+
+    const { walletPrivateKey, ...trading } = config.trading;
+    snapshot.trading = trading;
+    return snapshot;
+  }
+}
+
+module.exports = { Recorder, SCHEMA_VERSION };
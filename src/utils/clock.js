@@ -0,0 +1,31 @@
+/**
+ * Clocks
+ *
+ * Components take a `clock` ({ now() }) instead of calling Date.now()
+ * directly, so the backtester can drive them on recorded time.
+ */
+
+const systemClock = {
+  now: () => Date.now(),
+};
+
+class SimulatedClock {
+  constructor(startMs = 0) {
+    this.t = startMs;
+  }
+
+  now() {
+    return this.t;
+  }
+
+  set(t) {
+    // Time never runs backwards
+    if (t > this.t) this.t = t;
+  }
+
+  advance(ms) {
+    this.t += ms;
+  }
+}
+
+module.exports = { systemClock, SimulatedClock };
@@ -11,9 +11,12 @@ const http = require('http');
 const config = require('../../config');
 
 class HealthServer {
-  constructor({ positionManager, validationQueue, stateManager, port = 3000 }) {
+  constructor({ positionManager, validationQueue, stateManager, reconciler, scanner, rpc, port = 3000 }) {
     this.port = port;
+    this.rpc = rpc;
+    this.scanner = scanner;
     this.positionManager = positionManager;
+    this.reconciler = reconciler;
     this.validationQueue = validationQueue;
     this.stateManager = stateManager;
     this.server = null;
@@ -47,7 +50,9 @@ class HealthServer {
   }
 
   _handleHealth(res) {
-    const healthy = true;
+    const scanner = this.scanner?.getStatus() || null;
+    // Without a live stream the bot can't see new mints
+    const healthy = !scanner || scanner.connected;
     
     res.statusCode = healthy ? 200 : 503;
     res.end(JSON.stringify({
@@ -55,6 +60,7 @@ class HealthServer {
       timestamp: new Date().toISOString(),
       mode: config.trading.mode,
       uptime: process.uptime(),
+      scanner,
     }));
   }
 
@@ -68,6 +74,8 @@ class HealthServer {
       uptime: process.uptime(),
       mode: config.trading.mode,
       validation: validationStats,
+      scanner: this.scanner?.getStatus() || null,
+      rpc: this.rpc?.getMetrics?.() || null,
       positions: positionStats,
       state: stateStats,
       memory: process.memoryUsage(),
@@ -84,13 +92,17 @@ class HealthServer {
         state: p.state,
         pnlPct: p.pnlPct?.toFixed(2),
         durationMs: Date.now() - p.entryTime,
+        adopted: !!p.adopted,
+        drift: p.drift || null,
       })),
+      reconciliation: this.reconciler?.getReport() || null,
     }));
   }
 
   _handleMetrics(res) {
     // Prometheus-compatible metrics format
     const positionStats = this.positionManager?.getStats();
+    const scanner = this.scanner?.getStatus();
     
     let metrics = `# HELP sniper_uptime_seconds Process uptime in seconds
 # TYPE sniper_uptime_seconds gauge
@@ -115,8 +127,25 @@ sniper_daily_wins ${positionStats?.dailyStats?.wins || 0}
 # HELP sniper_daily_losses Losing trades today
 # TYPE sniper_daily_losses counter
 sniper_daily_losses ${positionStats?.dailyStats?.losses || 0}
+
+# HELP sniper_scanner_connected Scanner WebSocket connected (1/0)
+# TYPE sniper_scanner_connected gauge
+sniper_scanner_connected ${scanner?.connected ? 1 : 0}
+
+# HELP sniper_scanner_reconnects_total Scanner WebSocket disconnects
+# TYPE sniper_scanner_reconnects_total counter
+sniper_scanner_reconnects_total ${(scanner?.feeds || []).reduce((n, f) => n + f.disconnects, 0)}
 `;
 
+    // Per-feed lead/lag, to pick the fastest provider
+    for (const feed of scanner?.feeds || []) {
+      const label = `feed="${feed.name}"`;
+      metrics += `sniper_feed_connected{${label}} ${feed.connected ? 1 : 0}
+sniper_feed_lead_pct{${label}} ${feed.leadPct ?? 0}
+sniper_feed_lag_p50_ms{${label}} ${feed.lagP50Ms ?? 0}
+`;
+    }
+
     res.setHeader('Content-Type', 'text/plain');
     res.end(metrics);
   }
@@ -1,13 +1,16 @@
+const { systemClock } = require('./clock');
+
 class TTLCache {
-  constructor({ ttlMs }) {
+  constructor({ ttlMs, clock = systemClock }) {
     this.ttlMs = ttlMs;
+    this.clock = clock;
     this.map = new Map();
   }
 
   has(key) {
     const v = this.map.get(key);
     if (!v) return false;
-    if (Date.now() - v > this.ttlMs) {
+    if (this.clock.now() - v > this.ttlMs) {
       this.map.delete(key);
       return false;
     }
@@ -15,11 +18,11 @@ class TTLCache {
   }
 
   add(key) {
-    this.map.set(key, Date.now());
+    this.map.set(key, this.clock.now());
   }
 
   cleanup() {
-    const now = Date.now();
+    const now = this.clock.now();
     for (const [k, t] of this.map.entries()) {
       if (now - t > this.ttlMs) this.map.delete(k);
     }
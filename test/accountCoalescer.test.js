@@ -0,0 +1,82 @@
+/**
+ * Concurrent account reads: batched into getMultipleAccounts, and a read
+ * already queued or in flight is shared rather than sent again
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { coalesceAccountReads } = require('../src/rpc/accountCoalescer');
+
+// getMultipleAccounts answered only when `release()` is called
+function fakeRpc() {
+  const calls = [];
+  const waiting = [];
+  const rpc = async (method, params) => {
+    assert.equal(method, 'getMultipleAccounts');
+    calls.push(params[0]);
+    await new Promise((resolve) => waiting.push(resolve));
+    return { context: { slot: 1 }, value: params[0].map((pubkey) => ({ data: pubkey })) };
+  };
+  const release = () => waiting.splice(0).forEach((resolve) => resolve());
+  return { rpc, calls, release };
+}
+
+const tick = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test('concurrent reads share one batch', async () => {
+  const { rpc, calls, release } = fakeRpc();
+  const coalesced = coalesceAccountReads(rpc, { windowMs: 5 });
+
+  const reads = [
+    coalesced('getAccountInfo', ['a', { encoding: 'base64' }]),
+    coalesced('getAccountInfo', ['b', { encoding: 'base64' }]),
+    coalesced('getAccountInfo', ['a', { encoding: 'base64' }]),
+  ];
+  await tick(20);
+  release();
+
+  const [a, b, again] = await Promise.all(reads);
+  assert.deepEqual(calls, [['a', 'b']]);
+  assert.equal(a.value.data, 'a');
+  assert.equal(b.value.data, 'b');
+  assert.equal(again, a);
+});
+
+test('a read arriving while its batch is in flight does not start another', async () => {
+  const { rpc, calls, release } = fakeRpc();
+  const coalesced = coalesceAccountReads(rpc, { windowMs: 5 });
+
+  const first = coalesced('getAccountInfo', ['a', {}]);
+  await tick(20);
+  assert.equal(calls.length, 1);
+
+  // Batch sent, not answered yet
+  const second = coalesced('getAccountInfo', ['a', {}]);
+  await tick(20);
+  assert.equal(calls.length, 1);
+
+  release();
+  assert.equal(await second, await first);
+  assert.equal(coalesced.getMetrics().coalescer.deduped, 1);
+
+  // Settled: the next read goes to the node again
+  const third = coalesced('getAccountInfo', ['a', {}]);
+  await tick(20);
+  release();
+  await third;
+  assert.equal(calls.length, 2);
+});
+
+test('a failed batch rejects every read and is not reused', async () => {
+  let calls = 0;
+  const coalesced = coalesceAccountReads(async () => {
+    calls++;
+    throw new Error('RPC down');
+  }, { windowMs: 1 });
+
+  const reads = [coalesced('getAccountInfo', ['a', {}]), coalesced('getAccountInfo', ['a', {}])];
+  for (const read of reads) await assert.rejects(read, /RPC down/);
+
+  await assert.rejects(coalesced('getAccountInfo', ['a', {}]), /RPC down/);
+  assert.equal(calls, 2);
+});
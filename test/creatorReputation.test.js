@@ -0,0 +1,61 @@
+/**
+ * Creator reputation persistence and launch history trimming
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { CreatorReputation } = require('../src/scanner/creatorReputation');
+const { SimulatedClock } = require('../src/utils/clock');
+
+function tempFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'reputation-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'nested', 'creators.json');
+}
+
+test('launches trimmed from a creator history stop being attributed', () => {
+  const reputation = new CreatorReputation({ persist: false, maxLaunchesPerCreator: 2, clock: new SimulatedClock(0) });
+
+  for (const mint of ['a', 'b', 'c']) reputation.recordCreate({ mint, creator: 'dev', detectedAt: 0 });
+
+  assert.equal(reputation.mintCreators.has('a'), false);
+  assert.deepEqual([...reputation.mintCreators.keys()], ['b', 'c']);
+  assert.equal(reputation.getStats().trackedMints, 2);
+});
+
+test('save writes through a temp file and reloads', async (t) => {
+  const file = tempFile(t);
+  const reputation = new CreatorReputation({ file, clock: new SimulatedClock(0) });
+  t.after(() => clearInterval(reputation.saveTimer));
+
+  reputation.recordCreate({ mint: 'a', creator: 'dev', detectedAt: 0 });
+  reputation.recordComplete({ mint: 'a' });
+
+  // Overlapping saves are serialized
+  await Promise.all([reputation.save(), reputation.save()]);
+
+  assert.equal(fs.existsSync(`${file}.tmp`), false);
+  assert.equal(reputation.dirty, false);
+
+  const reloaded = new CreatorReputation({ file, clock: new SimulatedClock(0) });
+  t.after(() => clearInterval(reloaded.saveTimer));
+
+  assert.equal(reloaded.creators.get('dev').graduated, 1);
+  assert.equal(reloaded.mintCreators.get('a'), 'dev');
+});
+
+test('a failed save keeps the data dirty for the next attempt', async (t) => {
+  const file = tempFile(t);
+  // A directory where the file should go: rename fails
+  fs.mkdirSync(file, { recursive: true });
+
+  const reputation = new CreatorReputation({ file, clock: new SimulatedClock(0) });
+  t.after(() => clearInterval(reputation.saveTimer));
+
+  reputation.recordCreate({ mint: 'a', creator: 'dev', detectedAt: 0 });
+  await assert.rejects(reputation.save());
+  assert.equal(reputation.dirty, true);
+});
@@ -0,0 +1,95 @@
+/**
+ * Fee vault dump-risk classification over scripted balance samples
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Keypair } = require('@solana/web3.js');
+const { FeeMonitor } = require('../src/execution/feeMonitor');
+const { SimulatedClock } = require('../src/utils/clock');
+
+const position = {
+  mint: Keypair.generate().publicKey.toBase58(),
+  curveData: { creator: Keypair.generate().publicKey.toBase58() },
+};
+
+function tokenAccount(amount) {
+  const buf = Buffer.alloc(165);
+  buf.writeBigUInt64LE(BigInt(amount), 64);
+  return { lamports: 2039280, data: [buf.toString('base64'), 'base64'] };
+}
+
+/**
+ * Answers each getMultipleAccounts with the next scripted sample
+ * @param {Array<{ fee: number, wallet: number, tokens: number }>} samples - SOL, SOL, raw tokens
+ */
+function fakeRpc(samples) {
+  let i = 0;
+  return async (method, params) => {
+    assert.equal(method, 'getMultipleAccounts');
+    assert.equal(params[0].length, 3);
+
+    const s = samples[Math.min(i++, samples.length - 1)];
+    return {
+      value: [
+        { lamports: s.fee * 1e9 },
+        { lamports: s.wallet * 1e9 },
+        tokenAccount(s.tokens),
+      ],
+    };
+  };
+}
+
+async function classify(samples) {
+  const clock = new SimulatedClock(0);
+  const monitor = new FeeMonitor({ rpc: fakeRpc(samples), sampleIntervalMs: 15000, clock });
+
+  let result;
+  for (let i = 0; i < samples.length; i++) {
+    result = await monitor.check(position);
+    clock.advance(15000);
+  }
+  return result;
+}
+
+test('a small vault doubling stays LOW: below the absolute SOL floor', async () => {
+  const result = await classify([
+    { fee: 0.1, wallet: 2, tokens: 1000 },
+    { fee: 0.2, wallet: 2, tokens: 1000 },
+  ]);
+
+  assert.ok(result.feeChange5mPct >= 50);
+  assert.equal(result.dumpRisk, 'LOW');
+  assert.equal(result.reason, null);
+});
+
+test('a large vault spike is HIGH', async () => {
+  const result = await classify([
+    { fee: 1, wallet: 2, tokens: 1000 },
+    { fee: 2, wallet: 2, tokens: 1000 },
+  ]);
+
+  assert.equal(result.dumpRisk, 'HIGH');
+  assert.equal(result.reason, 'FEE_SPIKE');
+});
+
+test('a creator wallet rise from claiming fees is not a sell', async () => {
+  const result = await classify([
+    { fee: 1, wallet: 2, tokens: 1000 },
+    { fee: 0, wallet: 3, tokens: 1000 },
+  ]);
+
+  assert.ok(result.creatorChange5mPct >= 50);
+  assert.equal(result.dumpRisk, 'LOW');
+});
+
+test('the creator dumping their tokens is CREATOR_SOLD', async () => {
+  const result = await classify([
+    { fee: 1, wallet: 2, tokens: 1000 },
+    { fee: 1, wallet: 2, tokens: 200 },
+  ]);
+
+  assert.equal(result.creatorSold5mPct, 80);
+  assert.equal(result.dumpRisk, 'HIGH');
+  assert.equal(result.reason, 'CREATOR_SOLD');
+});
@@ -0,0 +1,164 @@
+/**
+ * GeyserFeed against a local mock Yellowstone gRPC server.
+ *
+ * The server implements geyser.Geyser/Subscribe with the SDK's own
+ * protobuf codecs, so the real (native) client is exercised end to end.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('node:events');
+const grpc = require('@grpc/grpc-js');
+const bs58 = require('bs58').default;
+const { SubscribeRequest, SubscribeUpdate } = require('@triton-one/yellowstone-grpc');
+const { GeyserFeed } = require('../src/scanner/geyserFeed');
+const { PUMPFUN_PROGRAM_ID } = require('../src/scanner/constants');
+
+const SUBSCRIBE = {
+  subscribe: {
+    path: '/geyser.Geyser/Subscribe',
+    requestStream: true,
+    responseStream: true,
+    requestSerialize: (msg) => Buffer.from(SubscribeRequest.encode(msg).finish()),
+    requestDeserialize: (buf) => SubscribeRequest.decode(buf),
+    responseSerialize: (msg) => Buffer.from(SubscribeUpdate.encode(SubscribeUpdate.fromPartial(msg)).finish()),
+    responseDeserialize: (buf) => SubscribeUpdate.decode(buf),
+  },
+};
+
+/**
+ * @param {(call, request) => void} onSubscribe - called once per call, with
+ *   the first request carrying filters (the client opens with an empty one)
+ */
+async function startMockServer(onSubscribe) {
+  const server = new grpc.Server();
+  const calls = new Set();
+
+  server.addService(SUBSCRIBE, {
+    subscribe(call) {
+      calls.add(call);
+      const forget = () => calls.delete(call);
+      call.on('cancelled', forget);
+      call.on('error', forget);
+      call.on('end', forget);
+      // Real servers answer with headers right away; the client waits for them
+      call.sendMetadata(new grpc.Metadata());
+
+      let subscribed = false;
+      call.on('data', (request) => {
+        if (subscribed || !Object.keys(request.transactions || {}).length) return;
+        subscribed = true;
+        onSubscribe(call, request);
+      });
+    },
+  });
+
+  const port = await new Promise((resolve, reject) => {
+    server.bindAsync('127.0.0.1:0', grpc.ServerCredentials.createInsecure(), (err, p) => (err ? reject(err) : resolve(p)));
+  });
+
+  return { endpoint: `http://127.0.0.1:${port}`, calls, stop: () => server.forceShutdown() };
+}
+
+function transactionUpdate({ signature, slot, logs }) {
+  return {
+    filters: ['pumpfun'],
+    transaction: {
+      slot: String(slot),
+      transaction: { signature, isVote: false, index: '0', meta: { logMessages: logs } },
+    },
+  };
+}
+
+function waitFor(predicate, timeoutMs = 5000) {
+  return new Promise((resolve, reject) => {
+    const deadline = Date.now() + timeoutMs;
+    const timer = setInterval(() => {
+      if (predicate()) {
+        clearInterval(timer);
+        resolve();
+      } else if (Date.now() > deadline) {
+        clearInterval(timer);
+        reject(new Error('timed out waiting for condition'));
+      }
+    }, 20);
+  });
+}
+
+test('subscribes to Pump.fun transactions and emits their logs', async () => {
+  const signature = Buffer.alloc(64, 7);
+  let request;
+
+  const server = await startMockServer((call, req) => {
+    request = req;
+    call.write(transactionUpdate({ signature, slot: 321, logs: ['Program log: Instruction: Create'] }));
+  });
+
+  const feed = new GeyserFeed({ endpoint: server.endpoint, pingIntervalMs: 60000, staleTimeoutMs: 60000 });
+  try {
+    feed.start();
+    const [event] = await once(feed, 'logs');
+
+    assert.deepEqual(request.transactions.pumpfun.accountInclude, [PUMPFUN_PROGRAM_ID]);
+    assert.equal(event.signature, bs58.encode(signature));
+    assert.equal(event.slot, 321);
+    assert.deepEqual(event.logs, ['Program log: Instruction: Create']);
+    assert.equal(feed.getStatus().connected, true);
+  } finally {
+    feed.stop();
+    server.stop();
+  }
+});
+
+test('reconnects after the server ends the stream', async () => {
+  let subscribes = 0;
+  const server = await startMockServer((call) => {
+    subscribes++;
+    if (subscribes === 1) call.end();
+  });
+
+  const feed = new GeyserFeed({
+    endpoint: server.endpoint,
+    reconnectBaseMs: 10,
+    reconnectMaxMs: 50,
+    pingIntervalMs: 60000,
+    staleTimeoutMs: 60000,
+  });
+  try {
+    feed.start();
+    await once(feed, 'disconnected');
+    await once(feed, 'connected');
+    await waitFor(() => subscribes === 2);
+
+    assert.equal(feed.getStatus().disconnects, 1);
+  } finally {
+    feed.stop();
+    server.stop();
+  }
+});
+
+test('a stale stream is closed before the feed reconnects', async () => {
+  let subscribes = 0;
+  const server = await startMockServer(() => {
+    subscribes++;
+  });
+
+  const feed = new GeyserFeed({
+    endpoint: server.endpoint,
+    reconnectBaseMs: 10,
+    reconnectMaxMs: 50,
+    pingIntervalMs: 60000,
+    staleTimeoutMs: 300,
+  });
+  try {
+    feed.start();
+    await once(feed, 'stale');
+    await waitFor(() => subscribes >= 2);
+
+    // The server only ever sees one live call: the stale one was cancelled
+    await waitFor(() => server.calls.size === 1);
+  } finally {
+    feed.stop();
+    server.stop();
+  }
+});
@@ -0,0 +1,159 @@
+/**
+ * Pump.fun buy/sell instruction layout (account metas + encoded data)
+ *
+ * Expected accounts follow the program IDL; well-known PDAs are
+ * spelled out as literals so a derivation bug can't hide behind itself.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Keypair, PublicKey } = require('@solana/web3.js');
+const {
+  buildBuyInstruction,
+  buildSellInstruction,
+  buildCreateAtaIdempotentInstruction,
+  buildCloseAccountInstruction,
+  getAssociatedTokenAddress,
+} = require('../src/pumpfun/instructions');
+
+const PUMP = '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P';
+const GLOBAL = '4wTV1YmiEkRvAtNtsSGPtUrqRYQMe5SKy2uB4Jjaxnjf';
+const FEE_RECIPIENT = 'CebN5WGQ4jvEPvsVU4EoHEpgzq1VV7AbicfhtW4xC9iM';
+const EVENT_AUTHORITY = 'Ce6TQqeHC9p8KetsN6JsjHK7UTZk7nasjjnr7XxXp9F1';
+const GLOBAL_VOLUME_ACCUMULATOR = 'Hq2wp8uJ9jCPsYgNHex8RtqdvMPfVGoYwjvF1ATiwn2Y';
+const FEE_CONFIG = '8Wf5TiAheLUqBrKXeYg2JtAFFMWtKdG2BSFgqUcPVwTt';
+const FEE_PROGRAM = 'pfeeUxB6jkeY1Hxd7CsFCAjcbHA9rWtchMGdZ6VojVZ';
+const SYSTEM_PROGRAM = '11111111111111111111111111111111';
+const TOKEN_PROGRAM = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+const TOKEN_2022_PROGRAM = 'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb';
+const ATA_PROGRAM = 'ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL';
+
+const mint = Keypair.generate().publicKey.toBase58();
+const user = Keypair.generate().publicKey.toBase58();
+const creator = Keypair.generate().publicKey.toBase58();
+
+function pda(seeds, program = PUMP) {
+  return PublicKey.findProgramAddressSync(seeds, new PublicKey(program))[0].toBase58();
+}
+
+const bondingCurve = pda([Buffer.from('bonding-curve'), new PublicKey(mint).toBuffer()]);
+const creatorVault = pda([Buffer.from('creator-vault'), new PublicKey(creator).toBuffer()]);
+const userVolumeAccumulator = pda([Buffer.from('user_volume_accumulator'), new PublicKey(user).toBuffer()]);
+
+// [pubkey, isSigner, isWritable]
+function metas(ix) {
+  return ix.keys.map((k) => [k.pubkey.toBase58(), k.isSigner, k.isWritable]);
+}
+
+test('buy instruction accounts match the IDL', () => {
+  const ix = buildBuyInstruction({ mint, user, creator, tokenAmount: 1n, maxSolCost: 1n });
+
+  assert.equal(ix.programId.toBase58(), PUMP);
+  assert.deepEqual(metas(ix), [
+    [GLOBAL, false, false],
+    [FEE_RECIPIENT, false, true],
+    [mint, false, false],
+    [bondingCurve, false, true],
+    [getAssociatedTokenAddress(mint, bondingCurve), false, true],
+    [getAssociatedTokenAddress(mint, user), false, true],
+    [user, true, true],
+    [SYSTEM_PROGRAM, false, false],
+    [TOKEN_PROGRAM, false, false],
+    [creatorVault, false, true],
+    [EVENT_AUTHORITY, false, false],
+    [PUMP, false, false],
+    [GLOBAL_VOLUME_ACCUMULATOR, false, true],
+    [userVolumeAccumulator, false, true],
+    [FEE_CONFIG, false, false],
+    [FEE_PROGRAM, false, false],
+  ]);
+});
+
+test('buy instruction data: discriminator, amount, max_sol_cost, track_volume', () => {
+  const ix = buildBuyInstruction({ mint, user, creator, tokenAmount: 123456789n, maxSolCost: 10_000_000n });
+
+  assert.equal(
+    ix.data.toString('hex'),
+    '66063d1201daebea' + '15cd5b0700000000' + '8096980000000000' + '00'
+  );
+});
+
+test('sell instruction accounts match the IDL', () => {
+  const ix = buildSellInstruction({ mint, user, creator, tokenAmount: 1n, minSolOutput: 0n });
+
+  assert.equal(ix.programId.toBase58(), PUMP);
+  assert.deepEqual(metas(ix), [
+    [GLOBAL, false, false],
+    [FEE_RECIPIENT, false, true],
+    [mint, false, false],
+    [bondingCurve, false, true],
+    [getAssociatedTokenAddress(mint, bondingCurve), false, true],
+    [getAssociatedTokenAddress(mint, user), false, true],
+    [user, true, true],
+    [SYSTEM_PROGRAM, false, false],
+    [creatorVault, false, true],
+    [TOKEN_PROGRAM, false, false],
+    [EVENT_AUTHORITY, false, false],
+    [PUMP, false, false],
+    [FEE_CONFIG, false, false],
+    [FEE_PROGRAM, false, false],
+  ]);
+});
+
+test('sell instruction data: discriminator, amount, min_sol_output', () => {
+  const ix = buildSellInstruction({ mint, user, creator, tokenAmount: 123456789n, minSolOutput: 5000n });
+
+  assert.equal(
+    ix.data.toString('hex'),
+    '33e685a4017f83ad' + '15cd5b0700000000' + '8813000000000000'
+  );
+});
+
+test('builders refuse to guess the creator vault', () => {
+  assert.throws(
+    () => buildBuyInstruction({ mint, user, creator: null, tokenAmount: 1n, maxSolCost: 1n }),
+    /creator unknown/
+  );
+  assert.throws(
+    () => buildSellInstruction({ mint, user, tokenAmount: 1n, minSolOutput: 0n }),
+    /creator unknown/
+  );
+});
+
+test('a Token-2022 mint gets Token-2022 ATAs and token program in every builder', () => {
+  const ata = (owner) => pda(
+    [new PublicKey(owner).toBuffer(), new PublicKey(TOKEN_2022_PROGRAM).toBuffer(), new PublicKey(mint).toBuffer()],
+    ATA_PROGRAM
+  );
+  const tokenProgram = TOKEN_2022_PROGRAM;
+
+  const buy = metas(buildBuyInstruction({ mint, user, creator, tokenAmount: 1n, maxSolCost: 1n, tokenProgram }));
+  assert.deepEqual(buy.slice(4, 9), [
+    [ata(bondingCurve), false, true],
+    [ata(user), false, true],
+    [user, true, true],
+    [SYSTEM_PROGRAM, false, false],
+    [TOKEN_2022_PROGRAM, false, false],
+  ]);
+
+  const sell = metas(buildSellInstruction({ mint, user, creator, tokenAmount: 1n, minSolOutput: 0n, tokenProgram }));
+  assert.deepEqual(sell.slice(4, 10), [
+    [ata(bondingCurve), false, true],
+    [ata(user), false, true],
+    [user, true, true],
+    [SYSTEM_PROGRAM, false, false],
+    [creatorVault, false, true],
+    [TOKEN_2022_PROGRAM, false, false],
+  ]);
+
+  const create = metas(buildCreateAtaIdempotentInstruction({ mint, user, tokenProgram }));
+  assert.deepEqual(create[1], [ata(user), false, true]);
+  assert.deepEqual(create[5], [TOKEN_2022_PROGRAM, false, false]);
+
+  const close = buildCloseAccountInstruction({ mint, user, tokenProgram });
+  assert.equal(close.programId.toBase58(), TOKEN_2022_PROGRAM);
+  assert.deepEqual(metas(close)[0], [ata(user), false, true]);
+
+  // Never the legacy program's ATA
+  assert.notEqual(ata(user), getAssociatedTokenAddress(mint, user));
+});
@@ -0,0 +1,157 @@
+/**
+ * Jito bundle path against a local HTTP stand-in for the block engine
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const bs58 = require('bs58').default;
+const {
+  Keypair,
+  SystemProgram,
+  TransactionMessage,
+  VersionedTransaction,
+} = require('@solana/web3.js');
+const config = require('../config');
+const { JitoSubmitter, DEFAULT_TIP_ACCOUNTS } = require('../src/execution/jitoSubmitter');
+
+const wallet = Keypair.generate();
+
+/**
+ * @param {() => string} status - inflight status reported for every bundle
+ */
+async function startBlockEngine(status) {
+  const bundles = [];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      const { id, method, params } = JSON.parse(body);
+      let result;
+
+      if (req.url === '/api/v1/bundles' && method === 'sendBundle') {
+        bundles.push(params[0].map((raw) => VersionedTransaction.deserialize(Buffer.from(raw, 'base64'))));
+        result = `bundle-${bundles.length}`;
+      } else if (req.url === '/api/v1/getInflightBundleStatuses') {
+        result = { value: [{ bundle_id: params[0][0], status: status(), landed_slot: 42 }] };
+      }
+
+      res.setHeader('content-type', 'application/json');
+      res.end(JSON.stringify(result === undefined
+        ? { jsonrpc: '2.0', id, error: { code: -32601, message: `unknown ${method}` } }
+        : { jsonrpc: '2.0', id, result }));
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    bundles,
+    stop: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+function tradeTransaction() {
+  const message = new TransactionMessage({
+    payerKey: wallet.publicKey,
+    recentBlockhash: bs58.encode(Buffer.alloc(32, 9)),
+    instructions: [
+      SystemProgram.transfer({ fromPubkey: wallet.publicKey, toPubkey: Keypair.generate().publicKey, lamports: 1 }),
+    ],
+  }).compileToV0Message();
+  return new VersionedTransaction(message);
+}
+
+// Confirms a signature as soon as it has been sent through RPC or `landed()` says so
+function fakeRpc(landed = () => false) {
+  const sent = [];
+  const rpc = async (method) => {
+    switch (method) {
+      case 'simulateTransaction':
+        return { value: { err: null, logs: [] } };
+      case 'sendTransaction':
+        sent.push(Date.now());
+        return 'sig';
+      case 'getSignatureStatuses':
+        return { value: [sent.length || landed() ? { slot: 42, confirmationStatus: 'confirmed', err: null } : null] };
+      default:
+        return null;
+    }
+  };
+  return { rpc, sent };
+}
+
+test('submit bundles the trade with a tip and reports it landed', async () => {
+  const engine = await startBlockEngine(() => 'Landed');
+  try {
+    const jito = new JitoSubmitter({ blockEngineUrl: engine.url, statusPollMs: 10 });
+    const transaction = tradeTransaction();
+    transaction.sign([wallet]);
+
+    const result = await jito.submit({ transaction, wallet, urgency: 'exit' });
+
+    assert.deepEqual(result, { bundleId: 'bundle-1', landed: true, status: 'Landed', slot: 42 });
+
+    const [trade, tip] = engine.bundles[0];
+    assert.deepEqual(trade.signatures[0], transaction.signatures[0]);
+    assert.equal(tip.message.recentBlockhash, transaction.message.recentBlockhash);
+
+    const keys = tip.message.staticAccountKeys.map((k) => k.toBase58());
+    assert.ok(keys.some((k) => DEFAULT_TIP_ACCOUNTS.includes(k)));
+    assert.equal(Buffer.from(tip.message.compiledInstructions[0].data).readBigUInt64LE(4), 500000n);
+  } finally {
+    await engine.stop();
+  }
+});
+
+test('an invalid bundle is reported as not landed', async () => {
+  const engine = await startBlockEngine(() => 'Invalid');
+  try {
+    const jito = new JitoSubmitter({ blockEngineUrl: engine.url, statusPollMs: 10 });
+    const transaction = tradeTransaction();
+    transaction.sign([wallet]);
+
+    const result = await jito.submit({ transaction, wallet });
+    assert.equal(result.landed, false);
+    assert.equal(result.status, 'Invalid');
+  } finally {
+    await engine.stop();
+  }
+});
+
+test('sendAndConfirm: bundle path, then RPC once the bundle is slow to land', async (t) => {
+  let status = 'Landed';
+  const engine = await startBlockEngine(() => status);
+  t.after(() => engine.stop());
+
+  // The sender builds its submitter from config on first use
+  config.jito = {
+    ...config.jito,
+    enabled: true,
+    blockEngineUrl: engine.url,
+    statusPollMs: 10,
+    landTimeoutMs: 1000,
+    rpcFallbackMs: 100,
+  };
+  const { sendAndConfirm } = require('../src/execution/txSender');
+
+  await t.test('a landed bundle is never sent through RPC', async () => {
+    const { rpc, sent } = fakeRpc(() => true);
+    const result = await sendAndConfirm({ rpc, transaction: tradeTransaction(), wallet, mint: 'mint' });
+
+    assert.equal(result.via, 'jito');
+    assert.equal(sent.length, 0);
+  });
+
+  await t.test('a pending bundle falls back to RPC after rpcFallbackMs, not landTimeoutMs', async () => {
+    status = 'Pending';
+    const { rpc, sent } = fakeRpc();
+    const start = Date.now();
+    const result = await sendAndConfirm({ rpc, transaction: tradeTransaction(), wallet, mint: 'mint' });
+
+    assert.equal(result.via, 'rpc');
+    assert.equal(sent.length, 1);
+    assert.ok(sent[0] - start < 1000, `RPC send after ${sent[0] - start}ms`);
+  });
+});
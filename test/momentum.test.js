@@ -0,0 +1,74 @@
+/**
+ * Momentum metrics, parabolic exit and ATR over fixed price series
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeMomentum, averageTrueRangePct } = require('../src/execution/priceHistory');
+const { PositionManager } = require('../src/execution/positionManager');
+
+// One sample every `stepMs`, starting at t = 0
+function series(prices, stepMs = 10000) {
+  return prices.map((price, i) => ({ t: i * stepMs, price }));
+}
+
+function close(actual, expected, eps = 1e-9) {
+  assert.ok(Math.abs(actual - expected) < eps, `expected ${expected}, got ${actual}`);
+}
+
+const ACCELERATING = series([1, 1, 1, 1, 1.1, 1.2, 1.5, 2.0]);
+const DECELERATING = series([1, 1.3, 1.6, 1.8, 1.9, 1.95, 2.0, 2.04]);
+const ROLLING_OVER = series([1, 1.5, 2.0, 1.8, 1.6]);
+
+test('analyzeMomentum: window returns, acceleration and peak', () => {
+  const m = analyzeMomentum(ACCELERATING, { windowMs: 30000 });
+
+  // Window base is the sample at t=40s (1.1), previous base at t=10s (1.0)
+  close(m.shortReturnPct, ((2.0 - 1.1) / 1.1) * 100);
+  close(m.prevReturnPct, 10);
+  close(m.accelerationPct, ((2.0 - 1.1) / 1.1) * 100 - 10);
+  assert.equal(m.peakPrice, 2.0);
+  assert.equal(m.retracePct, 0);
+  assert.equal(m.samples, 8);
+});
+
+test('analyzeMomentum: retrace from the peak', () => {
+  const m = analyzeMomentum(ROLLING_OVER, { windowMs: 30000 });
+
+  assert.equal(m.peakPrice, 2.0);
+  close(m.retracePct, 20);
+  // Window base is the sample at t=10s (1.5)
+  close(m.shortReturnPct, ((1.6 - 1.5) / 1.5) * 100);
+});
+
+test('analyzeMomentum: too few samples', () => {
+  assert.equal(analyzeMomentum(series([1, 2])), null);
+  assert.equal(analyzeMomentum(null), null);
+});
+
+test('averageTrueRangePct: mean absolute move between samples', () => {
+  const prices = series([100, 110, 99, 99]);
+
+  close(averageTrueRangePct(prices), ((0.1 + 0.1 + 0) / 3) * 100);
+  // Only the last `period` moves count
+  close(averageTrueRangePct(prices, 2), ((0.1 + 0) / 2) * 100);
+  assert.equal(averageTrueRangePct(series([100])), null);
+});
+
+test('parabolic exit: accelerating blow-off, rollover, and steady climb', () => {
+  const pm = new PositionManager({ rpc: async () => null, startMonitoring: false });
+
+  const blowOff = pm._checkParabolicMove({ priceHistory: ACCELERATING });
+  assert.equal(blowOff.triggered, true);
+  assert.equal(blowOff.reason, 'ACCELERATING');
+
+  const rollover = pm._checkParabolicMove({ priceHistory: ROLLING_OVER });
+  assert.equal(rollover.triggered, true);
+  assert.equal(rollover.reason, 'RETRACE_FROM_PEAK');
+
+  const steady = pm._checkParabolicMove({ priceHistory: DECELERATING });
+  assert.equal(steady.triggered, false);
+
+  const empty = pm._checkParabolicMove({ priceHistory: [] });
+  assert.equal(empty.triggered, false);
+});
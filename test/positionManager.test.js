@@ -0,0 +1,117 @@
+/**
+ * Entry gate checked before a buy is sent, and sells that may still land
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Keypair } = require('@solana/web3.js');
+const config = require('../config');
+const { PositionManager } = require('../src/execution/positionManager');
+const { SimulatedClock } = require('../src/utils/clock');
+
+const wallet = Keypair.generate();
+
+function manager({ rpc = async () => 1000, sell = async () => { throw new Error('no sells'); } } = {}) {
+  return new PositionManager({
+    rpc,
+    wallet,
+    priceFeed: {},
+    feeMonitor: { forget() {} },
+    sell,
+    clock: new SimulatedClock(0),
+    startMonitoring: false,
+  });
+}
+
+function sellError(fields) {
+  return Object.assign(new Error('sell failed'), { signature: 'sig1' }, fields);
+}
+
+test('a full book blocks entries before the buy, adoption still tracks a fill', async (t) => {
+  const { maxPositions } = config.trading;
+  config.trading.maxPositions = 1;
+  t.after(() => { config.trading.maxPositions = maxPositions; });
+
+  const pm = manager();
+  assert.equal(pm.entryBlockedReason(), null);
+
+  await pm.openPosition({ mint: 'a', entryPrice: 0.03, tokens: 1000, solInvested: 0.00003, signal: {} });
+  assert.equal(pm.entryBlockedReason(), 'MAX_POSITIONS');
+  assert.equal(await pm.openPosition({ mint: 'b', entryPrice: 0.03, tokens: 1000, solInvested: 0.00003, signal: {} }), null);
+
+  const adopted = await pm.adoptPosition({ mint: 'b', entryPrice: 0.03, tokens: 1000 });
+  assert.equal(adopted.remainingTokens, 1000);
+  assert.equal(pm.positions.size, 2);
+});
+
+test('a daily loss past the limit blocks entries', () => {
+  const pm = manager();
+  pm.dailyStats.totalPnL = -(config.trading.dailyLossLimitPct + 1);
+
+  assert.equal(pm.entryBlockedReason(), 'DAILY_LOSS_LIMIT');
+});
+
+test('a sell that failed on-chain is retried with wider slippage', async () => {
+  const slippages = [];
+  const pm = manager({
+    sell: async ({ slippageBps }) => {
+      slippages.push(slippageBps);
+      throw sellError({ txError: { InstructionError: [2, { Custom: 6003 }] } });
+    },
+  });
+  const position = await pm.openPosition({ mint: 'm', entryPrice: 0.03, tokens: 1000, solInvested: 0.00003, signal: {} });
+
+  assert.equal(await pm._sellWithRetry(position, 1000, 'STOP_LOSS'), null);
+  assert.equal(slippages.length, 3);
+  assert.ok(slippages[2] > slippages[0]);
+});
+
+test('a sell that timed out is looked up, never sent twice', async () => {
+  const owner = wallet.publicKey.toBase58();
+  let landed = false;
+  const rpc = async (method) => {
+    switch (method) {
+      case 'getSignatureStatuses':
+        return { value: [landed ? { slot: 7, confirmationStatus: 'confirmed', err: null } : null] };
+      case 'getTransaction':
+        return {
+          transaction: { message: { accountKeys: [owner, 'ata'] } },
+          meta: {
+            fee: 5000,
+            preBalances: [1000000000, 2039280],
+            postBalances: [1000000000 - 5000 + 40000, 2039280],
+            preTokenBalances: [{ accountIndex: 1, owner, mint: 'm', uiTokenAmount: { amount: '1000' } }],
+            postTokenBalances: [{ accountIndex: 1, owner, mint: 'm', uiTokenAmount: { amount: '0' } }],
+          },
+        };
+      default:
+        return 1000;
+    }
+  };
+
+  let sells = 0;
+  const pm = manager({
+    rpc,
+    sell: async () => {
+      sells++;
+      throw sellError({ code: 'CONFIRM_TIMEOUT' });
+    },
+  });
+  const position = await pm.openPosition({ mint: 'm', entryPrice: 0.03, tokens: 1000, solInvested: 0.00003, signal: {} });
+
+  assert.equal(await pm._executeFullExit(position, 'STOP_LOSS'), false);
+  assert.equal(sells, 1);
+  assert.equal(position.unconfirmedSell.signature, 'sig1');
+
+  // Still unknown: the position is held, not re-sold
+  assert.equal(await pm._settleUnconfirmedSell(position), false);
+
+  // It landed: booked once and the position closed
+  landed = true;
+  assert.equal(await pm._settleUnconfirmedSell(position), false);
+  assert.equal(sells, 1);
+  assert.equal(position.remainingTokens, 0);
+  assert.equal(position.solReceived, 0.00004);
+  assert.equal(position.state, 'STOPPED');
+  assert.equal(pm.positions.has('m'), false);
+});
@@ -0,0 +1,76 @@
+/**
+ * Priority fee cap applied to a transaction's own compute unit limit
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const bs58 = require('bs58').default;
+const {
+  ComputeBudgetProgram,
+  Keypair,
+  SystemProgram,
+  TransactionMessage,
+  VersionedTransaction,
+} = require('@solana/web3.js');
+const config = require('../config');
+const { capComputeUnitPrice } = require('../src/execution/priorityFees');
+
+const payer = Keypair.generate().publicKey;
+
+function swapTransaction(budget) {
+  const message = new TransactionMessage({
+    payerKey: payer,
+    recentBlockhash: bs58.encode(Buffer.alloc(32, 1)),
+    instructions: [
+      ...budget,
+      SystemProgram.transfer({ fromPubkey: payer, toPubkey: Keypair.generate().publicKey, lamports: 1 }),
+    ],
+  }).compileToV0Message();
+  return new VersionedTransaction(message);
+}
+
+function priceOf(transaction) {
+  const ix = transaction.message.compiledInstructions.find((i) => i.data[0] === 3);
+  return Buffer.from(ix.data).readBigUInt64LE(1);
+}
+
+test('a price over budget for the simulated CU limit is lowered to the cap', (t) => {
+  const { priorityFee } = config.trading;
+  config.trading.priorityFee = 0.001;
+  t.after(() => { config.trading.priorityFee = priorityFee; });
+
+  // 400k CUs at 100M micro-lamports = 0.04 SOL, 40x the cap
+  const transaction = swapTransaction([
+    ComputeBudgetProgram.setComputeUnitLimit({ units: 400000 }),
+    ComputeBudgetProgram.setComputeUnitPrice({ microLamports: 100000000 }),
+  ]);
+
+  const result = capComputeUnitPrice(transaction);
+
+  assert.deepEqual(result, { units: 400000, microLamports: 2500000, capped: true });
+  assert.equal(priceOf(transaction), 2500000n);
+
+  // Survives serialization
+  const roundTrip = VersionedTransaction.deserialize(transaction.serialize());
+  assert.equal(priceOf(roundTrip), 2500000n);
+});
+
+test('a price within budget is left alone', (t) => {
+  const { priorityFee } = config.trading;
+  config.trading.priorityFee = 0.001;
+  t.after(() => { config.trading.priorityFee = priorityFee; });
+
+  const transaction = swapTransaction([
+    ComputeBudgetProgram.setComputeUnitLimit({ units: 100000 }),
+    ComputeBudgetProgram.setComputeUnitPrice({ microLamports: 5000 }),
+  ]);
+
+  assert.deepEqual(capComputeUnitPrice(transaction), { units: 100000, microLamports: 5000, capped: false });
+  assert.equal(priceOf(transaction), 5000n);
+});
+
+test('a transaction without a CU price is untouched', () => {
+  const transaction = swapTransaction([ComputeBudgetProgram.setComputeUnitLimit({ units: 300000 })]);
+
+  assert.deepEqual(capComputeUnitPrice(transaction), { units: 300000, microLamports: null, capped: false });
+});
@@ -0,0 +1,41 @@
+/**
+ * Scanner fallback for creates whose event line was truncated from the logs
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const PumpFunScanner = require('../src/scanner/pumpfunScanner');
+
+const PUMP = '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P';
+
+function mintsFor(instruction) {
+  const scanner = new PumpFunScanner({});
+  const mints = [];
+  scanner.on('mint', (event) => mints.push(event));
+
+  scanner.handleLogs({
+    signature: `sig-${instruction}`,
+    slot: 1,
+    err: null,
+    logs: [
+      `Program ${PUMP} invoke [1]`,
+      `Program log: Instruction: ${instruction}`,
+      'Log truncated',
+    ],
+  });
+  return mints;
+}
+
+test('undecoded Create and CreateV2 both flag a mint', () => {
+  for (const instruction of ['Create', 'CreateV2']) {
+    const mints = mintsFor(instruction);
+    assert.equal(mints.length, 1, instruction);
+    assert.equal(mints[0].signature, `sig-${instruction}`);
+    assert.equal(mints[0].mint, undefined);
+  }
+});
+
+test('other instructions do not', () => {
+  assert.deepEqual(mintsFor('Buy'), []);
+  assert.deepEqual(mintsFor('ExtendAccount'), []);
+});
@@ -0,0 +1,122 @@
+/**
+ * Wallet reconciliation: drift is alerted once, missing positions are
+ * written off, unadoptable holdings are not retried every pass, Token-2022
+ * balances count
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Keypair } = require('@solana/web3.js');
+const { WalletReconciler } = require('../src/execution/reconciler');
+const { PositionManager } = require('../src/execution/positionManager');
+const { SimulatedClock } = require('../src/utils/clock');
+
+const wallet = Keypair.generate();
+const held = Keypair.generate().publicKey.toBase58();
+const gone = Keypair.generate().publicKey.toBase58();
+const dust = Keypair.generate().publicKey.toBase58();
+
+const TOKEN_PROGRAM = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+const TOKEN_2022_PROGRAM = 'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb';
+
+/**
+ * @param {Map<string, number>} balances - mint -> raw amount in the wallet
+ * @param {Map<string, number>} [token2022] - same, for Token-2022 mints
+ */
+function fakeRpc(balances, token2022 = new Map()) {
+  const calls = { getAccountInfo: 0 };
+  const rpc = async (method, params) => {
+    calls[method] = (calls[method] || 0) + 1;
+    switch (method) {
+      case 'getParsedTokenAccountsByOwner': {
+        const { programId } = params[1];
+        assert.ok(programId === TOKEN_PROGRAM || programId === TOKEN_2022_PROGRAM, programId);
+        return {
+          value: [...(programId === TOKEN_PROGRAM ? balances : token2022)].map(([mint, amount]) => ({
+            account: { data: { parsed: { info: { mint, tokenAmount: { amount: String(amount) } } } } },
+          })),
+        };
+      }
+      case 'getSlot':
+        return 1;
+      default:
+        // No bonding curve for anything: orphans are unpriceable
+        return { value: null };
+    }
+  };
+  return { rpc, calls };
+}
+
+async function setup(balances, token2022) {
+  const { rpc, calls } = fakeRpc(balances, token2022);
+  const clock = new SimulatedClock(0);
+  const positionManager = new PositionManager({ rpc, wallet, clock, startMonitoring: false });
+
+  for (const mint of [held, gone]) {
+    await positionManager.openPosition({ mint, entryPrice: 30, tokens: 1000, solInvested: 0.03, signal: { mint } });
+  }
+  // Past the reconciler's grace period
+  for (const p of positionManager.getOpenPositions()) p.entryTime = -60000;
+
+  const reconciler = new WalletReconciler({ rpc, wallet, positionManager });
+  const alerts = [];
+  reconciler.on('drift', (report) => alerts.push(report.changed.map((d) => `${d.type}${d.closed ? ':closed' : ''}`)));
+
+  return { reconciler, positionManager, alerts, calls };
+}
+
+test('persistent drift alerts once, missing positions stop trading then close', async () => {
+  const balances = new Map([[held, 1000], [dust, 5]]);
+  const { reconciler, positionManager, alerts, calls } = await setup(balances);
+
+  const closed = [];
+  positionManager.on('closed', ({ position, reason }) => closed.push([position.mint, reason]));
+
+  await reconciler.reconcile();
+  assert.deepEqual(alerts, [['MISSING', 'ORPHAN']]);
+  assert.equal(positionManager.positions.get(gone).drift, 'MISSING');
+  assert.equal(closed.length, 0);
+  const lookups = calls.getAccountInfo;
+
+  // Second pass: still missing -> written off; the dust is not re-alerted or re-priced
+  await reconciler.reconcile();
+  assert.deepEqual(alerts[1], ['MISSING:closed']);
+  assert.deepEqual(closed, [[gone, 'MISSING']]);
+  assert.equal(positionManager.positions.has(gone), false);
+  assert.equal(calls.getAccountInfo, lookups);
+
+  // Nothing new: no alert
+  await reconciler.reconcile();
+  assert.equal(alerts.length, 2);
+
+  // The dust amount changes: reported (and retried) again
+  balances.set(dust, 7);
+  await reconciler.reconcile();
+  assert.deepEqual(alerts[2], ['ORPHAN']);
+  assert.ok(calls.getAccountInfo > lookups);
+});
+
+test('a position whose tokens reappear is not written off', async () => {
+  const balances = new Map([[held, 1000]]);
+  const { reconciler, positionManager } = await setup(balances);
+
+  await reconciler.reconcile();
+  balances.set(gone, 1000);
+  await reconciler.reconcile();
+  balances.delete(gone);
+  await reconciler.reconcile();
+
+  const position = positionManager.positions.get(gone);
+  assert.ok(position, 'one missing pass after recovery must not close the position');
+  assert.equal(position.drift, 'MISSING');
+});
+
+test('a Token-2022 holding counts as held', async () => {
+  const { reconciler, positionManager, alerts } = await setup(new Map([[held, 1000]]), new Map([[gone, 1000]]));
+
+  for (let pass = 0; pass < 3; pass++) await reconciler.reconcile();
+
+  assert.deepEqual(alerts, []);
+  assert.equal(positionManager.positions.get(gone).drift, null);
+  assert.equal(positionManager.positions.get(gone).remainingTokens, 1000);
+});
@@ -0,0 +1,173 @@
+/**
+ * Simulation gate (buy + round-trip sell) against a stand-in for the
+ * Pump.fun program: simulateTransaction is answered by decoding the
+ * transaction, checking the accounts the program would constrain, and
+ * applying the curve math.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Keypair, PublicKey, VersionedTransaction } = require('@solana/web3.js');
+const { simulateRoundTrip } = require('../src/pumpfun/simulate');
+const { ValidationQueue } = require('../src/scanner/validationQueue');
+const { quoteBuyExactOut, quoteSell } = require('../src/pumpfun/curveQuote');
+const { BUY_DISCRIMINATOR, SELL_DISCRIMINATOR } = require('../src/pumpfun/instructions');
+
+const PUMP = '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P';
+
+const mint = Keypair.generate().publicKey.toBase58();
+const payer = Keypair.generate().publicKey.toBase58();
+const creator = Keypair.generate().publicKey.toBase58();
+
+const curve = {
+  virtualToken: '1000000000000000',
+  virtualSol: '32000000000',
+  realToken: '720000000000000',
+  realSol: '2000000000',
+  creator,
+};
+
+const creatorVault = PublicKey.findProgramAddressSync(
+  [Buffer.from('creator-vault'), new PublicKey(creator).toBuffer()],
+  new PublicKey(PUMP)
+)[0].toBase58();
+
+const TOKEN_PROGRAM = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+const TOKEN_2022_PROGRAM = 'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb';
+
+function userAta(tokenProgram) {
+  return PublicKey.findProgramAddressSync(
+    [new PublicKey(payer).toBuffer(), new PublicKey(tokenProgram).toBuffer(), new PublicKey(mint).toBuffer()],
+    new PublicKey('ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL')
+  )[0].toBase58();
+}
+
+/**
+ * @param {object} [opts]
+ * @param {boolean} [opts.sellFails] - program refuses sells (honeypot)
+ * @param {bigint} [opts.sellTaxBps] - extra cut taken from sell proceeds
+ * @param {string} [opts.tokenProgram] - owner of the mint account
+ */
+function fakeRpc({ sellFails = false, sellTaxBps = 0n, tokenProgram = TOKEN_PROGRAM } = {}) {
+  const balance = 1_000_000_000n;
+
+  return async function rpc(method, params) {
+    if (method === 'getBalance') return { value: Number(balance) };
+    if (method === 'getAccountInfo') {
+      assert.equal(params[0], mint);
+      return { value: { owner: tokenProgram, data: [Buffer.alloc(82).toString('base64'), 'base64'] } };
+    }
+    assert.equal(method, 'simulateTransaction');
+
+    const tx = VersionedTransaction.deserialize(Buffer.from(params[0], 'base64'));
+    const keys = tx.message.staticAccountKeys.map((k) => k.toBase58());
+
+    let state = { ...curve };
+    let lamports = balance - 5000n;
+    let tokens = 0n;
+
+    for (const ix of tx.message.compiledInstructions) {
+      if (keys[ix.programIdIndex] !== PUMP) continue;
+
+      const accounts = ix.accountKeyIndexes.map((i) => keys[i]);
+      const data = Buffer.from(ix.data);
+      const amount = data.readBigUInt64LE(8);
+      const isBuy = data.subarray(0, 8).equals(BUY_DISCRIMINATOR);
+      const isSell = data.subarray(0, 8).equals(SELL_DISCRIMINATOR);
+
+      // Program constraints: account count and the seeds-checked creator vault
+      const expected = isBuy ? { count: 16, vault: 9 } : { count: 14, vault: 8 };
+      if (accounts.length < expected.count) {
+        return { value: { err: { InstructionError: [0, { Custom: 3005 }] }, logs: ['AccountNotEnoughKeys'] } };
+      }
+      if (accounts[expected.vault] !== creatorVault) {
+        return { value: { err: { InstructionError: [0, { Custom: 2006 }] }, logs: ['ConstraintSeeds: creator_vault'] } };
+      }
+      // The user's ATA and token program must belong to the mint's owner
+      if (accounts[5] !== userAta(tokenProgram) || accounts[isBuy ? 8 : 9] !== tokenProgram) {
+        return { value: { err: { InstructionError: [0, { Custom: 3007 }] }, logs: ['AccountOwnedByWrongProgram'] } };
+      }
+
+      if (isBuy) {
+        const q = quoteBuyExactOut({ curve: state, tokenAmount: amount });
+        lamports -= q.inAmount;
+        tokens += amount;
+        state = { ...state, ...q.postReserves };
+      } else if (isSell) {
+        if (sellFails) {
+          return { value: { err: { InstructionError: [2, { Custom: 6000 }] }, logs: ['sell disabled'] } };
+        }
+        const q = quoteSell({ curve: state, tokenAmount: amount });
+        lamports += q.outAmount - (q.outAmount * sellTaxBps) / 10000n;
+        tokens -= amount;
+        state = { ...state, ...q.postReserves };
+      }
+    }
+
+    const addresses = params[1].accounts?.addresses || [];
+    return {
+      value: {
+        err: null,
+        logs: [],
+        unitsConsumed: 90000,
+        accounts: addresses.map(() => ({ lamports: Number(lamports) })),
+      },
+    };
+  };
+}
+
+test('round trip on a healthy curve passes with only the protocol fees lost', async () => {
+  const result = await simulateRoundTrip({ rpc: fakeRpc(), mint, curve, payer, amountSolLamports: 10_000_000 });
+
+  assert.equal(result.ok, true, JSON.stringify(result));
+  assert.ok(result.taxPct > 1.5 && result.taxPct < 2.5, `taxPct ${result.taxPct}`);
+});
+
+test('round trip on a Token-2022 mint uses its token program', async () => {
+  const rpc = fakeRpc({ tokenProgram: TOKEN_2022_PROGRAM });
+
+  const result = await simulateRoundTrip({ rpc, mint, curve, payer, amountSolLamports: 10_000_000 });
+  assert.equal(result.ok, true, JSON.stringify(result));
+
+  // Passed in from the validation read, without reading the mint again
+  const misread = await simulateRoundTrip({ rpc, mint, curve, payer, amountSolLamports: 10_000_000, tokenProgram: TOKEN_PROGRAM });
+  assert.equal(misread.reason, 'BUY_SIMULATION_FAILED');
+});
+
+test('sell that fails in simulation is a honeypot', async () => {
+  const result = await simulateRoundTrip({
+    rpc: fakeRpc({ sellFails: true }),
+    mint,
+    curve,
+    payer,
+    amountSolLamports: 10_000_000,
+  });
+
+  assert.equal(result.ok, false);
+  assert.equal(result.reason, 'SELL_SIMULATION_FAILED');
+});
+
+test('hidden sell tax above maxBuyTaxPct is rejected', async () => {
+  const result = await simulateRoundTrip({
+    rpc: fakeRpc({ sellTaxBps: 3000n }),
+    mint,
+    curve,
+    payer,
+    amountSolLamports: 10_000_000,
+  });
+
+  assert.equal(result.ok, false);
+  assert.equal(result.reason, 'ROUND_TRIP_TAX_TOO_HIGH');
+});
+
+test('validation simulation gate passes a healthy curve when a wallet is set', async () => {
+  const queue = new ValidationQueue({
+    rpc: fakeRpc(),
+    wallet: { publicKey: new PublicKey(payer) },
+  });
+
+  const result = await queue._simulationGate(mint, { curvePda: null, ...curve });
+
+  assert.equal(result.ok, true, JSON.stringify(result));
+  assert.deepEqual(queue.stats.byFailureReason, {});
+});
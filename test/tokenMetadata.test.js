@@ -0,0 +1,73 @@
+/**
+ * Off-chain metadata fetch host checks, and the name filter's use of it
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { fetchOffchainMetadata, isPrivateAddress } = require('../src/scanner/tokenMetadata');
+const { ValidationQueue } = require('../src/scanner/validationQueue');
+const { AntinoseFilter } = require('../src/scanner/antinose');
+const { SimulatedClock } = require('../src/utils/clock');
+
+test('private, loopback and link-local addresses are recognised', () => {
+  for (const ip of ['127.0.0.1', '10.0.0.8', '172.16.4.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1']) {
+    assert.equal(isPrivateAddress(ip), true, ip);
+  }
+  for (const ip of ['8.8.8.8', '172.32.0.1', '104.16.0.1', '2606:4700::1111']) {
+    assert.equal(isPrivateAddress(ip), false, ip);
+  }
+});
+
+test('uris pointing at private hosts are never requested', async (t) => {
+  let requests = 0;
+  const server = http.createServer((req, res) => {
+    requests++;
+    res.setHeader('content-type', 'application/json');
+    res.end('{"description":"internal"}');
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+  const { port } = server.address();
+
+  for (const uri of [
+    `http://127.0.0.1:${port}/meta.json`,
+    `http://localhost:${port}/meta.json`,
+    `http://[::1]:${port}/meta.json`,
+    `http://169.254.169.254/latest/meta-data`,
+  ]) {
+    await assert.rejects(fetchOffchainMetadata(uri), /private host/, uri);
+  }
+  assert.equal(requests, 0);
+});
+
+function namesQueue() {
+  const clock = new SimulatedClock(0);
+  const antinose = new AntinoseFilter({
+    settings: { suspiciousPatterns: [/guaranteed/i], botPatterns: [/^test\d+$/i] },
+    clock,
+  });
+  return new ValidationQueue({ rpc: async () => null, antinose, clock });
+}
+
+test('a name/symbol rejection does not wait for the off-chain JSON', async () => {
+  const queue = namesQueue();
+  const never = { uri: 'https://example.com/meta.json', description: new Promise(() => {}) };
+
+  const result = await queue._checkNames('mint1', null, { name: 'test123', symbol: 'T', uri: never.uri }, never);
+
+  assert.equal(result.ok, false);
+  assert.equal(result.reason, 'BOT_PATTERN');
+});
+
+test('the description from the fetch already in flight is screened', async () => {
+  const queue = namesQueue();
+  const uri = 'https://example.com/meta.json';
+  const offchain = { uri, description: Promise.resolve('Guaranteed 100x') };
+
+  const result = await queue._checkNames('mint2', null, { name: 'Good Token', symbol: 'GOOD', uri }, offchain);
+
+  assert.equal(result.ok, false);
+  assert.equal(result.reason, 'SUSPICIOUS_NAME');
+  assert.equal(result.filter.field, 'description');
+});
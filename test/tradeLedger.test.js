@@ -0,0 +1,52 @@
+/**
+ * Trade ledger only keeps state for mints it was told about
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { TradeLedger } = require('../src/scanner/tradeLedger');
+const { SimulatedClock } = require('../src/utils/clock');
+
+function trade(mint, user, { isBuy = true, sol = 0.5, tokens = 1000n, slot = 10 } = {}) {
+  return { mint, user, isBuy, solAmount: sol * 1e9, tokenAmount: tokens, slot, detectedAt: 0 };
+}
+
+test('trades on mints never created or queued are dropped', () => {
+  const ledger = new TradeLedger({ clock: new SimulatedClock(0) });
+
+  ledger.recordTrade(trade('random', 'alice'));
+
+  assert.equal(ledger.has('random'), false);
+  assert.equal(ledger.getFirstBuySlots('random'), null);
+  assert.deepEqual(ledger.getStats(), { creates: 0, trades: 0, untracked: 1, trackedMints: 0 });
+});
+
+test('created mints record trades, balances, buyers and first-buy slots', () => {
+  const ledger = new TradeLedger({ clock: new SimulatedClock(0) });
+
+  ledger.recordCreate({ mint: 'launch', creator: 'dev', detectedAt: 0 });
+  ledger.recordTrade(trade('launch', 'dev', { sol: 1 }));
+  ledger.recordTrade(trade('launch', 'alice', { slot: 11 }));
+  ledger.recordTrade(trade('launch', 'alice', { isBuy: false }));
+
+  const m = ledger.getMetrics('launch');
+  assert.equal(m.complete, true);
+  assert.equal(m.buys, 2);
+  assert.equal(m.sells, 1);
+  assert.equal(m.uniqueBuyers, 2);
+  assert.equal(m.holders, 1);
+  assert.equal(m.creatorFirstBuySol, 1);
+  assert.deepEqual([...ledger.getFirstBuySlots('launch')], [['dev', 10], ['alice', 11]]);
+});
+
+test('mints queued without a decoded create are tracked but incomplete', () => {
+  const ledger = new TradeLedger({ clock: new SimulatedClock(0) });
+
+  ledger.track('queued');
+  ledger.recordTrade(trade('queued', 'alice'));
+
+  const m = ledger.getMetrics('queued');
+  assert.equal(m.complete, false);
+  assert.equal(m.buys, 1);
+  assert.equal(ledger.getStats().untracked, 0);
+});
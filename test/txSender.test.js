@@ -0,0 +1,77 @@
+/**
+ * sendAndConfirm errors after signing, and fills read back from the landed transaction
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const bs58 = require('bs58').default;
+const { Keypair, SystemProgram, TransactionMessage, VersionedTransaction } = require('@solana/web3.js');
+const { sendAndConfirm, parseBalanceChanges } = require('../src/execution/txSender');
+
+const wallet = Keypair.generate();
+
+function transaction() {
+  const message = new TransactionMessage({
+    payerKey: wallet.publicKey,
+    recentBlockhash: bs58.encode(Buffer.alloc(32, 3)),
+    instructions: [
+      SystemProgram.transfer({ fromPubkey: wallet.publicKey, toPubkey: Keypair.generate().publicKey, lamports: 1 }),
+    ],
+  }).compileToV0Message();
+  return new VersionedTransaction(message);
+}
+
+test('a failed simulation reports the signature and its code', async () => {
+  const tx = transaction();
+  const rpc = async (method) => {
+    assert.equal(method, 'simulateTransaction');
+    return { value: { err: { InstructionError: [0, { Custom: 1 }] }, logs: ['insufficient lamports'] } };
+  };
+
+  const err = await sendAndConfirm({ rpc, transaction: tx, wallet, mint: 'mint' }).catch((e) => e);
+
+  assert.equal(err.code, 'SIMULATION_FAILED');
+  assert.equal(err.signature, bs58.encode(tx.signatures[0]));
+});
+
+test('an RPC error while sending reports the signature', async () => {
+  const tx = transaction();
+  const rpc = async (method) => {
+    if (method === 'simulateTransaction') return { value: { err: null, logs: [] } };
+    throw new Error(`RPC error: ${method} timed out`);
+  };
+
+  const err = await sendAndConfirm({ rpc, transaction: tx, wallet, mint: 'mint' }).catch((e) => e);
+
+  assert.match(err.message, /sendTransaction timed out/);
+  assert.equal(err.signature, bs58.encode(tx.signatures[0]));
+});
+
+test('rent for the token account a buy creates is not part of the fill', () => {
+  const owner = wallet.publicKey.toBase58();
+  const tokenBalance = (accountIndex, amount) => ({ accountIndex, owner, mint: 'mint', uiTokenAmount: { amount } });
+
+  // Wallet spends 0.1 SOL on the swap, 5000 in fees and 2039280 on its new ATA
+  const tx = {
+    transaction: { message: { accountKeys: [owner, 'ata', 'curve'] } },
+    meta: {
+      fee: 5000,
+      preBalances: [1000000000, 0, 50000000],
+      postBalances: [1000000000 - 100000000 - 5000 - 2039280, 2039280, 150000000],
+      preTokenBalances: [],
+      postTokenBalances: [tokenBalance(1, '3500000000')],
+    },
+  };
+
+  const changes = parseBalanceChanges({ tx, owner, mint: 'mint' });
+
+  assert.equal(changes.solChange, -100000000n);
+  assert.equal(changes.rent, 2039280n);
+  assert.equal(changes.tokenChange, 3500000000n);
+
+  // Once it exists the same buy costs no rent
+  tx.meta.preBalances[1] = 2039280;
+  tx.meta.preTokenBalances = [tokenBalance(1, '0')];
+  tx.meta.postBalances[0] += 2039280;
+  assert.equal(parseBalanceChanges({ tx, owner, mint: 'mint' }).solChange, -100000000n);
+});
@@ -0,0 +1,87 @@
+/**
+ * Holder distribution gate on the new-token path of the validation pipeline
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Keypair, PublicKey } = require('@solana/web3.js');
+const { ValidationQueue } = require('../src/scanner/validationQueue');
+const { SimulatedClock } = require('../src/utils/clock');
+
+const mint = Keypair.generate().publicKey.toBase58();
+const creator = Keypair.generate().publicKey.toBase58();
+const curvePda = Keypair.generate().publicKey.toBase58();
+
+// Freshly launched: 100M of the 1B supply sold, 0.5 SOL in the curve
+const curveData = {
+  curvePda,
+  creator,
+  virtualToken: '973000000000000',
+  virtualSol: '30500000000',
+  realToken: '693100000000000',
+  realSol: '500000000',
+};
+
+function tokenAccount(owner, amount) {
+  const buf = Buffer.alloc(165);
+  Keypair.generate().publicKey.toBuffer().copy(buf, 0);
+  new PublicKey(owner).toBuffer().copy(buf, 32);
+  buf.writeBigUInt64LE(BigInt(amount), 64);
+  return { data: [buf.toString('base64'), 'base64'] };
+}
+
+/**
+ * @param {Array<[string, bigint]>} holders - [owner, raw amount], largest first
+ */
+function fakeRpc(holders) {
+  const accounts = holders.map(([owner, amount]) => ({
+    address: Keypair.generate().publicKey.toBase58(),
+    amount: String(amount),
+    info: tokenAccount(owner, amount),
+  }));
+
+  return async (method) => {
+    switch (method) {
+      case 'getTokenLargestAccounts':
+        return { value: accounts.map(({ address, amount }) => ({ address, amount })) };
+      case 'getMultipleAccounts':
+        return { value: accounts.map((a) => a.info) };
+      default:
+        throw new Error(`unexpected ${method}`);
+    }
+  };
+}
+
+function newTokenQueue(holders) {
+  const queue = new ValidationQueue({ rpc: fakeRpc(holders), clock: new SimulatedClock(0) });
+  // The mint account isn't readable yet: the isNew path
+  queue._fetchCurveData = async () => curveData;
+  queue._fetchMintInfo = async () => ({ isNew: true, mint });
+  return queue;
+}
+
+test('a new token whose dev holds too much of the supply is rejected', async () => {
+  const queue = newTokenQueue([
+    [curvePda, 693100000000000n],
+    [creator, 300000000000000n],
+    [Keypair.generate().publicKey.toBase58(), 6900000000000n],
+  ]);
+
+  const result = await queue._runValidationPipeline(mint, {});
+
+  assert.equal(result.decision, 'PASS');
+  assert.equal(result.rejectionReason, 'DEV_HOLDING_TOO_HIGH');
+});
+
+test('a new token with a spread-out holder base enters with its distribution', async () => {
+  const holders = [[curvePda, 693100000000000n]];
+  for (let i = 0; i < 20; i++) holders.push([Keypair.generate().publicKey.toBase58(), 10000000000000n]);
+
+  const queue = newTokenQueue(holders);
+  const result = await queue._runValidationPipeline(mint, {});
+
+  assert.equal(result.decision, 'ENTER', JSON.stringify(result));
+  assert.equal(result.isNew, true);
+  assert.equal(result.validation.devPct, 0);
+  assert.equal(result.validation.top10Pct, 10);
+});
@@ -0,0 +1,118 @@
+/**
+ * WebSocket feed against a local ws server that drops connections:
+ * reconnect, resubscribe and stale-stream detection
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('node:events');
+const { WebSocketServer } = require('ws');
+const { WsFeed } = require('../src/scanner/wsFeed');
+const { PUMPFUN_PROGRAM_ID } = require('../src/scanner/constants');
+
+/**
+ * @param {(socket, connection: number) => void} onSubscribe - called for each logsSubscribe
+ */
+async function startServer(onSubscribe = () => {}) {
+  const wss = new WebSocketServer({ port: 0, host: '127.0.0.1' });
+  await once(wss, 'listening');
+
+  const subscriptions = [];
+  let connections = 0;
+  wss.on('connection', (socket) => {
+    const connection = ++connections;
+    socket.on('message', (data) => {
+      const msg = JSON.parse(data.toString());
+      if (msg.method !== 'logsSubscribe') return;
+      subscriptions.push({ connection, params: msg.params });
+      onSubscribe(socket, connection);
+    });
+  });
+
+  return {
+    url: `ws://127.0.0.1:${wss.address().port}`,
+    subscriptions,
+    stop: () => {
+      for (const client of wss.clients) client.terminate();
+      return new Promise((resolve) => wss.close(resolve));
+    },
+  };
+}
+
+function feedFor(server, options = {}) {
+  return new WsFeed({ url: server.url, reconnectBaseMs: 10, reconnectMaxMs: 50, ...options });
+}
+
+function within(ms, promise) {
+  let timer;
+  return Promise.race([
+    promise.finally(() => clearTimeout(timer)),
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`not within ${ms}ms`)), ms);
+    }),
+  ]);
+}
+
+test('a dropped connection is reported, reconnected and resubscribed', async (t) => {
+  const server = await startServer((socket, connection) => {
+    socket.send(JSON.stringify({ jsonrpc: '2.0', id: 1, result: 100 + connection }));
+    if (connection === 1) {
+      // Drop the first connection once it has subscribed
+      setTimeout(() => socket.terminate(), 20);
+    } else {
+      socket.send(JSON.stringify({
+        jsonrpc: '2.0',
+        method: 'logsNotification',
+        params: { result: { context: { slot: 7 }, value: { signature: 'sig', logs: ['Program log: Instruction: Create'], err: null } } },
+      }));
+    }
+  });
+  const feed = feedFor(server);
+  t.after(async () => {
+    feed.stop();
+    await server.stop();
+  });
+
+  const events = [];
+  for (const name of ['connected', 'disconnected', 'stale']) feed.on(name, () => events.push(name));
+
+  const logs = once(feed, 'logs');
+  feed.start();
+  const [notification] = await within(2000, logs);
+
+  assert.deepEqual(events, ['connected', 'disconnected', 'connected']);
+  assert.deepEqual(notification, { signature: 'sig', slot: 7, logs: ['Program log: Instruction: Create'], err: null });
+
+  assert.deepEqual(server.subscriptions.map((s) => s.connection), [1, 2]);
+  for (const { params } of server.subscriptions) {
+    assert.deepEqual(params[0], { mentions: [PUMPFUN_PROGRAM_ID] });
+  }
+
+  const status = feed.getStatus();
+  assert.equal(status.connected, true);
+  assert.equal(status.subscriptionId, 102);
+  assert.equal(status.connects, 2);
+  assert.equal(status.disconnects, 1);
+  assert.equal(status.reconnectAttempts, 0);
+});
+
+test('a connection that goes silent is flagged stale and replaced', async (t) => {
+  // Never answers: only pongs, which don't count as stream messages
+  const server = await startServer();
+  const feed = feedFor(server, { pingIntervalMs: 20, pongTimeoutMs: 1000, staleTimeoutMs: 100 });
+  t.after(async () => {
+    feed.stop();
+    await server.stop();
+  });
+
+  const stale = once(feed, 'stale');
+  feed.start();
+  const [info] = await within(2000, stale);
+  assert.equal(info.feed, feed.name);
+
+  await within(2000, once(feed, 'disconnected'));
+  await within(2000, once(feed, 'connected'));
+
+  assert.equal(feed.stats.stale, 1);
+  assert.equal(feed.stats.connects, 2);
+});